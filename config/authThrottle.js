@@ -0,0 +1,18 @@
+// Brute-force limits for the auth and invite endpoints.
+// "account" counters are keyed by email (or user id), "ip" counters by client address.
+const num = (value, fallback) => parseInt(value) || fallback;
+
+module.exports = {
+    windowSeconds: num(process.env.THROTTLE_WINDOW_SECONDS, 15 * 60),
+    baseLockSeconds: num(process.env.THROTTLE_BASE_LOCK_SECONDS, 60),   // doubles with every lockout
+    maxLockSeconds: num(process.env.THROTTLE_MAX_LOCK_SECONDS, 60 * 60),
+    actions: {
+        login: { account: 5, ip: 20 },
+        reset: { account: 5, ip: 20 },  // verify-reset-code + reset-password share one budget
+        twoFactor: { account: 5, ip: 20 },
+        verifyEmail: { account: 5, ip: 20 },
+        invitePreview: { ip: 30 },           // public: wrong codes per IP
+        invitePair: { account: 10, ip: 30 }  // signed in: wrong codes per user
+    },
+    maxResetCodeAttempts: num(process.env.RESET_CODE_MAX_ATTEMPTS, 5)
+};
@@ -0,0 +1,29 @@
+// The couple's shared evolution track (see services/coupleEvolutionService.js).
+// Each partner's activity earns XP for the world; the world's stage is one of APP_LEVELS
+// (services/evolutionService.js), reached at the XP totals below. Individual levels still
+// come from each person's mood streaks.
+
+module.exports = {
+    // XP per activity. Each one counts once (a mood day, an answer day, a journal day, a quest)
+    xpRewards: {
+        mood: 5,            // first check-in of the day
+        daily_answer: 10,
+        gratitude: 5,
+        quest_approved: 20
+    },
+    // Total XP needed for each level: levelXp[0] is level 1, levelXp[9] is level 10
+    levelXp: [0, 100, 250, 450, 700, 1000, 1400, 1900, 2500, 3200],
+    // What a world unlocks on reaching a level (the app turns the key into the feature)
+    unlocks: {
+        2: [{ key: 'theme_meadow', label: "Meadow theme" }],
+        3: [{ key: 'stickers_pets', label: "Pet sticker pack" }],
+        4: [{ key: 'avatar_frames', label: "Avatar frames" }],
+        5: [{ key: 'theme_twilight', label: "Twilight theme" }],
+        6: [{ key: 'wheel_bamboo', label: "Bamboo wheel skin" }],
+        7: [{ key: 'confetti_butterflies', label: "Butterfly confetti" }],
+        8: [{ key: 'theme_aurora', label: "Aurora theme" }],
+        9: [{ key: 'wheel_gold', label: "Golden wheel skin" }],
+        10: [{ key: 'crown_badge', label: "Soulmates crown badge" }]
+    },
+    recentEventsLimit: 20
+};
@@ -0,0 +1,69 @@
+// What each couple can tune for their own world (see services/settingsService.js).
+// Only values that differ from these defaults are stored, so a new default here
+// reaches every world that never changed that setting.
+//
+// Setting types:
+//   odds    - whole percentages for each option, adding up to 100
+//   integer - min..max
+//   text    - free text up to maxLength
+//   timezone - an IANA zone name ('Europe/Berlin')
+//   choice  - one of options
+
+module.exports = {
+    definitions: {
+        taskOdds: {
+            type: 'odds', label: "Daily task odds",
+            options: ['coupon', 'savology', 'quest'],
+            default: { coupon: 15, savology: 45, quest: 40 }  // coupons ~4 times a month, Savology most often
+        },
+        savologyBoardSize: {
+            type: 'integer', label: "Savology board size",
+            min: 4, max: 40, default: 8
+        },
+        defaultPunishment: {
+            type: 'text', label: "Default punishment",
+            maxLength: 100, default: "20 Pushups"   // doubled at midnight when nobody spun the wheel
+        },
+        timezone: {
+            type: 'timezone', label: "World timezone",
+            default: 'UTC'   // for partners who haven't set their own (users.timezone)
+        },
+        slumpAlertDays: {
+            type: 'integer', label: "Low days before a slump alert",
+            min: 2, max: 14, default: 3
+        },
+        moodDropPoints: {
+            // A check-in this far below the average of the days before is a sharp drop
+            type: 'integer', label: "Points below usual for a mood-drop alert",
+            min: 2, max: 6, default: 3
+        },
+        silenceAfterLowDays: {
+            type: 'integer', label: "Quiet days after a low day before an alert",
+            min: 1, max: 7, default: 2
+        },
+        alertCooldownDays: {
+            // The same kind of alert about the same person waits at least this long
+            type: 'integer', label: "Days between repeated wellbeing alerts",
+            min: 1, max: 14, default: 3
+        },
+        levelDecayDays: {
+            // After this many days without a check-in a level slips, then one more every as many days
+            type: 'integer', label: "Inactive days before levels slip (0 = never)",
+            min: 0, max: 90, default: 0
+        },
+        dailyReveal: {
+            // when_shared = a shared answer shows right away; both_answered = it stays hidden
+            // until you've answered the same question too, and both of you are told at the reveal
+            type: 'choice', label: "When partners see each other's daily answers",
+            options: ['when_shared', 'both_answered'], default: 'when_shared'
+        },
+        moodStatsEntry: {
+            // Which of the day's check-ins feeds streaks and levels:
+            // first = the first mood of the day, latest = the last one, lowest = the hardest moment,
+            // average = all check-ins averaged (rounded)
+            type: 'choice', label: "Check-in that counts for streaks",
+            options: ['first', 'latest', 'lowest', 'average'], default: 'first'
+        }
+    },
+    historyPageSize: 20
+};
@@ -0,0 +1,15 @@
+// Which actions require a verified email address.
+// Override with EMAIL_VERIFIED_ACTIONS="pairCouple,onboardCreator" (or "none" to switch it off).
+const DEFAULT_ACTIONS = ['pairCouple', 'onboardCreator', 'relinkCouple'];
+
+const parseActions = (value) => {
+    if (!value) return DEFAULT_ACTIONS;
+    if (value.trim().toLowerCase() === 'none') return [];
+    return value.split(',').map(a => a.trim()).filter(Boolean);
+};
+
+module.exports = {
+    requiredFor: parseActions(process.env.EMAIL_VERIFIED_ACTIONS),
+    codeTtlMinutes: parseInt(process.env.EMAIL_VERIFY_TTL_MINUTES) || 30,
+    resendCooldownSeconds: parseInt(process.env.EMAIL_VERIFY_COOLDOWN_SECONDS) || 60
+};
@@ -0,0 +1,31 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const { pool } = require('./db');
+
+// Usage: node config/makeAdmin.js someone@example.com [--revoke]
+const setRole = async () => {
+    const email = process.argv[2];
+    const role = process.argv.includes('--revoke') ? 'user' : 'admin';
+
+    if (!email) {
+        console.error('❌ Usage: node config/makeAdmin.js <email> [--revoke]');
+        process.exit(1);
+    }
+
+    try {
+        const result = await pool.query(
+            'UPDATE users SET role = $1 WHERE email = $2 RETURNING id, email, role',
+            [role, email.toLowerCase().trim()]
+        );
+
+        if (result.rowCount === 0) throw new Error(`No user found with email ${email}`);
+
+        console.log(`✅ ${result.rows[0].email} is now '${result.rows[0].role}'.`);
+        process.exit(0);
+    } catch (err) {
+        console.error('❌ Could not update role:', err.message);
+        process.exit(1);
+    }
+};
+
+setRole();
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+// Same as the seed scripts: load the root .env no matter where this is run from
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const { pool } = require('./db');
+
+const runMigrations = async () => {
+    try {
+        // 1. Keep track of what already ran so every file is applied exactly once
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                name TEXT PRIMARY KEY,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        const appliedRes = await pool.query('SELECT name FROM schema_migrations');
+        const applied = new Set(appliedRes.rows.map(r => r.name));
+
+        // 2. Files are applied in name order (001_..., 002_...)
+        const dir = path.join(__dirname, 'migrations');
+        const files = fs.readdirSync(dir).filter(f => f.endsWith('.sql')).sort();
+        const pending = files.filter(f => !applied.has(f));
+
+        console.log(`🗂️  ${files.length} migrations found, ${pending.length} pending.`);
+
+        for (const file of pending) {
+            const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+                await client.query('COMMIT');
+                console.log(`✅ Applied ${file}`);
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw new Error(`${file}: ${err.message}`);
+            } finally {
+                client.release();
+            }
+        }
+
+        console.log('✅ Database schema is up to date!');
+        process.exit(0);
+    } catch (err) {
+        console.error('❌ Migration failed:', err.message);
+        process.exit(1);
+    }
+};
+
+runMigrations();
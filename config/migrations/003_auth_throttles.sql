@@ -0,0 +1,15 @@
+-- Failed-attempt counters for login, reset-code and email verification checks.
+-- key looks like "login:account:jane@x.com" or "reset:ip:203.0.113.7".
+CREATE TABLE IF NOT EXISTS auth_throttles (
+    key TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Wrong guesses against the current reset code; the code is burned once this hits the limit
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_attempts INTEGER NOT NULL DEFAULT 0;
+-- Same for the email verification code
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verify_attempts INTEGER NOT NULL DEFAULT 0;
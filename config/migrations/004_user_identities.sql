@@ -0,0 +1,23 @@
+-- External login methods (Google, ...) linked to a users row.
+-- The password method stays on users.password_hash (NULL = no password set).
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    provider_user_id TEXT,
+    email TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    UNIQUE (provider, provider_user_id),
+    UNIQUE (user_id, provider)
+);
+
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Legacy Google accounts: we never stored the Google subject id, so the identity is
+-- claimed by email on the next Google sign-in (provider_user_id stays NULL until then).
+INSERT INTO user_identities (user_id, provider, email)
+SELECT id, 'google', email FROM users WHERE password_hash = 'google-auth-account'
+ON CONFLICT DO NOTHING;
+
+UPDATE users SET password_hash = NULL WHERE password_hash = 'google-auth-account';
@@ -0,0 +1,15 @@
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;          -- encrypted, see utils/totp.js
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;  -- enrollment not confirmed yet
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;     -- last accepted time step (no replays)
+
+-- One-time recovery codes, stored as SHA-256
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON user_recovery_codes (user_id);
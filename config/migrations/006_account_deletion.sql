@@ -0,0 +1,5 @@
+-- Scheduled account deletion: nothing is removed until deletion_scheduled_for has passed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_due ON users (deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Pending email change: the new address only replaces users.email once its code is confirmed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_change_code TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_change_expires TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_change_attempts INTEGER NOT NULL DEFAULT 0;
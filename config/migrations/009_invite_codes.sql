@@ -0,0 +1,7 @@
+ALTER TABLE couples ADD COLUMN IF NOT EXISTS invite_expires_at TIMESTAMPTZ;
+
+-- Existing open invites get one more week, then they have to be regenerated
+UPDATE couples SET invite_expires_at = NOW() + INTERVAL '7 days'
+WHERE status = 'waiting' AND invite_code IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_couples_invite_code ON couples (invite_code) WHERE invite_code IS NOT NULL;
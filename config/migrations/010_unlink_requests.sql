@@ -0,0 +1,18 @@
+-- Unlinking a shared world is a request the partner can see, answer or cancel
+CREATE TABLE IF NOT EXISTS unlink_requests (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',      -- pending | cancelled | completed
+    cooling_off_until TIMESTAMPTZ NOT NULL,      -- nothing happens before this, either side can cancel
+    execute_after TIMESTAMPTZ NOT NULL,          -- when the job archives the world (moves up once the partner agrees)
+    partner_consented_at TIMESTAMPTZ,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+);
+
+-- One open request per world
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unlink_requests_pending ON unlink_requests (couple_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_unlink_requests_due ON unlink_requests (execute_after) WHERE status = 'pending';
@@ -0,0 +1,20 @@
+-- Who paused a world, why, and until when. The open row (resumed_at IS NULL) is the current pause;
+-- couples.is_paused stays the flag the jobs and controllers check.
+CREATE TABLE IF NOT EXISTS couple_pauses (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    paused_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    paused_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    resume_at TIMESTAMPTZ,                       -- optional auto-resume
+    resumed_at TIMESTAMPTZ,
+    resumed_by INTEGER REFERENCES users(id) ON DELETE SET NULL   -- NULL + resumed_at = resumed automatically
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_couple_pauses_open ON couple_pauses (couple_id) WHERE resumed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_couple_pauses_resume_at ON couple_pauses (resume_at) WHERE resumed_at IS NULL;
+
+-- Worlds that were already paused get an open row so they can be resumed normally
+INSERT INTO couple_pauses (couple_id)
+SELECT id FROM couples WHERE is_paused = true
+AND id NOT IN (SELECT couple_id FROM couple_pauses WHERE resumed_at IS NULL);
@@ -0,0 +1,41 @@
+-- The day the couple got together (set by them; anniversaries are computed from it)
+ALTER TABLE couples ADD COLUMN IF NOT EXISTS started_on DATE;
+
+-- Every rel_status change, dated
+CREATE TABLE IF NOT EXISTS rel_status_history (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_rel_status_history_couple ON rel_status_history (couple_id, changed_on);
+
+-- Dates the couple adds themselves ("first trip", "moved in"); recurring ones come back every year
+CREATE TABLE IF NOT EXISTS couple_milestones (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    milestone_date DATE NOT NULL,
+    recurring BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_couple_milestones_couple ON couple_milestones (couple_id);
+
+-- One reminder per milestone occurrence and offset, so reruns of the job don't repeat themselves
+CREATE TABLE IF NOT EXISTS milestone_reminders (
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    milestone_key TEXT NOT NULL,
+    occurs_on DATE NOT NULL,
+    days_before INTEGER NOT NULL,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (couple_id, milestone_key, occurs_on, days_before)
+);
+
+-- Existing worlds start their history with the status they have today
+INSERT INTO rel_status_history (couple_id, from_status, to_status, changed_on)
+SELECT id, NULL, rel_status, created_at::date FROM couples
+WHERE rel_status IS NOT NULL AND id NOT IN (SELECT couple_id FROM rel_status_history);
@@ -0,0 +1,33 @@
+-- Welcome questionnaire answers per round, so a retake doesn't overwrite the first result
+ALTER TABLE couples ADD COLUMN IF NOT EXISTS welcome_round INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS welcome_submissions (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    round INTEGER NOT NULL,
+    version INTEGER NOT NULL,          -- config/welcomeQuestionnaire.js; 0 = free-form answers from before
+    answers JSONB NOT NULL,
+    submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (couple_id, user_id, round)
+);
+
+CREATE TABLE IF NOT EXISTS welcome_results (
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    round INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    overall INTEGER,                   -- 0..100
+    categories JSONB NOT NULL,         -- [{ key, label, score }]
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (couple_id, round)
+);
+
+-- Carry the old couples.answers blobs over as round 1, version 0
+INSERT INTO welcome_submissions (couple_id, user_id, round, version, answers, submitted_at)
+SELECT c.id, a.key::int, 1, 0, a.value, COALESCE(c.created_at, NOW())
+FROM couples c
+CROSS JOIN LATERAL jsonb_each(COALESCE(c.answers, '{}'::jsonb)) AS a
+WHERE a.key ~ '^[0-9]+$' 
+AND jsonb_typeof(a.value) = 'object'
+AND EXISTS (SELECT 1 FROM users u WHERE u.id::text = a.key)
+ON CONFLICT (couple_id, user_id, round) DO NOTHING;
@@ -0,0 +1,9 @@
+-- Relink codes expire; archived worlds are warned about, then purged (config/retention.js)
+ALTER TABLE couples ADD COLUMN IF NOT EXISTS relink_expires_at TIMESTAMPTZ;
+ALTER TABLE couples ADD COLUMN IF NOT EXISTS purge_warned_at TIMESTAMPTZ;
+
+-- Worlds archived before this existed get the default 30 days, counted from their unlink
+UPDATE couples SET relink_expires_at = COALESCE(deactivated_at, NOW()) + INTERVAL '30 days'
+WHERE status = 'archived' AND relink_code IS NOT NULL AND relink_expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_couples_archived ON couples (deactivated_at) WHERE status = 'archived';
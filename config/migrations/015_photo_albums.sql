@@ -0,0 +1,35 @@
+-- Many photos per couple, optionally grouped in albums; the cover replaces the single shared picture
+CREATE TABLE IF NOT EXISTS couple_albums (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_couple_albums_couple ON couple_albums (couple_id);
+
+CREATE TABLE IF NOT EXISTS couple_photos (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    album_id INTEGER REFERENCES couple_albums(id) ON DELETE SET NULL,   -- NULL = not in an album
+    public_id TEXT NOT NULL,           -- Cloudinary asset, destroyed together with the row
+    url TEXT NOT NULL,
+    caption TEXT,
+    taken_on DATE,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_couple_photos_couple ON couple_photos (couple_id, taken_on DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_couple_photos_album ON couple_photos (album_id);
+
+ALTER TABLE couples ADD COLUMN IF NOT EXISTS cover_photo_id INTEGER REFERENCES couple_photos(id) ON DELETE SET NULL;
+
+-- The old single picture becomes the first photo and the cover
+INSERT INTO couple_photos (couple_id, public_id, url, taken_on)
+SELECT id, 'twofold_shared/couple_' || id::text, shared_image_url, CURRENT_DATE FROM couples
+WHERE shared_image_url IS NOT NULL 
+AND id NOT IN (SELECT couple_id FROM couple_photos);
+
+UPDATE couples c SET cover_photo_id = p.id
+FROM couple_photos p
+WHERE p.couple_id = c.id AND p.public_id = 'twofold_shared/couple_' || c.id::text AND c.cover_photo_id IS NULL;
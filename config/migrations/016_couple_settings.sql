@@ -0,0 +1,20 @@
+-- Per-world settings. Only values that differ from config/coupleSettings.js are stored.
+CREATE TABLE IF NOT EXISTS couple_settings (
+    couple_id INTEGER PRIMARY KEY REFERENCES couples(id) ON DELETE CASCADE,
+    overrides JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Every change, so each partner can see what the other one touched
+CREATE TABLE IF NOT EXISTS couple_settings_changes (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    setting_key TEXT NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    seen_at TIMESTAMPTZ            -- when the other partner looked at it
+);
+CREATE INDEX IF NOT EXISTS idx_couple_settings_changes_couple ON couple_settings_changes (couple_id, changed_at);
@@ -0,0 +1,4 @@
+-- Each person keeps their own gender and says how they want to be written about
+-- ('she/her', 'he/him', 'they/them' or 'subject/object/possessive'; NULL = they/them).
+-- Partner roles are neutral: couples.creator_id opened the world, couples.partner_id joined it.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pronouns TEXT;
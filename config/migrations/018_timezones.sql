@@ -0,0 +1,11 @@
+-- Each user's own IANA timezone (NULL = follow the world's, see config/coupleSettings.js).
+-- Every daily feature files its entries under "today" in that zone.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- Set when the midnight audit handled a failed task, so the audit can run every few minutes
+-- (once per timezone reaching midnight) without doubling a punishment twice
+ALTER TABLE daily_tasks ADD COLUMN IF NOT EXISTS deadline_passed_at TIMESTAMPTZ;
+
+-- The old once-a-night audit (00:01) already handled everything before today, yesterday included
+UPDATE daily_tasks SET deadline_passed_at = NOW()
+WHERE status = 'failed' AND deadline_passed_at IS NULL AND scheduled_date < CURRENT_DATE;
@@ -0,0 +1,34 @@
+-- Every check-in of the day, with an optional reason and note.
+-- moods stays the one-row-per-day summary (score = latest check-in, first_score = first one)
+-- that streaks, analytics and the dashboard read.
+CREATE TABLE IF NOT EXISTS mood_entries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    couple_id INTEGER,                            -- like moods.couple_id: the world it was logged in
+    mood_day DATE NOT NULL,                       -- the user's own day (their timezone)
+    score INTEGER NOT NULL,
+    tags TEXT[] NOT NULL DEFAULT '{}',            -- reasons, see config/moods.js
+    note TEXT,
+    is_shared BOOLEAN NOT NULL DEFAULT false,     -- may the partner see the tags and note?
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_mood_entries_user_day ON mood_entries (user_id, mood_day, created_at);
+
+-- Which check-in drove the day's streaks, and the stats from before that day,
+-- so a later check-in can re-apply the day under the couple's rule instead of counting it twice
+ALTER TABLE moods ADD COLUMN IF NOT EXISTS driving_score INTEGER;
+ALTER TABLE moods ADD COLUMN IF NOT EXISTS stats_before JSONB;
+ALTER TABLE moods ADD COLUMN IF NOT EXISTS entry_count INTEGER NOT NULL DEFAULT 1;
+
+-- Existing days become their first check-in (and the later edit, if there was one)
+INSERT INTO mood_entries (user_id, couple_id, mood_day, score, created_at, updated_at)
+SELECT user_id, couple_id, LEFT(day_key, 10)::date, COALESCE(first_score, score), created_at, created_at
+FROM moods;
+
+INSERT INTO mood_entries (user_id, couple_id, mood_day, score, created_at, updated_at)
+SELECT user_id, couple_id, LEFT(day_key, 10)::date, score, updated_at, updated_at
+FROM moods WHERE first_score IS NOT NULL AND score != first_score;
+
+UPDATE moods SET driving_score = COALESCE(first_score, score),
+    entry_count = CASE WHEN first_score IS NOT NULL AND score != first_score THEN 2 ELSE 1 END;
@@ -0,0 +1,18 @@
+-- Wellbeing alerts sent to a partner when someone's moods show a worrying pattern.
+-- One alert per (subject, dedupe_key), so a job or a retried check-in never sends it twice.
+CREATE TABLE IF NOT EXISTS wellbeing_alerts (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    subject_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,    -- whose moods
+    recipient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,  -- the partner who is told
+    kind TEXT NOT NULL,             -- consecutive_lows | sharp_drop | silence_after_low
+    dedupe_key TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    message TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    acknowledged_at TIMESTAMPTZ,
+    acknowledged_action TEXT,       -- the suggestion the partner went with, if any
+    UNIQUE (subject_id, dedupe_key)
+);
+CREATE INDEX IF NOT EXISTS idx_wellbeing_alerts_recipient ON wellbeing_alerts (recipient_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_wellbeing_alerts_subject_kind ON wellbeing_alerts (subject_id, kind, created_at);
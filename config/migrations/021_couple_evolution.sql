@@ -0,0 +1,15 @@
+-- Shared couple evolution: the world's XP total (its level is derived from config/coupleEvolution.js)
+ALTER TABLE couples ADD COLUMN IF NOT EXISTS xp INTEGER NOT NULL DEFAULT 0;
+
+-- Every XP award. source_key makes each activity count once, however often it is saved.
+CREATE TABLE IF NOT EXISTS couple_xp_events (
+    id SERIAL PRIMARY KEY,
+    couple_id INTEGER NOT NULL REFERENCES couples(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,   -- whose activity earned it
+    source TEXT NOT NULL,           -- mood | daily_answer | gratitude | quest_approved
+    source_key TEXT NOT NULL,
+    xp INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (couple_id, source_key)
+);
+CREATE INDEX IF NOT EXISTS idx_couple_xp_events_couple ON couple_xp_events (couple_id, created_at);
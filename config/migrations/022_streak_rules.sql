@@ -0,0 +1,15 @@
+-- Streak freezes and the nightly streak/decay job
+ALTER TABLE users ADD COLUMN IF NOT EXISTS streak_freezes INTEGER NOT NULL DEFAULT 0;
+-- The last of the user's days the job has judged (missed day or not)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS evolution_checked_day DATE;
+
+-- What happened to someone's streaks and level, for them to look back on
+CREATE TABLE IF NOT EXISTS evolution_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,             -- streak_broken | freeze_used | freeze_earned | freeze_bought | level_decay
+    day DATE NOT NULL,              -- the user's day it is about
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_evolution_history_user ON evolution_history (user_id, created_at);
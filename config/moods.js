@@ -0,0 +1,28 @@
+// The 1-10 mood scale, check-in options (services/moodService.js) and the knobs of the
+// mood analytics (services/moodAnalyticsService.js)
+const MOOD_MAP = {
+    1: { emoji: "😩", label: "Exhausted" },
+    2: { emoji: "😔", label: "Low" },
+    3: { emoji: "😕", label: "Meh" },
+    4: { emoji: "😐", label: "Neutral" },
+    5: { emoji: "🙂", label: "Okay" },
+    6: { emoji: "😊", label: "Good" },
+    7: { emoji: "😌", label: "Chilled" },
+    8: { emoji: "✨", label: "High Vibe" },
+    9: { emoji: "🤩", label: "Radiant" },
+    10: { emoji: "🔥", label: "Elite" },
+};
+
+module.exports = {
+    MOOD_MAP,
+    checkIns: {
+        reasonTags: ['work', 'sleep', 'health', 'us'],
+        maxNoteLength: 500
+    },
+    analytics: {
+        defaultRangeDays: 30,
+        maxRangeDays: 366,
+        alignmentTolerance: 1,  // two moods "line up" when they are at most this far apart
+        minStreakDays: 2        // shorter runs aren't listed in the streak history
+    }
+};
@@ -0,0 +1,15 @@
+// How long archived worlds (after an unlink) are kept (see services/retentionService.js).
+// Timeline of an archived world:
+//   day 0                         unlinked, relink code printed on the memory card
+//   relinkCodeDays                code stops working
+//   purgeAfterDays - warningDays  both former partners are warned
+//   purgeAfterDays                moods, answers, photos and the world itself are deleted for good
+const num = (value, fallback) => parseInt(value) || fallback;
+
+module.exports = {
+    relinkCodeDays: num(process.env.RELINK_CODE_DAYS, 30),
+    purgeAfterDays: num(process.env.ARCHIVE_PURGE_DAYS, 90),
+    warningDays: num(process.env.ARCHIVE_PURGE_WARNING_DAYS, 7),
+    // Solo worlds nobody points at any more are removed after this many days
+    orphanWaitingDays: num(process.env.ORPHAN_WORLD_DAYS, 1)
+};
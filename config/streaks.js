@@ -0,0 +1,10 @@
+// Rules for individual streaks and levels (see services/streakService.js and jobs/streakCron.js).
+// A day that ends without a mood check-in breaks the streaks, unless a streak freeze is spent on it.
+// Level decay is a per-world setting (levelDecayDays in config/coupleSettings.js, off by default).
+
+module.exports = {
+    maxFreezes: 3,          // freezes a person can hold at once
+    freezeCost: 50,         // points (users.points) to buy one
+    freezesPerLevelUp: 1,   // earned on every individual level-up
+    historyPageSize: 20
+};
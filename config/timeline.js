@@ -0,0 +1,13 @@
+// Anniversary and milestone reminders (see services/timelineService.js).
+// MILESTONE_REMINDER_DAYS="7,1,0" sends a heads-up a week before, the day before and on the day.
+const parseDays = (value) => {
+    if (!value) return [7, 1, 0];
+    return value.split(',').map(d => parseInt(d)).filter(d => !Number.isNaN(d) && d >= 0);
+};
+
+module.exports = {
+    reminderDaysBefore: parseDays(process.env.MILESTONE_REMINDER_DAYS),
+    // Early anniversaries, in months; after that every full year counts
+    monthAnniversaries: [1, 3, 6, 9],
+    upcomingWindowDays: parseInt(process.env.MILESTONE_UPCOMING_DAYS) || 365
+};
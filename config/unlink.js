@@ -0,0 +1,13 @@
+// Unlink request timing (see services/unlinkService.js).
+// The requester picks a cooling-off window; if the partner never answers, the world is
+// still archived after noResponseDays so nobody can be held in a relationship by silence.
+const num = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+    defaultCoolingOffDays: num(process.env.UNLINK_COOLING_OFF_DAYS, 3),
+    maxCoolingOffDays: num(process.env.UNLINK_MAX_COOLING_OFF_DAYS, 14),
+    noResponseDays: num(process.env.UNLINK_NO_RESPONSE_DAYS, 7)
+};
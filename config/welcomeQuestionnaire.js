@@ -0,0 +1,116 @@
+// The welcome questionnaire both partners fill in after pairing (and can retake later).
+// Bump CURRENT_VERSION and add a new entry instead of editing a published version:
+// stored answers and results point at the version they were given against.
+//
+// Question types:
+//   single - one option;      "ordered" options give partial credit for neighbouring answers
+//   multi  - several options; scored by overlap
+//   scale  - integer min..max; scored by distance
+//   text   - free text, shown side by side but never scored
+// weight: how much the question counts inside its category (0 = not scored)
+
+const CURRENT_VERSION = 1;
+
+const versions = {
+    1: {
+        version: 1,
+        categories: {
+            communication: { label: "Communication", weight: 1.5 },
+            lifestyle: { label: "Lifestyle", weight: 1 },
+            affection: { label: "Affection", weight: 1 },
+            future: { label: "Future", weight: 1.5 }
+        },
+        questions: [
+            {
+                key: 'conflict_style', category: 'communication', type: 'single', weight: 2, required: true,
+                prompt: "After an argument, what do you need first?",
+                options: [
+                    { value: 'talk_now', label: "Talk it out right away" },
+                    { value: 'short_break', label: "A short break, then talk" },
+                    { value: 'sleep_on_it', label: "Sleep on it" }
+                ],
+                ordered: true
+            },
+            {
+                key: 'check_in_frequency', category: 'communication', type: 'scale', weight: 1, required: true,
+                prompt: "How often do you like to hear from each other during the day?",
+                min: 1, max: 5, minLabel: "Once is plenty", maxLabel: "All day long"
+            },
+            {
+                key: 'ideal_weekend', category: 'lifestyle', type: 'single', weight: 1, required: true,
+                prompt: "Your ideal weekend looks like…",
+                options: [
+                    { value: 'home', label: "Cozy at home" },
+                    { value: 'friends', label: "Out with friends" },
+                    { value: 'adventure', label: "A little adventure" }
+                ]
+            },
+            {
+                key: 'hobbies', category: 'lifestyle', type: 'multi', weight: 1, required: true, maxSelect: 4,
+                prompt: "Pick the things you love doing together",
+                options: [
+                    { value: 'cooking', label: "Cooking" },
+                    { value: 'movies', label: "Movies & series" },
+                    { value: 'sports', label: "Sports" },
+                    { value: 'travel', label: "Travel" },
+                    { value: 'games', label: "Games" },
+                    { value: 'music', label: "Music & concerts" }
+                ]
+            },
+            {
+                key: 'sleep_schedule', category: 'lifestyle', type: 'single', weight: 0.5, required: true,
+                prompt: "Early bird or night owl?",
+                options: [
+                    { value: 'early', label: "Early bird" },
+                    { value: 'flexible', label: "Somewhere in between" },
+                    { value: 'late', label: "Night owl" }
+                ],
+                ordered: true
+            },
+            {
+                key: 'love_language', category: 'affection', type: 'single', weight: 2, required: true,
+                prompt: "What makes you feel most loved?",
+                options: [
+                    { value: 'words', label: "Kind words" },
+                    { value: 'time', label: "Quality time" },
+                    { value: 'gifts', label: "Little gifts" },
+                    { value: 'acts', label: "Helping hands" },
+                    { value: 'touch', label: "Hugs & touch" }
+                ]
+            },
+            {
+                key: 'affection_in_public', category: 'affection', type: 'scale', weight: 1, required: true,
+                prompt: "How comfortable are you with affection in public?",
+                min: 1, max: 5, minLabel: "Keep it private", maxLabel: "Love it"
+            },
+            {
+                key: 'living_together', category: 'future', type: 'single', weight: 2, required: true,
+                prompt: "When do you picture living together?",
+                options: [
+                    { value: 'already', label: "We already do" },
+                    { value: 'within_year', label: "Within a year" },
+                    { value: 'few_years', label: "In a few years" },
+                    { value: 'not_sure', label: "Not sure yet" }
+                ],
+                ordered: true
+            },
+            {
+                key: 'money_style', category: 'future', type: 'single', weight: 1, required: true,
+                prompt: "How should a couple handle money?",
+                options: [
+                    { value: 'shared', label: "Everything shared" },
+                    { value: 'mixed', label: "A shared pot plus our own" },
+                    { value: 'separate', label: "Keep it separate" }
+                ],
+                ordered: true
+            },
+            {
+                key: 'dream_trip', category: 'future', type: 'text', weight: 0, required: false,
+                prompt: "Where would you love to travel together?",
+                maxLength: 200
+            }
+        ]
+    }
+};
+
+module.exports = { CURRENT_VERSION, versions };
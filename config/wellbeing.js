@@ -0,0 +1,29 @@
+// Wellbeing alerts (see services/wellbeingService.js). The thresholds each couple can tune
+// live in config/coupleSettings.js (slumpAlertDays, moodDropPoints, silenceAfterLowDays, alertCooldownDays).
+//
+// Patterns:
+//   consecutive_lows  - the low streak reached slumpAlertDays
+//   sharp_drop        - a check-in at least moodDropPoints below the average of the days before
+//   silence_after_low - no check-in for silenceAfterLowDays full days after a low day
+
+// Caring actions the partner gets with an alert (the app turns the key into a button)
+const ACTIONS = {
+    call: "Call or video chat, just to listen",
+    note: "Send a sweet note or a voice message",
+    plan: "Plan something cosy together tonight",
+    chore: "Take a chore off the list",
+    ask: "Ask how the day went, no fixing needed",
+    space: "Offer some space and say you're around"
+};
+
+module.exports = {
+    ACTIONS,
+    suggestions: {
+        consecutive_lows: ['call', 'plan', 'chore'],
+        sharp_drop: ['ask', 'note', 'space'],
+        silence_after_low: ['note', 'call']
+    },
+    averageWindowDays: 7,   // the "usual" a sharp drop is measured against
+    minAverageDays: 3,      // fewer logged days than this and there is no usual yet
+    silenceGraceDays: 3     // a low day more than silenceAfterLowDays + this ago no longer raises a silence alert
+};
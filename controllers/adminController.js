@@ -0,0 +1,208 @@
+const { pool } = require('../config/db');
+
+// Each admin-managed library: where it lives and which columns an admin may touch.
+// `fixed` columns are forced on insert and scope every query (quests and coupons share quest_library).
+const LIBRARIES = {
+    quests: {
+        table: 'quest_library',
+        fixed: { type: 'quest' },
+        columns: ['title', 'prompt', 'points_reward', 'category', 'image_required', 'is_custom'],
+        searchColumn: 'title'
+    },
+    coupons: {
+        table: 'quest_library',
+        fixed: { type: 'coupon' },
+        columns: ['title', 'prompt', 'point_cost', 'category'],
+        searchColumn: 'title'
+    },
+    wheel: {
+        table: 'wheel_library',
+        fixed: {},
+        columns: ['title', 'description'],
+        searchColumn: 'title'
+    },
+    'daily-questions': {
+        table: 'daily_questions',
+        fixed: {},
+        columns: ['month', 'day', 'theme', 'question'],
+        searchColumn: 'question',
+        manualId: true // seeded with explicit IDs from dailyQuestions.json, no sequence
+    }
+};
+
+// --- ERROR HANDLER ---
+const handleAdminError = (err, customMessage = "Something went wrong") => {
+    console.error("❌ ADMIN_ERROR:", err.message);
+
+    if (err.code === '23505') {
+        return { status: 400, error: "An item with that ID already exists." };
+    }
+    if (err.code === '22001' || err.code === '22P02') {
+        return { status: 400, error: "One of the fields contains invalid characters or is too long." };
+    }
+
+    return { status: 500, error: customMessage };
+};
+
+// WHERE clause for the fixed columns, starting at placeholder $startAt
+const scopeOf = (lib, startAt = 1) => {
+    const entries = Object.entries(lib.fixed);
+    return {
+        sql: entries.map(([col], i) => `${col} = $${startAt + i}`),
+        params: entries.map(([, value]) => value)
+    };
+};
+
+const insertItem = async (db, lib, item) => {
+    const data = { ...item, ...lib.fixed };
+    const columns = Object.keys(data).filter(c => c !== 'id');
+    const params = columns.map(c => data[c]);
+    const placeholders = columns.map((_, i) => `$${i + 1}`);
+
+    if (lib.manualId) {
+        // Imports may carry their own ID (same as the seed script): upsert on it
+        if (item.id) {
+            columns.push('id');
+            params.push(item.id);
+            placeholders.push(`$${params.length}`);
+            const updates = columns.filter(c => c !== 'id').map(c => `${c} = EXCLUDED.${c}`);
+            const result = await db.query(
+                `INSERT INTO ${lib.table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})
+                 ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}, updated_at = NOW()
+                 RETURNING *`,
+                params
+            );
+            return result.rows[0];
+        }
+        columns.unshift('id');
+        placeholders.unshift(`(SELECT COALESCE(MAX(id), 0) + 1 FROM ${lib.table})`);
+    }
+
+    const result = await db.query(
+        `INSERT INTO ${lib.table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+        params
+    );
+    return result.rows[0];
+};
+
+/**
+ * LIST ITEMS
+ * ?active=true|false|all, ?search=, ?page=, ?limit=
+ */
+exports.listItems = async (req, res) => {
+    const lib = LIBRARIES[req.params.library];
+    const { active, search, page, limit } = req.query;
+
+    try {
+        const scope = scopeOf(lib);
+        const conditions = [...scope.sql];
+        const params = [...scope.params];
+
+        if (active !== 'all') {
+            params.push(active === 'true');
+            conditions.push(`is_active = $${params.length}`);
+        }
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`${lib.searchColumn} ILIKE $${params.length}`);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const countRes = await pool.query(`SELECT COUNT(*)::int AS total FROM ${lib.table} ${where}`, params);
+
+        params.push(limit, (page - 1) * limit);
+        const result = await pool.query(
+            `SELECT * FROM ${lib.table} ${where} ORDER BY id 
+             LIMIT $${params.length - 1} OFFSET $${params.length}`,
+            params
+        );
+
+        res.json({ items: result.rows, page, limit, total: countRes.rows[0].total });
+    } catch (err) {
+        const { status, error } = handleAdminError(err, "Could not load the library.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.createItem = async (req, res) => {
+    const lib = LIBRARIES[req.params.library];
+    try {
+        const item = await insertItem(pool, lib, req.body);
+        res.status(201).json(item);
+    } catch (err) {
+        const { status, error } = handleAdminError(err, "Could not create the item.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.updateItem = async (req, res) => {
+    const lib = LIBRARIES[req.params.library];
+    const columns = Object.keys(req.body).filter(c => lib.columns.includes(c));
+
+    try {
+        const params = columns.map(c => req.body[c]);
+        const sets = columns.map((c, i) => `${c} = $${i + 1}`);
+        params.push(req.params.id);
+        const scope = scopeOf(lib, params.length + 1);
+
+        const result = await pool.query(
+            `UPDATE ${lib.table} SET ${[...sets, 'updated_at = NOW()'].join(', ')} 
+             WHERE ${[`id = $${params.length}`, ...scope.sql].join(' AND ')} RETURNING *`,
+            [...params, ...scope.params]
+        );
+
+        if (result.rowCount === 0) return res.status(404).json({ error: "Item not found." });
+        res.json(result.rows[0]);
+    } catch (err) {
+        const { status, error } = handleAdminError(err, "Could not update the item.");
+        res.status(status).json({ error });
+    }
+};
+
+// Disabling keeps the row (old daily_tasks still reference it) but stops handing it out
+const setActive = (isActive) => async (req, res) => {
+    const lib = LIBRARIES[req.params.library];
+    try {
+        const scope = scopeOf(lib, 3);
+        const result = await pool.query(
+            `UPDATE ${lib.table} SET is_active = $1, updated_at = NOW() 
+             WHERE ${['id = $2', ...scope.sql].join(' AND ')} RETURNING *`,
+            [isActive, req.params.id, ...scope.params]
+        );
+
+        if (result.rowCount === 0) return res.status(404).json({ error: "Item not found." });
+        res.json(result.rows[0]);
+    } catch (err) {
+        const { status, error } = handleAdminError(err, "Could not update the item.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.disableItem = setActive(false);
+exports.enableItem = setActive(true);
+
+/**
+ * BULK IMPORT
+ * All-or-nothing: one bad row rolls back the whole batch.
+ */
+exports.importItems = async (req, res) => {
+    const lib = LIBRARIES[req.params.library];
+    const dbClient = await pool.connect();
+
+    try {
+        await dbClient.query('BEGIN');
+        const imported = [];
+        for (const item of req.body.items) {
+            imported.push(await insertItem(dbClient, lib, item));
+        }
+        await dbClient.query('COMMIT');
+
+        res.status(201).json({ message: `Imported ${imported.length} item(s).`, count: imported.length });
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        const { status, error } = handleAdminError(err, "Import failed. Nothing was saved.");
+        res.status(status).json({ error });
+    } finally {
+        dbClient.release();
+    }
+};
@@ -0,0 +1,195 @@
+const { pool } = require('../config/db');
+const { PHOTO_COLUMNS, formatPhoto, addPhoto, setCover, deletePhoto } = require('../services/photoService');
+
+const handleAlbumError = (err, defaultMsg) => {
+    console.error("❌ ALBUM_ERROR:", err.message);
+    return { status: 500, error: defaultMsg };
+};
+
+// Albums may only hold photos of the same couple
+const albumBelongsToCouple = async (albumId, coupleId) => {
+    if (!albumId) return true;
+    const result = await pool.query('SELECT 1 FROM couple_albums WHERE id = $1 AND couple_id = $2', [albumId, coupleId]);
+    return result.rowCount > 0;
+};
+
+/**
+ * LIST ALBUMS
+ * Every album with its photo count, plus the couple's cover photo.
+ */
+exports.getAlbums = async (req, res) => {
+    const coupleId = req.user.couple_id;
+    try {
+        const [albumsRes, coverRes] = await Promise.all([
+            pool.query(
+                `SELECT a.id, a.title, a.created_by, a.created_at, COALESCE(pc.photo_count, 0) AS photo_count
+                 FROM couple_albums a 
+                 LEFT JOIN (
+                    SELECT album_id, COUNT(*)::int AS photo_count FROM couple_photos 
+                    WHERE couple_id = $1 GROUP BY album_id
+                 ) pc ON pc.album_id = a.id
+                 WHERE a.couple_id = $1 ORDER BY a.created_at DESC`,
+                [coupleId]
+            ),
+            pool.query(
+                `SELECT ${PHOTO_COLUMNS} FROM couple_photos 
+                 WHERE id = (SELECT cover_photo_id FROM couples WHERE id = $1)`,
+                [coupleId]
+            )
+        ]);
+
+        res.json({
+            cover: formatPhoto(coverRes.rows[0]) || null,
+            albums: albumsRes.rows.map(a => ({
+                id: a.id, title: a.title, createdBy: a.created_by, createdAt: a.created_at, photoCount: a.photo_count
+            }))
+        });
+    } catch (err) {
+        const { status, error } = handleAlbumError(err, "Could not load your albums.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.createAlbum = async (req, res) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO couple_albums (couple_id, title, created_by) VALUES ($1, $2, $3) 
+             RETURNING id, title, created_by, created_at`,
+            [req.user.couple_id, req.body.title, req.user.id]
+        );
+        const album = result.rows[0];
+        res.status(201).json({ id: album.id, title: album.title, createdBy: album.created_by, createdAt: album.created_at, photoCount: 0 });
+    } catch (err) {
+        const { status, error } = handleAlbumError(err, "Could not create the album.");
+        res.status(status).json({ error });
+    }
+};
+
+// Photos in a deleted album stay in the couple's library, just without an album
+exports.deleteAlbum = async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM couple_albums WHERE id = $1 AND couple_id = $2 RETURNING id', [req.params.id, req.user.couple_id]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: "Album not found." });
+        res.json({ message: "Album deleted. Its photos are still in your library." });
+    } catch (err) {
+        const { status, error } = handleAlbumError(err, "Could not delete the album.");
+        res.status(status).json({ error });
+    }
+};
+
+/**
+ * LIST PHOTOS
+ * ?albumId= (optional), ?page=, ?limit= — newest first by the day the photo was taken.
+ */
+exports.getPhotos = async (req, res) => {
+    const coupleId = req.user.couple_id;
+    const { albumId, page, limit } = req.query;
+
+    try {
+        const params = [coupleId];
+        let where = 'couple_id = $1';
+        if (albumId) {
+            params.push(albumId);
+            where += ` AND album_id = $${params.length}`;
+        }
+
+        const countRes = await pool.query(`SELECT COUNT(*)::int AS total FROM couple_photos WHERE ${where}`, params);
+        const photosRes = await pool.query(
+            `SELECT ${PHOTO_COLUMNS} FROM couple_photos WHERE ${where} 
+             ORDER BY taken_on DESC NULLS LAST, id DESC 
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({ photos: photosRes.rows.map(formatPhoto), page, limit, total: countRes.rows[0].total });
+    } catch (err) {
+        const { status, error } = handleAlbumError(err, "Could not load your photos.");
+        res.status(status).json({ error });
+    }
+};
+
+/**
+ * UPLOAD PHOTO
+ * multipart "image" + caption, takenOn, albumId. The partner sees it appear live.
+ */
+exports.uploadPhoto = async (req, res) => {
+    const coupleId = req.user.couple_id;
+    const { caption, takenOn, albumId } = req.body;
+
+    try {
+        if (!req.file) return res.status(400).json({ error: "No image file provided." });
+        if (!(await albumBelongsToCouple(albumId, coupleId))) return res.status(404).json({ error: "Album not found." });
+
+        const photo = formatPhoto(await addPhoto(coupleId, req.user.id, req.file.buffer, { caption, takenOn, albumId }));
+
+        const io = req.app.get('socketio');
+        if (io) io.to(`couple_${coupleId}`).emit('photo_added', { ...photo, senderId: req.user.id });
+
+        res.status(201).json(photo);
+    } catch (err) {
+        const { status, error } = handleAlbumError(err, "Failed to upload the photo.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.updatePhoto = async (req, res) => {
+    const coupleId = req.user.couple_id;
+    const { caption, takenOn, albumId } = req.body;
+
+    try {
+        if (!(await albumBelongsToCouple(albumId, coupleId))) return res.status(404).json({ error: "Album not found." });
+
+        // albumId: null takes the photo out of its album; undefined leaves it where it is
+        const result = await pool.query(
+            `UPDATE couple_photos SET 
+                caption = CASE WHEN $3 THEN $4 ELSE caption END,
+                taken_on = COALESCE($5::date, taken_on),
+                album_id = CASE WHEN $6 THEN $7::int ELSE album_id END
+             WHERE id = $1 AND couple_id = $2
+             RETURNING ${PHOTO_COLUMNS}`,
+            [req.params.id, coupleId, caption !== undefined, caption ?? null, takenOn ?? null, albumId !== undefined, albumId ?? null]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: "Photo not found." });
+
+        res.json(formatPhoto(result.rows[0]));
+    } catch (err) {
+        const { status, error } = handleAlbumError(err, "Could not update the photo.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.deletePhoto = async (req, res) => {
+    try {
+        const deleted = await deletePhoto(req.user.couple_id, req.params.id);
+        if (!deleted) return res.status(404).json({ error: "Photo not found." });
+
+        const io = req.app.get('socketio');
+        if (io) io.to(`couple_${req.user.couple_id}`).emit('photo_deleted', { id: req.params.id, senderId: req.user.id });
+
+        res.json({ message: "Photo deleted." });
+    } catch (err) {
+        const { status, error } = handleAlbumError(err, "Could not delete the photo.");
+        res.status(status).json({ error });
+    }
+};
+
+// photoId: null clears the cover
+exports.setCover = async (req, res) => {
+    const coupleId = req.user.couple_id;
+    const { photoId } = req.body;
+
+    try {
+        const cover = await setCover(pool, coupleId, photoId);
+        if (photoId && !cover) return res.status(404).json({ error: "Photo not found." });
+
+        const io = req.app.get('socketio');
+        if (io) io.to(`couple_${coupleId}`).emit('cover_changed', { cover: formatPhoto(cover), senderId: req.user.id });
+
+        res.json({ cover: formatPhoto(cover) });
+    } catch (err) {
+        const { status, error } = handleAlbumError(err, "Could not change the cover.");
+        res.status(status).json({ error });
+    }
+};
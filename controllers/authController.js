@@ -1,15 +1,19 @@
+const crypto = require('crypto');
 const { pool } = require('../config/db');
+const emailVerification = require('../config/emailVerification');
+const authThrottle = require('../config/authThrottle');
 const userModel = require('../models/userModel');
+const sessionModel = require('../models/sessionModel');
+const identityModel = require('../models/identityModel');
+const { getProvider } = require('../services/identityProviders');
+const { 
+    startSession, rotateSession, endSession, generateChallengeToken, verifyChallengeToken 
+} = require('../services/sessionService');
+const { buildKeys, getRetryAfter, recordFailure, clearFailures } = require('../services/throttleService');
+const totp = require('../utils/totp');
+const { sendTooMany } = require('../middlewares/throttle');
 const hashing = require('../utils/hashing');
-const jwt = require('jsonwebtoken');
 const { sendEmail } = require('../utils/sendMail');
-const { validateForgotPassword, validateResetPassword } = require('../middlewares/validator');
-const { OAuth2Client } = require('google-auth-library');
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
-
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
-};
 
 // --- ERROR HANDLER ---
 const handleAuthError = (err, customMessage = "Something went wrong") => {
@@ -31,10 +35,117 @@ const handleAuthError = (err, customMessage = "Something went wrong") => {
     if (err.name === 'JsonWebTokenError') {
         return { status: 401, error: "Invalid session. Please login again." };
     }
+    // Google (or any provider) refused the token
+    if (err.name === 'IdentityVerificationError') {
+        return { status: 401, error: "We couldn't verify that sign-in. Please try again." };
+    }
 
     return { status: 500, error: customMessage };
 };
 
+// Charges a failed attempt to the throttle counters; answers 429 if that tipped them into a lockout
+const rejectAttempt = async (req, res, status, message) => {
+    const retryAfter = await recordFailure(req.throttleKeys || []);
+    if (retryAfter > 0) return sendTooMany(res, retryAfter);
+    return res.status(status).json({ error: message });
+};
+
+// Counts a wrong reset code against the user; returns true once the code has been burned
+const chargeWrongResetCode = async (userId) => {
+    const result = await pool.query(
+        'UPDATE users SET reset_attempts = reset_attempts + 1 WHERE id = $1 RETURNING reset_attempts',
+        [userId]
+    );
+    if (result.rows[0].reset_attempts < authThrottle.maxResetCodeAttempts) return false;
+
+    await pool.query(
+        'UPDATE users SET reset_code = NULL, reset_expires = NULL, reset_attempts = 0 WHERE id = $1',
+        [userId]
+    );
+    return true;
+};
+
+// Login reads SELECT * from users: never send credentials back to the client
+const SECRET_COLUMNS = [
+    'password_hash', 'reset_code', 'verify_code', 'email_change_code', 
+    'totp_secret', 'totp_pending_secret', 'totp_last_step'
+];
+const stripSecrets = (user) => {
+    const safe = { ...user };
+    SECRET_COLUMNS.forEach(col => delete safe[col]);
+    return safe;
+};
+
+// Hands out the session, or a 2FA challenge first if the user turned it on
+const completeLogin = async (user, req, res) => {
+    const twoFactorRes = await pool.query('SELECT totp_enabled FROM users WHERE id = $1', [user.id]);
+    if (twoFactorRes.rows[0]?.totp_enabled) {
+        return res.json({ 
+            twoFactorRequired: true, 
+            challengeToken: generateChallengeToken(user.id) 
+        });
+    }
+
+    const { token, refreshToken } = await startSession(user.id, req);
+    res.json({ user: stripSecrets(user), token, refreshToken });
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+const normaliseRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+// Replaces every recovery code of a user and returns the new plain codes (shown once)
+const issueRecoveryCodes = async (dbClient, userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+
+    await dbClient.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+        await dbClient.query(
+            'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+            [userId, hashing.hashToken(normaliseRecoveryCode(code))]
+        );
+    }
+    return codes;
+};
+
+// Accepts the TOTP code once per time step; true if it was valid
+const checkTotpCode = async (user, code) => {
+    const step = totp.verifyCode(totp.decryptSecret(user.totp_secret), code);
+    if (step === null || (user.totp_last_step && step <= Number(user.totp_last_step))) return false;
+
+    // Conditional write: of two requests racing with the same code, only one claims the step
+    const claimed = await pool.query(
+        'UPDATE users SET totp_last_step = $1 WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)',
+        [step, user.id]
+    );
+    return claimed.rowCount > 0;
+};
+
+const generateCode = () => crypto.randomInt(100000, 1000000).toString();
+
+// Stores a hashed verification code on the user and mails the plain one (same pattern as the reset code)
+const sendVerificationCode = async (userId, email) => {
+    const code = generateCode();
+    const hashedCode = await hashing.hashPassword(code);
+    const expires = new Date(Date.now() + emailVerification.codeTtlMinutes * 60000);
+
+    await pool.query(
+        'UPDATE users SET verify_code = $1, verify_expires = $2, verify_sent_at = NOW(), verify_attempts = 0 WHERE id = $3',
+        [hashedCode, expires, userId]
+    );
+
+    const emailHtml = `
+        <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+            <h1 style="color: #f43f5e;">${code}</h1>
+            <p>Welcome to TwoFold! Enter this code to verify your email. It expires in ${emailVerification.codeTtlMinutes} minutes.</p>
+        </div>`;
+
+    await sendEmail(email, "Verify your email", emailHtml);
+};
+
 // --- AUTHENTICATION ---
 
 exports.register = async (req, res) => {
@@ -43,8 +154,18 @@ exports.register = async (req, res) => {
     try {
         const hashedPassword = await hashing.hashPassword(password);
         const user = await userModel.create(email, hashedPassword, name);
-        const token = generateToken(user.id);
-        res.status(201).json({ user, token });
+        const { token, refreshToken } = await startSession(user.id, req);
+
+        // The account exists either way; a mail hiccup only means they use "resend" later
+        let verificationSent = true;
+        try {
+            await sendVerificationCode(user.id, email);
+        } catch (emailErr) {
+            console.error("Mailer Error:", emailErr);
+            verificationSent = false;
+        }
+
+        res.status(201).json({ user, token, refreshToken, verificationSent });
     } catch (err) {
         const { status, error } = handleAuthError(err, "Failed to create your account.");
         res.status(status).json({ error });
@@ -56,14 +177,14 @@ exports.login = async (req, res) => {
     const { password } = req.body;
     try {
         const user = await userModel.findByEmail(email);
-        if (!user) return res.status(401).json({ error: "Invalid email or password." });
+        // Accounts created through Google have no password until they set one
+        if (!user || !user.password_hash) return rejectAttempt(req, res, 401, "Invalid email or password.");
 
         const isMatch = await hashing.comparePassword(password, user.password_hash);
-        if (!isMatch) return res.status(401).json({ error: "Invalid email or password." });
+        if (!isMatch) return rejectAttempt(req, res, 401, "Invalid email or password.");
 
-        delete user.password_hash;
-        const token = generateToken(user.id);
-        res.json({ user, token });
+        await clearFailures(req.throttleKeys || []);
+        await completeLogin(user, req, res);
     } catch (err) {
         const { status, error } = handleAuthError(err, "Login currently unavailable. Try again shortly.");
         res.status(status).json({ error });
@@ -73,24 +194,55 @@ exports.login = async (req, res) => {
 exports.googleAuth = async (req, res) => {
     const { idToken } = req.body;
     try {
-        const ticket = await client.verifyIdToken({
-            idToken,
-            audience: process.env.GOOGLE_CLIENT_ID,
-        });
-        const { email, name } = ticket.getPayload();
-        let userRes = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-        let user = userRes.rows[0];
-
-     if (!user) {
-    const insertRes = await pool.query(
-        'INSERT INTO users (email, name, password_hash) VALUES ($1, $2, $3) RETURNING id, email, name, couple_id', 
-        [email, name, 'google-auth-account']
-    );
-    user = insertRes.rows[0];
-}
+        const profile = await getProvider('google').verify(idToken);
+        let user;
+
+        // 1. Known Google identity (or a legacy one we can now claim by email, if Google verified it)
+        let identity = await identityModel.findByProviderId('google', profile.providerUserId);
+        if (!identity && profile.emailVerified === true) {
+            const legacy = await identityModel.findUnclaimedByEmail('google', profile.email);
+            if (legacy) identity = await identityModel.claim(legacy.id, profile.providerUserId);
+        } else if (identity) {
+            await identityModel.touch(identity.id);
+        }
+
+        if (identity) {
+            user = await userModel.findById(identity.user_id);
+        } else {
+            // 2. Never merge silently into a password account with the same email
+            const existing = await userModel.findByEmail(profile.email);
+            if (existing) {
+                return res.status(409).json({ 
+                    error: "An account with this email already exists. Log in with your password, then link Google from your settings.",
+                    code: 'IDENTITY_NOT_LINKED'
+                });
+            }
+
+            // 3. Brand new Google-only account
+            const dbClient = await pool.connect();
+            try {
+                await dbClient.query('BEGIN');
+                const insertRes = await dbClient.query(
+                    `INSERT INTO users (email, name, password_hash, email_verified) VALUES ($1, $2, NULL, $3) 
+                     RETURNING id, email, name, nickname, avatar_id, couple_id, gender, pronouns, points, email_verified, created_at`, 
+                    [profile.email, profile.name, profile.emailVerified]
+                );
+                user = insertRes.rows[0];
+                await dbClient.query(
+                    `INSERT INTO user_identities (user_id, provider, provider_user_id, email, last_used_at) 
+                     VALUES ($1, 'google', $2, $3, NOW())`,
+                    [user.id, profile.providerUserId, profile.email]
+                );
+                await dbClient.query('COMMIT');
+            } catch (txErr) {
+                await dbClient.query('ROLLBACK');
+                throw txErr;
+            } finally {
+                dbClient.release();
+            }
+        }
 
-        const token = generateToken(user.id);
-        res.json({ user, token });
+        await completeLogin(user, req, res);
     } catch (err) {
         const { status, error } = handleAuthError(err, "Google authentication failed.");
         res.status(status).json({ error });
@@ -98,9 +250,6 @@ exports.googleAuth = async (req, res) => {
 };
 
 exports.forgotPassword = async (req, res) => {
-    const { error: validationError } = validateForgotPassword(req.body);
-    if (validationError) return res.status(400).json({ error: validationError.details[0].message });
-
     const { email } = req.body;
 
     try {
@@ -109,12 +258,12 @@ exports.forgotPassword = async (req, res) => {
             return res.status(404).json({ error: "No account found with this email address." });
         }
 
-        const code = Math.floor(100000 + Math.random() * 900000).toString();
+        const code = generateCode();
         const hashedCode = await hashing.hashPassword(code);
         const expires = new Date(Date.now() + 10 * 60000); 
 
         await pool.query(
-            'UPDATE users SET reset_code = $1, reset_expires = $2 WHERE email = $3', 
+            'UPDATE users SET reset_code = $1, reset_expires = $2, reset_attempts = 0 WHERE email = $3', 
             [hashedCode, expires, email]
         );
         
@@ -147,10 +296,15 @@ exports.verifyResetCode = async (req, res) => {
         );
         const user = result.rows[0];
 
-        if (!user) return res.status(400).json({ error: "This code has expired or is invalid." });
+        if (!user || !user.reset_code) return rejectAttempt(req, res, 400, "This code has expired or is invalid.");
 
         const isMatch = await hashing.comparePassword(code, user.reset_code);
-        if (!isMatch) return res.status(400).json({ error: "That code doesn't match our records." });
+        if (!isMatch) {
+            const burned = await chargeWrongResetCode(user.id);
+            return rejectAttempt(req, res, 400, burned 
+                ? "Too many wrong codes. Please request a new one." 
+                : "That code doesn't match our records.");
+        }
 
         res.json({ message: "Code verified! You can now set a new password." });
     } catch (err) {
@@ -160,30 +314,597 @@ exports.verifyResetCode = async (req, res) => {
 };
 
 exports.resetPassword = async (req, res) => {
-    const { error: validationError } = validateResetPassword(req.body);
-    if (validationError) return res.status(400).json({ error: validationError.details[0].message });
-
     const { email, code, newPassword } = req.body;
     try {
         const userRes = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
         const user = userRes.rows[0];
 
-        if (!user || !user.reset_expires || new Date() > user.reset_expires) {
-            return res.status(400).json({ error: "Your reset session has expired. Please request a new code." });
+        if (!user || !user.reset_code || !user.reset_expires || new Date() > user.reset_expires) {
+            return rejectAttempt(req, res, 400, "Your reset session has expired. Please request a new code.");
         }
 
         const isMatch = await hashing.comparePassword(code, user.reset_code);
-        if (!isMatch) return res.status(400).json({ error: "Invalid reset code." });
+        if (!isMatch) {
+            const burned = await chargeWrongResetCode(user.id);
+            return rejectAttempt(req, res, 400, burned 
+                ? "Too many wrong codes. Please request a new one." 
+                : "Invalid reset code.");
+        }
 
         const hashed = await hashing.hashPassword(newPassword);
         await pool.query(
-            'UPDATE users SET password_hash = $1, reset_code = NULL, reset_expires = NULL WHERE email = $2', 
+            'UPDATE users SET password_hash = $1, reset_code = NULL, reset_expires = NULL, reset_attempts = 0 WHERE email = $2', 
             [hashed, email]
         );
+        await clearFailures(req.throttleKeys || []);
+
+        // A reset means the old password may be compromised: sign out every device
+        await sessionModel.revokeAll(user.id);
 
-        res.json({ message: "Success! Your password has been updated." });
+        res.json({ message: "Success! Your password has been updated. Please login again." });
     } catch (err) { 
         const { status, error } = handleAuthError(err, "Failed to update password. Please try again.");
         res.status(status).json({ error });
     }
-};
\ No newline at end of file
+};
+// --- CREDENTIAL CHANGES (signed in) ---
+
+exports.changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    try {
+        const userRes = await pool.query('SELECT email, password_hash FROM users WHERE id = $1', [req.user.id]);
+        const user = userRes.rows[0];
+        if (!user) return res.status(404).json({ error: "User not found" });
+        if (!user.password_hash) {
+            return res.status(400).json({ error: "You don't have a password yet. Use set password instead." });
+        }
+
+        const isMatch = await hashing.comparePassword(currentPassword, user.password_hash);
+        if (!isMatch) return res.status(401).json({ error: "Your current password is incorrect." });
+
+        const hashed = await hashing.hashPassword(newPassword);
+        await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [hashed, req.user.id]);
+
+        // Stay signed in here, sign out everywhere else
+        await sessionModel.revokeAll(req.user.id, req.user.session_id);
+
+        try {
+            await sendEmail(user.email, "Your password was changed", `
+                <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+                    <p>Your TwoFold password was just changed and your other devices were signed out.</p>
+                    <p>If this wasn't you, reset your password right away.</p>
+                </div>`);
+        } catch (emailErr) {
+            console.error("Mailer Error:", emailErr);
+        }
+
+        res.json({ message: "Password updated! Other devices have been signed out." });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Failed to update password. Please try again.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.requestEmailChange = async (req, res) => {
+    const newEmail = req.body.newEmail.toLowerCase().trim();
+    try {
+        const userRes = await pool.query('SELECT email, password_hash FROM users WHERE id = $1', [req.user.id]);
+        const user = userRes.rows[0];
+        if (!user) return res.status(404).json({ error: "User not found" });
+        if (newEmail === user.email) return res.status(400).json({ error: "That's already your email address." });
+
+        // Password accounts must re-enter it; Google-only accounts are trusted on their session
+        if (user.password_hash) {
+            if (!req.body.password) return res.status(400).json({ error: "Please confirm with your password." });
+            const isMatch = await hashing.comparePassword(req.body.password, user.password_hash);
+            if (!isMatch) return res.status(401).json({ error: "Incorrect password." });
+        }
+
+        const taken = await userModel.findByEmail(newEmail);
+        if (taken) return res.status(400).json({ error: "This email is already registered." });
+
+        const code = generateCode();
+        const hashedCode = await hashing.hashPassword(code);
+        const expires = new Date(Date.now() + emailVerification.codeTtlMinutes * 60000);
+
+        await pool.query(
+            `UPDATE users SET pending_email = $1, email_change_code = $2, 
+             email_change_expires = $3, email_change_attempts = 0 WHERE id = $4`,
+            [newEmail, hashedCode, expires, req.user.id]
+        );
+
+        try {
+            await sendEmail(newEmail, "Confirm your new email", `
+                <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+                    <h1 style="color: #f43f5e;">${code}</h1>
+                    <p>Enter this code in TwoFold to confirm your new email. It expires in ${emailVerification.codeTtlMinutes} minutes.</p>
+                </div>`);
+        } catch (emailErr) {
+            console.error("Mailer Error:", emailErr);
+            return res.status(500).json({ error: "The email server is busy. Please try again in a few minutes." });
+        }
+
+        // Heads-up to the current address in case the account was taken over
+        try {
+            await sendEmail(user.email, "Email change requested", `
+                <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+                    <p>Someone asked to change your TwoFold email to <b>${newEmail}</b>.</p>
+                    <p>If this wasn't you, change your password and sign out all devices from your settings.</p>
+                </div>`);
+        } catch (emailErr) {
+            console.error("Mailer Error:", emailErr);
+        }
+
+        res.json({ message: `We sent a code to ${newEmail}. Enter it to finish the change.` });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not start the email change.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.confirmEmailChange = async (req, res) => {
+    try {
+        const userRes = await pool.query(
+            'SELECT pending_email, email_change_code, email_change_expires, email_change_attempts FROM users WHERE id = $1',
+            [req.user.id]
+        );
+        const user = userRes.rows[0];
+
+        if (!user?.pending_email || !user.email_change_code || new Date() > user.email_change_expires) {
+            return res.status(400).json({ error: "This code has expired. Please request the change again." });
+        }
+
+        const isMatch = await hashing.comparePassword(req.body.code, user.email_change_code);
+        if (!isMatch) {
+            // Same rule as reset codes: too many wrong guesses burns the code
+            if (user.email_change_attempts + 1 >= authThrottle.maxResetCodeAttempts) {
+                await pool.query(
+                    `UPDATE users SET pending_email = NULL, email_change_code = NULL, 
+                     email_change_expires = NULL, email_change_attempts = 0 WHERE id = $1`,
+                    [req.user.id]
+                );
+                return res.status(400).json({ error: "Too many wrong codes. Please request the change again." });
+            }
+            await pool.query('UPDATE users SET email_change_attempts = email_change_attempts + 1 WHERE id = $1', [req.user.id]);
+            return res.status(400).json({ error: "That code doesn't match our records." });
+        }
+
+        const updated = await pool.query(
+            `UPDATE users SET email = pending_email, email_verified = true, pending_email = NULL, 
+             email_change_code = NULL, email_change_expires = NULL, email_change_attempts = 0 
+             WHERE id = $1 RETURNING email`,
+            [req.user.id]
+        );
+
+        res.json({ message: "Email updated!", email: updated.rows[0].email });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not update your email.");
+        res.status(status).json({ error });
+    }
+};
+
+// --- LINKED IDENTITIES ---
+
+exports.getIdentities = async (req, res) => {
+    try {
+        const [userRes, identities] = await Promise.all([
+            pool.query('SELECT password_hash IS NOT NULL AS has_password FROM users WHERE id = $1', [req.user.id]),
+            identityModel.listForUser(req.user.id)
+        ]);
+
+        res.json({ 
+            hasPassword: userRes.rows[0]?.has_password || false, 
+            identities 
+        });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not load your login methods.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.linkIdentity = async (req, res) => {
+    const { provider } = req.params;
+    const { idToken } = req.body;
+
+    const verifier = getProvider(provider);
+    if (!verifier) return res.status(400).json({ error: `Unknown login provider: ${provider}` });
+
+    try {
+        const profile = await verifier.verify(idToken);
+
+        const taken = await identityModel.findByProviderId(provider, profile.providerUserId);
+        if (taken && taken.user_id !== req.user.id) {
+            return res.status(409).json({ error: "That account is already linked to another TwoFold user." });
+        }
+        if (taken) return res.json({ message: "Already linked." });
+
+        const identity = await identityModel.create(req.user.id, provider, profile.providerUserId, profile.email);
+
+        // A provider-verified copy of the same address counts as verifying it
+        if (profile.emailVerified) {
+            await pool.query(
+                'UPDATE users SET email_verified = true WHERE id = $1 AND LOWER(email) = $2',
+                [req.user.id, profile.email]
+            );
+        }
+
+        res.status(201).json({ message: "Login method linked!", identity });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(400).json({ error: `You already have a ${provider} account linked. Unlink it first.` });
+        }
+        const { status, error } = handleAuthError(err, "Could not link that account.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.unlinkIdentity = async (req, res) => {
+    const { provider } = req.params;
+    try {
+        const [userRes, identities] = await Promise.all([
+            pool.query('SELECT password_hash IS NOT NULL AS has_password FROM users WHERE id = $1', [req.user.id]),
+            identityModel.listForUser(req.user.id)
+        ]);
+
+        if (!identities.some(i => i.provider === provider)) {
+            return res.status(404).json({ error: "That login method isn't linked." });
+        }
+
+        // Never leave an account without any way to sign in
+        const methodCount = identities.length + (userRes.rows[0]?.has_password ? 1 : 0);
+        if (methodCount <= 1) {
+            return res.status(400).json({ error: "This is your only way to sign in. Set a password or link another account first." });
+        }
+
+        await identityModel.remove(req.user.id, provider);
+        res.json({ message: "Login method removed." });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not unlink that account.");
+        res.status(status).json({ error });
+    }
+};
+
+// For accounts that were created through Google and never had a password
+exports.setPassword = async (req, res) => {
+    try {
+        const hashed = await hashing.hashPassword(req.body.newPassword);
+        const result = await pool.query(
+            'UPDATE users SET password_hash = $1 WHERE id = $2 AND password_hash IS NULL RETURNING id',
+            [hashed, req.user.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(400).json({ error: "You already have a password. Use change password instead." });
+        }
+
+        res.json({ message: "Password set! You can now log in with your email too." });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Failed to set your password.");
+        res.status(status).json({ error });
+    }
+};
+
+// --- TWO-FACTOR AUTHENTICATION ---
+
+// Step 2 of login: exchange the challenge token + a TOTP or recovery code for a session
+exports.verifyTwoFactorLogin = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) return res.status(401).json({ error: "Your login step expired. Please sign in again." });
+
+    try {
+        req.throttleKeys = buildKeys('twoFactor', `user-${userId}`, req.ip);
+        const retryAfter = await getRetryAfter(req.throttleKeys);
+        if (retryAfter > 0) return sendTooMany(res, retryAfter);
+
+        const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+        const user = userRes.rows[0];
+        if (!user || !user.totp_enabled) return res.status(400).json({ error: "Two-factor authentication is not enabled." });
+
+        let passed = false;
+        let usedRecoveryCode = false;
+        if (code) {
+            passed = await checkTotpCode(user, code);
+        } else {
+            const used = await pool.query(
+                `UPDATE user_recovery_codes SET used_at = NOW() 
+                 WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id`,
+                [userId, hashing.hashToken(normaliseRecoveryCode(recoveryCode))]
+            );
+            passed = used.rowCount > 0;
+            usedRecoveryCode = passed;
+        }
+
+        if (!passed) return rejectAttempt(req, res, 401, "That code isn't right. Please try again.");
+        await clearFailures(req.throttleKeys);
+
+        const remainingRes = await pool.query(
+            'SELECT COUNT(*)::int AS remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+            [userId]
+        );
+
+        const publicUser = await userModel.findById(userId);
+        const { token, refreshToken } = await startSession(userId, req);
+        res.json({ 
+            user: publicUser, 
+            token, 
+            refreshToken,
+            ...(usedRecoveryCode && { recoveryCodesRemaining: remainingRes.rows[0].remaining })
+        });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Two-factor check failed. Please try again.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const userRes = await pool.query('SELECT email, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+        const user = userRes.rows[0];
+        if (!user) return res.status(404).json({ error: "User not found" });
+        if (user.totp_enabled) return res.status(400).json({ error: "Two-factor authentication is already on." });
+
+        // Nothing changes until /2fa/confirm proves the authenticator app has the secret
+        const secret = totp.generateSecret();
+        await pool.query(
+            'UPDATE users SET totp_pending_secret = $1 WHERE id = $2',
+            [totp.encryptSecret(secret), req.user.id]
+        );
+
+        res.json({ 
+            secret, 
+            otpauthUri: totp.buildOtpauthUri(secret, user.email),
+            message: "Scan the QR code with your authenticator app, then enter the 6-digit code."
+        });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not start two-factor setup.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.confirmTwoFactor = async (req, res) => {
+    const dbClient = await pool.connect();
+    try {
+        const userRes = await dbClient.query('SELECT totp_enabled, totp_pending_secret FROM users WHERE id = $1', [req.user.id]);
+        const user = userRes.rows[0];
+        if (!user?.totp_pending_secret) return res.status(400).json({ error: "Start two-factor setup first." });
+
+        const pendingSecret = totp.decryptSecret(user.totp_pending_secret);
+        const step = totp.verifyCode(pendingSecret, req.body.code);
+        if (step === null) return res.status(400).json({ error: "That code doesn't match. Check your authenticator app." });
+
+        await dbClient.query('BEGIN');
+        await dbClient.query(
+            `UPDATE users SET totp_enabled = true, totp_secret = totp_pending_secret, 
+             totp_pending_secret = NULL, totp_last_step = $1 WHERE id = $2`,
+            [step, req.user.id]
+        );
+        const recoveryCodes = await issueRecoveryCodes(dbClient, req.user.id);
+        await dbClient.query('COMMIT');
+
+        res.json({ 
+            message: "Two-factor authentication is on! Save these recovery codes somewhere safe.", 
+            recoveryCodes 
+        });
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        const { status, error } = handleAuthError(err, "Could not turn on two-factor authentication.");
+        res.status(status).json({ error });
+    } finally {
+        dbClient.release();
+    }
+};
+
+exports.regenerateRecoveryCodes = async (req, res) => {
+    const dbClient = await pool.connect();
+    try {
+        // Same budget as the login step: a signed-in session must not be able to guess codes freely
+        req.throttleKeys = buildKeys('twoFactor', `user-${req.user.id}`, req.ip);
+        const retryAfter = await getRetryAfter(req.throttleKeys);
+        if (retryAfter > 0) return sendTooMany(res, retryAfter);
+
+        const userRes = await dbClient.query('SELECT id, totp_enabled, totp_secret, totp_last_step FROM users WHERE id = $1', [req.user.id]);
+        const user = userRes.rows[0];
+        if (!user?.totp_enabled) return res.status(400).json({ error: "Two-factor authentication is not enabled." });
+
+        if (!(await checkTotpCode(user, req.body.code))) {
+            return rejectAttempt(req, res, 400, "That code doesn't match. Check your authenticator app.");
+        }
+        await clearFailures(req.throttleKeys);
+
+        await dbClient.query('BEGIN');
+        const recoveryCodes = await issueRecoveryCodes(dbClient, req.user.id);
+        await dbClient.query('COMMIT');
+
+        res.json({ message: "New recovery codes generated. The old ones no longer work.", recoveryCodes });
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        const { status, error } = handleAuthError(err, "Could not generate new recovery codes.");
+        res.status(status).json({ error });
+    } finally {
+        dbClient.release();
+    }
+};
+
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        // Same budget as the other 2FA codes: a stolen session must not be able to guess the password here
+        req.throttleKeys = buildKeys('twoFactor', `user-${req.user.id}`, req.ip);
+        const retryAfter = await getRetryAfter(req.throttleKeys);
+        if (retryAfter > 0) return sendTooMany(res, retryAfter);
+
+        const userRes = await pool.query('SELECT password_hash, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+        const user = userRes.rows[0];
+        if (!user?.totp_enabled) return res.status(400).json({ error: "Two-factor authentication is not enabled." });
+        if (!user.password_hash) {
+            return res.status(400).json({ error: "Set a password first, then you can turn off two-factor authentication." });
+        }
+
+        const isMatch = await hashing.comparePassword(req.body.password, user.password_hash);
+        if (!isMatch) return rejectAttempt(req, res, 401, "Incorrect password.");
+        await clearFailures(req.throttleKeys);
+
+        await pool.query(
+            `UPDATE users SET totp_enabled = false, totp_secret = NULL, 
+             totp_pending_secret = NULL, totp_last_step = NULL WHERE id = $1`,
+            [req.user.id]
+        );
+        await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.user.id]);
+
+        res.json({ message: "Two-factor authentication is off." });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not turn off two-factor authentication.");
+        res.status(status).json({ error });
+    }
+};
+
+// --- EMAIL VERIFICATION ---
+
+exports.verifyEmail = async (req, res) => {
+    try {
+        // Signed in, so the account counter is the user rather than an email from the body
+        req.throttleKeys = buildKeys('verifyEmail', `user-${req.user.id}`, req.ip);
+        const retryAfter = await getRetryAfter(req.throttleKeys);
+        if (retryAfter > 0) return sendTooMany(res, retryAfter);
+
+        const userRes = await pool.query(
+            'SELECT email_verified, verify_code, verify_expires FROM users WHERE id = $1', 
+            [req.user.id]
+        );
+        const user = userRes.rows[0];
+
+        if (!user) return res.status(404).json({ error: "User not found" });
+        if (user.email_verified) return res.json({ message: "Your email is already verified.", emailVerified: true });
+
+        if (!user.verify_code || !user.verify_expires || new Date() > user.verify_expires) {
+            return rejectAttempt(req, res, 400, "This code has expired. Please request a new one.");
+        }
+
+        const isMatch = await hashing.comparePassword(req.body.code, user.verify_code);
+        if (!isMatch) {
+            // Same rule as reset codes: too many wrong guesses burns the code
+            const charged = await pool.query(
+                'UPDATE users SET verify_attempts = verify_attempts + 1 WHERE id = $1 RETURNING verify_attempts',
+                [req.user.id]
+            );
+            if (charged.rows[0].verify_attempts >= authThrottle.maxResetCodeAttempts) {
+                await pool.query(
+                    'UPDATE users SET verify_code = NULL, verify_expires = NULL, verify_attempts = 0 WHERE id = $1',
+                    [req.user.id]
+                );
+                return rejectAttempt(req, res, 400, "Too many wrong codes. Please request a new one.");
+            }
+            return rejectAttempt(req, res, 400, "That code doesn't match our records.");
+        }
+
+        await pool.query(
+            'UPDATE users SET email_verified = true, verify_code = NULL, verify_expires = NULL, verify_attempts = 0 WHERE id = $1',
+            [req.user.id]
+        );
+        await clearFailures(req.throttleKeys);
+
+        res.json({ message: "Email verified! You're all set.", emailVerified: true });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Verification failed. Please try again.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.resendVerification = async (req, res) => {
+    try {
+        const userRes = await pool.query(
+            'SELECT email, email_verified, verify_sent_at FROM users WHERE id = $1', 
+            [req.user.id]
+        );
+        const user = userRes.rows[0];
+
+        if (!user) return res.status(404).json({ error: "User not found" });
+        if (user.email_verified) return res.status(400).json({ error: "Your email is already verified." });
+
+        // Cooldown so the endpoint can't be used to spam an inbox
+        if (user.verify_sent_at) {
+            const nextAllowed = new Date(user.verify_sent_at).getTime() + emailVerification.resendCooldownSeconds * 1000;
+            const retryAfter = Math.ceil((nextAllowed - Date.now()) / 1000);
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: `Please wait ${retryAfter}s before requesting another code.`, retryAfter });
+            }
+        }
+
+        try {
+            await sendVerificationCode(req.user.id, user.email);
+            res.json({ message: "A new code is on its way! Check your inbox." });
+        } catch (emailErr) {
+            console.error("Mailer Error:", emailErr);
+            return res.status(500).json({ error: "The email server is busy. Please try again in a few minutes." });
+        }
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not resend the verification code.");
+        res.status(status).json({ error });
+    }
+};
+
+// --- SESSIONS ---
+
+exports.refresh = async (req, res) => {
+    const { refreshToken } = req.body;
+    try {
+        const rotated = await rotateSession(refreshToken);
+        if (!rotated) return res.status(401).json({ error: "Invalid session. Please login again." });
+
+        res.json({ token: rotated.token, refreshToken: rotated.refreshToken });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not refresh your session.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.logout = async (req, res) => {
+    const { refreshToken } = req.body;
+    try {
+        // Always answer the same way so a stale token doesn't block the client from logging out
+        await endSession(refreshToken);
+        res.json({ message: "Logged out." });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Logout failed.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await sessionModel.listActive(req.user.id);
+        res.json(sessions.map(s => ({
+            ...s,
+            isCurrent: s.id === req.user.session_id
+        })));
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not load your devices.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.revokeSession = async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const revoked = await sessionModel.revoke(sessionId, req.user.id);
+        if (!revoked) return res.status(404).json({ error: "Session not found or already signed out." });
+
+        res.json({ message: "Device signed out." });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not sign out that device.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.revokeAllSessions = async (req, res) => {
+    // ?keepCurrent=true signs out every OTHER device
+    const keepCurrent = req.query.keepCurrent === true;
+    try {
+        const count = await sessionModel.revokeAll(req.user.id, keepCurrent ? req.user.session_id : null);
+        res.json({ message: `Signed out of ${count} device(s).`, count });
+    } catch (err) {
+        const { status, error } = handleAuthError(err, "Could not sign out your devices.");
+        res.status(status).json({ error });
+    }
+};
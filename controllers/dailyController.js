@@ -1,5 +1,10 @@
 const { pool } = require('../config/db');
-const { createNotification } = require('../services/notificationService');
+const { createNotification, pronounsOf } = require('../services/notificationService');
+const { todayForUser } = require('../services/timezoneService');
+const { awardCoupleXp } = require('../services/coupleEvolutionService');
+const { getCoupleSettings } = require('../services/settingsService');
+const { MONTH_NAMES, formatPartnerAnswer, buildArchive } = require('../services/dailyService');
+const { parseDateKey } = require('../utils/dates');
 
 /**
  * GET DAILY TASK / QUESTION
@@ -7,18 +12,14 @@ const { createNotification } = require('../services/notificationService');
  */
 exports.getDailyTask = async (req, res) => {
     try {
-        const today = new Date();
-        const monthNames = [
-            "January", "February", "March", "April", "May", "June",
-            "July", "August", "September", "October", "November", "December"
-        ];
-        
-        const currentMonth = monthNames[today.getMonth()];
-        const currentDay = today.getDate();
+        // The question of the user's own calendar day (their timezone)
+        const today = parseDateKey(await todayForUser(pool, req.user.id));
+        const currentMonth = MONTH_NAMES[today.getUTCMonth()];
+        const currentDay = today.getUTCDate();
 
         // Match based on your seeded table structure (Month and Day)
         const result = await pool.query(
-            "SELECT * FROM daily_questions WHERE month = $1 AND day = $2 LIMIT 1",
+            "SELECT * FROM daily_questions WHERE month = $1 AND day = $2 AND is_active = true LIMIT 1",
             [currentMonth, currentDay]
         );
 
@@ -39,12 +40,12 @@ exports.getDailyTask = async (req, res) => {
 exports.submitAnswer = async (req, res) => {
     const { question_id, answer, is_shared } = req.body;
     const userId = req.user.id;
-    
-    // 1. Generate a clean YYYY-MM-DD for the unique constraint
-    const todayStr = new Date().toISOString().split('T')[0];
-    const day_key = `${todayStr}-${userId}`; // Ensure variable name matches the one used in the array below
 
     try {
+        // 1. Generate a clean YYYY-MM-DD (the user's own day) for the unique constraint
+        const todayStr = await todayForUser(pool, userId);
+        const day_key = `${todayStr}-${userId}`; // Ensure variable name matches the one used in the array below
+
         // 2. Fetch Couple ID directly to avoid 404 "Couple Not Found" if middleware fails
         const userRes = await pool.query("SELECT couple_id FROM users WHERE id = $1", [userId]);
         const coupleId = userRes.rows[0]?.couple_id;
@@ -65,6 +66,9 @@ exports.submitAnswer = async (req, res) => {
         const couple = coupleResult.rows[0];
         const partnerId = (couple.creator_id === userId) ? couple.partner_id : couple.creator_id;
 
+        const { dailyReveal } = await getCoupleSettings(pool, coupleId);
+        const existing = await pool.query("SELECT id, is_shared FROM daily_answers WHERE day_key = $1", [day_key]);
+
         // 4. Upsert answer using the UNIQUE day_key
         // This prevents a user from answering the same question twice on the same day
         const result = await pool.query(
@@ -76,15 +80,44 @@ exports.submitAnswer = async (req, res) => {
             [userId, coupleId, question_id, answer, is_shared, day_key]
         );
 
-        // 5. Notify Partner if shared
+        const io = req.app.get('socketio');
+
+        // 5. One answer a day earns XP for the couple (editing it doesn't earn again)
+        await awardCoupleXp({ coupleId, userId, source: 'daily_answer', sourceKey: `daily_answer:${day_key}` }, io);
+
+        // 6. In 'both_answered' mode, both answers open up once both of them are in and shared:
+        // the save that completes that is the moment to tell both partners
+        const partnerRes = partnerId && dailyReveal === 'both_answered'
+            ? await pool.query(
+                "SELECT is_shared FROM daily_answers WHERE user_id = $1 AND day_key LIKE $2 AND question_id = $3",
+                [partnerId, `${todayStr}%`, question_id])
+            : null;
+        const partnerAnswered = partnerRes?.rowCount > 0;
+        const revealed = partnerAnswered && partnerRes.rows[0].is_shared && is_shared && !existing.rows[0]?.is_shared;
+
+        if (revealed && io) {
+            io.to(`couple_${coupleId}`).emit('daily_reveal', {
+                questionId: question_id,
+                day: todayStr,
+                message: "You both answered today's question. Time to reveal! 🎁"
+            });
+        }
+
+        // 7. Notify Partner if shared
         if (is_shared && partnerId) {
-            const io = req.app.get('socketio');
+            const { their } = await pronounsOf(userId);
+            let message = `Your partner shared ${their} thoughts for today! ✍️`;
+            if (revealed) {
+                message = `Your partner answered too. Both answers are revealed! 🎁`;
+            } else if (dailyReveal === 'both_answered' && !partnerAnswered) {
+                message = `Your partner answered today's question. Answer yours to see ${their} thoughts! 🔒`;
+            }
             // Ensure notificationService is imported at the top of this file
             await createNotification({
                 recipientId: partnerId,
                 senderId: userId,
                 type: 'daily_answer',
-                message: `Your partner shared their thoughts for today! ✍️`,
+                message,
                 link: `/daily`
             }, io);
         }
@@ -99,14 +132,16 @@ exports.submitAnswer = async (req, res) => {
 
 /**
  * GET TODAY'S STATUS
- * Returns your answer and your partner's answer (if they shared it)
+ * Returns your answer and your partner's answer (if they shared it and, in the couple's
+ * 'both_answered' reveal mode, once you've answered too)
  */
 exports.getDailyStatus = async (req, res) => {
     const userId = req.user.id;
     const coupleId = req.user.couple_id;
-    const todayStr = new Date().toISOString().split('T')[0];
 
     try {
+        const todayStr = await todayForUser(pool, userId);
+
         // Fetch both answers for the couple for today
         const result = await pool.query(
             `SELECT * FROM daily_answers 
@@ -118,22 +153,42 @@ exports.getDailyStatus = async (req, res) => {
         const myAnswer = result.rows.find(row => row.user_id === userId) || null;
         const partnerAnswerRaw = result.rows.find(row => row.user_id !== userId) || null;
 
-        // Security: Only send partner's answer text if is_shared is true
-        let partnerAnswer = null;
-        if (partnerAnswerRaw) {
-            partnerAnswer = {
-                id: partnerAnswerRaw.id,
-                is_shared: partnerAnswerRaw.is_shared,
-                answer: partnerAnswerRaw.is_shared ? partnerAnswerRaw.answer : "Hidden until shared",
-                created_at: partnerAnswerRaw.created_at
-            };
-        }
+        // Security: Only send partner's answer text if is_shared is true (and the reveal mode allows it)
+        const { dailyReveal } = await getCoupleSettings(pool, coupleId);
+        const partnerAnswer = formatPartnerAnswer(partnerAnswerRaw, {
+            revealMode: dailyReveal,
+            viewerAnswered: !!myAnswer && (!partnerAnswerRaw || myAnswer.question_id === partnerAnswerRaw.question_id)
+        });
 
         res.json({
             myAnswer,
-            partnerAnswer
+            partnerAnswer,
+            revealMode: dailyReveal
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * GET ARCHIVE
+ * Past daily questions with both answers, one month at a time (?month=YYYY-MM, defaults to this month).
+ */
+exports.getArchive = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const today = await todayForUser(pool, userId);
+        const month = req.query.month || today.slice(0, 7);
+
+        if (month > today.slice(0, 7)) {
+            return res.status(400).json({ error: "That month hasn't happened yet." });
+        }
+
+        const archive = await buildArchive(pool, { coupleId: req.user.couple_id, userId, month, today });
+        res.json(archive);
+    } catch (err) {
+        console.error("❌ DAILY_ARCHIVE_ERROR:", err.message);
+        res.status(500).json({ error: "Could not load the question archive." });
+    }
+};
@@ -0,0 +1,73 @@
+const { pool } = require('../config/db');
+const { getCoupleEvolutionSummary } = require('../services/coupleEvolutionService');
+const { getEvolutionProgress, APP_LEVELS } = require('../services/evolutionService');
+const { buyStreakFreeze, getEvolutionHistory } = require('../services/streakService');
+const { xpRewards } = require('../config/coupleEvolution');
+const { maxFreezes, freezeCost } = require('../config/streaks');
+
+const handleEvolutionError = (err, defaultMsg) => {
+    if (err.status) return { status: err.status, error: err.message };
+    console.error("❌ EVOLUTION_ERROR:", err.message);
+    return { status: 500, error: defaultMsg };
+};
+
+/**
+ * GET COUPLE EVOLUTION
+ * The world's shared level, XP towards the next one, unlocks, each partner's share and the latest awards.
+ */
+exports.getCoupleEvolution = async (req, res) => {
+    try {
+        const evolution = await getCoupleEvolutionSummary(pool, req.user.couple_id, req.user.id);
+        res.json({ ...evolution, xpRewards });
+    } catch (err) {
+        const { status, error } = handleEvolutionError(err, "Could not load your world's evolution.");
+        res.status(status).json({ error });
+    }
+};
+
+/**
+ * GET MY EVOLUTION
+ * Individual level and streaks, streak freezes, and the history of what happened to them (?page=&limit=).
+ */
+exports.getMyEvolution = async (req, res) => {
+    const { page, limit } = req.query;
+
+    try {
+        const userRes = await pool.query(
+            `SELECT level, streak_high, streak_steady, streak_low, streak_freezes, points FROM users WHERE id = $1`,
+            [req.user.id]
+        );
+        const user = userRes.rows[0];
+        const levelData = APP_LEVELS[user.level] || APP_LEVELS[1];
+
+        res.json({
+            level: user.level,
+            levelName: levelData.name,
+            levelIcon: levelData.icon,
+            progress: getEvolutionProgress(user.streak_high, user.streak_steady),
+            streaks: { high: user.streak_high, steady: user.streak_steady, low: user.streak_low },
+            freezes: { count: user.streak_freezes, max: maxFreezes, cost: freezeCost },
+            points: user.points,
+            history: await getEvolutionHistory(pool, req.user.id, { page, limit }),
+            page,
+            limit
+        });
+    } catch (err) {
+        const { status, error } = handleEvolutionError(err, "Could not load your evolution.");
+        res.status(status).json({ error });
+    }
+};
+
+/**
+ * BUY STREAK FREEZE
+ * Trades points for a freeze that covers one missed day.
+ */
+exports.buyStreakFreeze = async (req, res) => {
+    try {
+        const { freezes, points } = await buyStreakFreeze(req.user.id);
+        res.json({ message: "Streak freeze ready! 🧊", freezes, points });
+    } catch (err) {
+        const { status, error } = handleEvolutionError(err, "Could not buy a streak freeze.");
+        res.status(status).json({ error });
+    }
+};
@@ -1,5 +1,7 @@
 const { pool } = require('../config/db');
-const { createNotification } = require('../services/notificationService');
+const { createNotification, pronounsOf } = require('../services/notificationService');
+const { todayForUser } = require('../services/timezoneService');
+const { awardCoupleXp } = require('../services/coupleEvolutionService');
 
 /**
  * Saves or updates the daily journal (highlight) and gratitude.
@@ -9,12 +11,12 @@ exports.upsertHighlightGratitude = async (req, res) => {
     const { highlight, gratitude } = req.body;
     const userId = req.user.id;
     const coupleId = req.user.couple_id;
-    
-    // Create a date string and a unique day_key (YYYY-MM-DD-userId)
-    const today = new Date().toISOString().split('T')[0];
-    const dayKey = `${today}-${userId}`;
 
     try {
+        // Create a date string (the user's own day) and a unique day_key (YYYY-MM-DD-userId)
+        const today = await todayForUser(pool, userId);
+        const dayKey = `${today}-${userId}`;
+
         // 1. Identify the partner using your creator_id / partner_id schema
         const coupleResult = await pool.query(
             "SELECT creator_id, partner_id FROM couples WHERE id = $1", 
@@ -42,13 +44,19 @@ exports.upsertHighlightGratitude = async (req, res) => {
             [userId, coupleId, highlight, gratitude, dayKey]
         );
 
-        // 3. Notify partner of the update
+        // 3. A day with gratitude written down earns XP for the couple
+        if (gratitude) {
+            await awardCoupleXp({ coupleId, userId, source: 'gratitude', sourceKey: `gratitude:${dayKey}` }, req.app.get('socketio'));
+        }
+
+        // 4. Notify partner of the update
         if (partnerId) {
+            const { their } = await pronounsOf(userId);
             await createNotification({
                 recipientId: partnerId,
                 senderId: userId,
                 type: 'highlight_update',
-                message: `Your partner updated their daily journal and gratitude! ✨`,
+                message: `Your partner updated ${their} daily journal and gratitude! ✨`,
                 link: '/' // Directs them to the dashboard to read it
             });
         }
@@ -67,9 +75,10 @@ exports.upsertHighlightGratitude = async (req, res) => {
 exports.getDailyHighlights = async (req, res) => {
     const userId = req.user.id;
     const coupleId = req.user.couple_id;
-    const today = new Date().toISOString().split('T')[0];
 
     try {
+        const today = await todayForUser(pool, userId);
+
         // Fetch entries for the couple for the current day
         // We JOIN with users to get nickname and avatar_id for the UI
         const result = await pool.query(
@@ -1,114 +1,72 @@
 const { pool } = require('../config/db');
-const { calculateNextStats } = require('../services/evolutionService');
-
-const MOOD_MAP = {
-    1: { emoji: "😩", label: "Exhausted" },
-    2: { emoji: "😔", label: "Low" },
-    3: { emoji: "😕", label: "Meh" },
-    4: { emoji: "😐", label: "Neutral" },
-    5: { emoji: "🙂", label: "Okay" },
-    6: { emoji: "😊", label: "Good" },
-    7: { emoji: "😌", label: "Chilled" },
-    8: { emoji: "✨", label: "High Vibe" },
-    9: { emoji: "🤩", label: "Radiant" },
-    10: { emoji: "🔥", label: "Elite" },
-};
+const { recordCheckIn, formatEntry, getEntries, ENTRY_COLUMNS } = require('../services/moodService');
+const { checkAfterCheckIn } = require('../services/wellbeingService');
+const { awardCoupleXp } = require('../services/coupleEvolutionService');
+const { notifyDayRules } = require('../services/streakService');
+const { todayForUser } = require('../services/timezoneService');
+const { MOOD_MAP, analytics } = require('../config/moods');
+const { buildMoodAnalytics } = require('../services/moodAnalyticsService');
+const { addDays, daysBetween } = require('../utils/dates');
 
 /**
- * UPSERT MOOD
+ * UPSERT MOOD (CHECK-IN)
+ * Every call adds a timestamped check-in with an optional reason (tags) and note.
+ * The couple's moodStatsEntry setting decides which of the day's check-ins drives streaks.
  */
 exports.upsertMood = async (req, res) => {
-    const { score } = req.body; // Expecting 1-10
+    const { score, tags, note, isShared } = req.body; // score: 1-10
     const userId = req.user.id;
     const coupleId = req.user.couple_id;
-    const today = new Date().toISOString().split('T')[0];
-    const dayKey = `${today}-${userId}`;
 
     const client = await pool.connect();
 
     try {
-        await client.query('BEGIN');
-
-        // 1. Check if mood for today already exists
-        const existingMood = await client.query(
-            "SELECT id FROM moods WHERE day_key = $1", [dayKey]
-        );
-
-        // 2. Fetch current user stats
-        const userRes = await client.query(
-            "SELECT streak_high, streak_steady, streak_low, level, nickname FROM users WHERE id = $1",
-            [userId]
-        );
-        const user = userRes.rows[0];
-
-        // 3. Fetch recent mood for trend
-        const lastMoodRes = await client.query(
-            "SELECT score FROM moods WHERE user_id = $1 AND day_key != $2 ORDER BY created_at DESC LIMIT 1",
-            [userId, dayKey]
-        );
-
-        let evolutionResults = { didLevelUp: false, level: user.level };
-
-        // 4. EVOLUTION LOGIC (Only on first entry of the day)
-        if (existingMood.rows.length === 0) {
-            const lastScore = lastMoodRes.rows.length > 0 ? lastMoodRes.rows[0].score : null;
-            evolutionResults = calculateNextStats(user, score, lastScore);
-
-            await client.query(
-                `UPDATE users 
-                 SET streak_high = $1, streak_steady = $2, streak_low = $3, level = $4 
-                 WHERE id = $5`,
-                [evolutionResults.streak_high, evolutionResults.streak_steady, evolutionResults.streak_low, evolutionResults.level, userId]
-            );
-        }
-
-        // 5. UPSERT the mood entry
-        const moodResult = await client.query(
-            `INSERT INTO moods (user_id, couple_id, score, first_score, day_key) 
-             VALUES ($1, $2, $3, $3, $4) 
-             ON CONFLICT (day_key) 
-             DO UPDATE SET score = $3, updated_at = NOW()
-             RETURNING *`,
-            [userId, coupleId, score, dayKey]
-        );
+        // The day is the user's own calendar day (their timezone), not the server's
+        const today = await todayForUser(client, userId);
 
+        await client.query('BEGIN');
+        const { entry, summary, evolution, before, paused, dayRules } = await recordCheckIn(client, {
+            userId, coupleId, day: today, score, tags, note, isShared
+        });
         await client.query('COMMIT');
 
-        // 6. REAL-TIME SOCKET ALERTS
-       const io = req.app.get('socketio');
+        // REAL-TIME SOCKET ALERTS
+        const io = req.app.get('socketio');
         const moodInfo = MOOD_MAP[score] || { emoji: "😶", label: "Unknown" };
         
         if (io) {
             // Alert A: Level Up (Celebration for both)
-            if (evolutionResults.didLevelUp) {
+            if (evolution.didLevelUp && evolution.level > before.level) {
                 io.to(`couple_${coupleId}`).emit('level_up', {
-                    nickname: user.nickname,
-                    newLevel: evolutionResults.level,
-                    message: `✨ ${user.nickname} reached Level ${evolutionResults.level}! ✨`
+                    nickname: before.nickname,
+                    newLevel: evolution.level,
+                    message: `✨ ${before.nickname} reached Level ${evolution.level}! ✨`
                 });
             }
 
             // Alert B: Mood Update (Silent Dashboard Sync)
-            // This updates the partner's UI without necessarily triggering a "Buzz" notification
+            // This updates the partner's UI without necessarily triggering a "Buzz" notification.
+            // The reason and note only travel when the check-in was shared.
             io.to(`couple_${coupleId}`).emit('mood_update', {
                 senderId: userId,
                 score,
                 label: moodInfo.label,
                 emoji: moodInfo.emoji,
-                message: `${user.nickname} is feeling ${moodInfo.label} ${moodInfo.emoji}`
+                entry: formatEntry(entry, { forPartner: true }),
+                message: `${before.nickname} is feeling ${moodInfo.label} ${moodInfo.emoji}`
             });
-
-            // Alert C: The 3-Day Slump "Buzz"
-            // This only triggers when the trend becomes serious
-            if (evolutionResults.streak_low >= 3) {
-                io.to(`couple_${coupleId}`).emit('slump_alert', {
-                    senderId: userId,
-                    message: `💌 ${user.nickname} has been feeling low for ${evolutionResults.streak_low} days. Reach out with some extra love today.`
-                });
-            }
         }
 
-        // 7. DYNAMIC JSON RESPONSE (The "Inserter's" Private Message)
+        // Missed days judged on the way in (freeze used, streak broken, level slipped)
+        await notifyDayRules(userId, dayRules, io);
+
+        // Alert C: slumps and sharp drops, stored and sent to the partner as wellbeing alerts
+        await checkAfterCheckIn({ userId, coupleId, day: today, score, evolution, before }, io);
+
+        // The day's first check-in feeds the couple's shared track
+        await awardCoupleXp({ coupleId, userId, source: 'mood', sourceKey: `mood:${today}-${userId}` }, io);
+
+        // DYNAMIC JSON RESPONSE (The "Inserter's" Private Message)
         let feedbackMessage = "Mood saved."; 
 
         if (score <= 3) {
@@ -118,8 +76,10 @@ exports.upsertMood = async (req, res) => {
         }
 
         res.status(200).json({ 
-            mood: moodResult.rows[0], 
-            evolution: evolutionResults,
+            mood: summary, 
+            entry: formatEntry(entry),
+            evolution,
+            paused,
             message: feedbackMessage 
         });
 
@@ -131,21 +91,75 @@ exports.upsertMood = async (req, res) => {
         client.release();
     }
 };
+
+/**
+ * GET TODAY MOOD
+ * The day's summary plus every check-in so far (null before the first one).
+ */
 exports.getTodayMood = async (req, res) => {
     const userId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
-    const dayKey = `${today}-${userId}`;
 
     try {
+        const today = await todayForUser(pool, userId);
+        const dayKey = `${today}-${userId}`;
+
         const result = await pool.query("SELECT * FROM moods WHERE day_key = $1", [dayKey]);
-        res.json(result.rows[0] || null);
+        if (!result.rows[0]) return res.json(null);
+
+        const entries = await getEntries(pool, userId, [today]);
+        res.json({ ...result.rows[0], entries: entries.map(e => formatEntry(e)) });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 };
 
+/**
+ * GET MY CHECK-INS
+ * ?day=YYYY-MM-DD (defaults to today): every check-in of that day, oldest first.
+ */
+exports.getMyEntries = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const day = req.query.day || await todayForUser(pool, userId);
+        const entries = await getEntries(pool, userId, [day]);
+        res.json({ day, entries: entries.map(e => formatEntry(e)) });
+    } catch (err) {
+        console.error("❌ MOOD_ENTRIES_ERROR:", err.message);
+        res.status(500).json({ error: "Could not load your check-ins." });
+    }
+};
+
+/**
+ * UPDATE CHECK-IN
+ * The reason, note and who may see them can change; the score is a moment in time (check in again instead).
+ */
+exports.updateEntry = async (req, res) => {
+    const { tags, note, isShared } = req.body;
+
+    try {
+        const result = await pool.query(
+            `UPDATE mood_entries SET 
+                tags = COALESCE($1, tags),
+                note = CASE WHEN $2::boolean THEN $3 ELSE note END,
+                is_shared = COALESCE($4, is_shared),
+                updated_at = NOW()
+             WHERE id = $5 AND user_id = $6
+             RETURNING ${ENTRY_COLUMNS}`,
+            [tags || null, note !== undefined, note || null, isShared ?? null, req.params.id, req.user.id]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: "Check-in not found." });
+
+        res.json(formatEntry(result.rows[0]));
+    } catch (err) {
+        console.error("❌ MOOD_ENTRY_UPDATE_ERROR:", err.message);
+        res.status(500).json({ error: "Could not update the check-in." });
+    }
+};
+
 /**
  * GET PARTNER SUMMARY (7-Day History)
+ * Each day carries the partner's check-ins; reasons and notes only for the ones they shared.
  */
 exports.getPartnerSummary = async (req, res) => {
     const userId = req.user.id;
@@ -170,16 +184,49 @@ exports.getPartnerSummary = async (req, res) => {
             [partner.id]
         );
 
+        const days = historyRes.rows.map(row => row.day_key.slice(0, 10));
+        const entries = days.length > 0 ? await getEntries(pool, partner.id, days) : [];
+
         res.json({
             partnerNickname: partner.nickname,
             partnerLevel: partner.level,
             history: historyRes.rows.map(row => ({
                 ...row,
                 label: MOOD_MAP[row.score]?.label,
-                emoji: MOOD_MAP[row.score]?.emoji
+                emoji: MOOD_MAP[row.score]?.emoji,
+                entries: entries
+                    .filter(e => e.mood_day === row.day_key.slice(0, 10))
+                    .map(e => formatEntry(e, { forPartner: true }))
             }))
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * GET MOOD ANALYTICS
+ * ?from=&to= (YYYY-MM-DD, inclusive). Defaults to the last 30 days up to the user's today.
+ * Daily series for both partners, weekly/monthly averages, volatility, weekdays, alignment and streaks.
+ */
+exports.getMoodAnalytics = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const to = req.query.to || await todayForUser(pool, userId);
+        const from = req.query.from || addDays(to, -(analytics.defaultRangeDays - 1));
+
+        if (from > to) {
+            return res.status(400).json({ error: "The start of the range must be before its end." });
+        }
+        if (daysBetween(from, to) + 1 > analytics.maxRangeDays) {
+            return res.status(400).json({ error: `Pick a range of at most ${analytics.maxRangeDays} days.` });
+        }
+
+        const result = await buildMoodAnalytics(userId, req.user.couple_id, from, to);
+        res.json(result);
+    } catch (err) {
+        console.error("❌ MOOD_ANALYTICS_ERROR:", err.message);
+        res.status(500).json({ error: "Could not load your mood analytics." });
+    }
+};
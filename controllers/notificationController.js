@@ -3,8 +3,8 @@ const { pool } = require('../config/db');
 exports.getNotifications = async (req, res) => {
     try {
         const result = await pool.query(
-            "SELECT * FROM notifications WHERE recipient_id = $1 ORDER BY created_at DESC LIMIT 20",
-            [req.user.id]
+            "SELECT * FROM notifications WHERE recipient_id = $1 ORDER BY created_at DESC LIMIT $2",
+            [req.user.id, req.query.limit || 20]
         );
         res.json(result.rows);
     } catch (err) {
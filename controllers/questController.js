@@ -1,13 +1,17 @@
 const { pool } = require('../config/db');
-const { createNotification } = require('../services/notificationService');
+const { createNotification, pronounsOf } = require('../services/notificationService');
 const cloudinary = require('../config/cloudinary');
 const sharp = require('sharp');
+const { getActivePause, formatPause } = require('../services/pauseService');
+const { getCoupleSettings } = require('../services/settingsService');
+const { todayForUser } = require('../services/timezoneService');
+const { awardCoupleXp } = require('../services/coupleEvolutionService');
 
-// --- HELPER: Probability Logic (Rare Coupons, Frequent Savology) ---
-const rollForTaskType = () => {
+// --- HELPER: Probability Logic (the couple's taskOdds setting, see config/coupleSettings.js) ---
+const rollForTaskType = (odds) => {
     const roll = Math.random() * 100;
-    if (roll < 15) return 'Coupon';    // ~4 times a month
-    if (roll < 60) return 'Savology';  // Most frequent
+    if (roll < odds.coupon) return 'Coupon';
+    if (roll < odds.coupon + odds.savology) return 'Savology';
     return 'Quest';                    // Activity
 };
 
@@ -22,9 +26,10 @@ const compressImage = async (buffer) => {
 exports.setCustomQuest = async (req, res) => {
     const { targetUserId, questText } = req.body;
     const senderId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
 
     try {
+        // The quest belongs to the partner's day, in the partner's timezone
+        const today = await todayForUser(pool, targetUserId);
         const result = await pool.query(
             `UPDATE daily_tasks 
              SET custom_prompt = $1 
@@ -55,9 +60,10 @@ exports.setCustomQuest = async (req, res) => {
 exports.getTodayQuest = async (req, res) => {
     const userId = req.user.id;
     const coupleId = req.user.couple_id;
-    const today = new Date().toISOString().split('T')[0];
 
     try {
+        const today = await todayForUser(pool, userId);
+
         // 1. Fetch the task first
         let taskRes = await pool.query(
             `SELECT t.*, q.title, q.prompt as original_prompt, q.image_required, q.is_custom
@@ -69,7 +75,18 @@ exports.getTodayQuest = async (req, res) => {
 
         // 2. GENERATION LOGIC: If no task row exists for today
         if (taskRes.rows.length === 0) {
-            const taskType = rollForTaskType(); // Ensure this helper function is defined
+            // A paused world gets no new tasks until it resumes
+            const pause = await getActivePause(pool, coupleId);
+            if (pause) {
+                return res.json({ 
+                    paused: true, 
+                    pause: formatPause(pause, userId), 
+                    message: "Your world is paused. No quest today. ⏸️" 
+                });
+            }
+
+            const { taskOdds } = await getCoupleSettings(pool, coupleId);
+            const taskType = rollForTaskType(taskOdds);
             let taskId = null;
             let taskTitle = (taskType === 'Savology') ? "Savology Board" : "Daily Task";
             let taskPrompt = (taskType === 'Savology') ? "Roll the dice to move!" : "";
@@ -78,6 +95,7 @@ exports.getTodayQuest = async (req, res) => {
                 const randomQuest = await pool.query(`
     SELECT * FROM quest_library 
     WHERE type = $1 
+    AND is_active = true
     AND id NOT IN (
         SELECT task_id FROM daily_tasks 
         WHERE user_id = $2 AND task_id IS NOT NULL 
@@ -118,7 +136,9 @@ exports.getTodayQuest = async (req, res) => {
 
         if (task.task_type === 'Savology') {
             const userPos = await pool.query("SELECT savology_position FROM users WHERE id = $1", [userId]);
-            task.current_position = userPos.rows[0].savology_position || 0;
+            const { savologyBoardSize } = await getCoupleSettings(pool, coupleId);
+            task.board_size = savologyBoardSize;
+            task.current_position = (userPos.rows[0].savology_position || 0) % savologyBoardSize;
             task.title = "Savology Board";
             task.displayPrompt = "Roll the dice to move! 🎲";
         } else {
@@ -148,20 +168,20 @@ exports.getTodayQuest = async (req, res) => {
 exports.rollSavology = async (req, res) => {
     const userId = req.user.id;
     const diceRoll = Math.floor(Math.random() * 6) + 1;
-    const BOARD_SIZE = 8; 
 
     try {
+        const { savologyBoardSize } = await getCoupleSettings(pool, req.user.couple_id);
         const userRes = await pool.query("SELECT savology_position FROM users WHERE id = $1", [userId]);
-        let newPos = ((userRes.rows[0].savology_position || 0) + diceRoll) % BOARD_SIZE;
+        let newPos = ((userRes.rows[0].savology_position || 0) + diceRoll) % savologyBoardSize;
 
         await pool.query("UPDATE users SET savology_position = $1 WHERE id = $2", [newPos, userId]);
         // Savology is auto-approved because the "Board" is the result
         await pool.query(
-            "UPDATE daily_tasks SET status = 'approved' WHERE user_id = $1 AND scheduled_date = CURRENT_DATE AND task_type = 'Savology'",
-            [userId]
+            "UPDATE daily_tasks SET status = 'approved' WHERE user_id = $1 AND scheduled_date = $2 AND task_type = 'Savology'",
+            [userId, await todayForUser(pool, userId)]
         );
 
-        res.json({ roll: diceRoll, newPosition: newPos });
+        res.json({ roll: diceRoll, newPosition: newPos, boardSize: savologyBoardSize });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -174,9 +194,12 @@ exports.submitVerdict = async (req, res) => {
     const coupleId = req.user.couple_id;
 
     try {
+        // Only the partner judges: the task must be in the judge's world and not their own
         const result = await pool.query(
-            `UPDATE daily_tasks SET status = $1 WHERE id = $2 RETURNING user_id, task_type`,
-            [status, taskId]
+            `UPDATE daily_tasks SET status = $1 
+             WHERE id = $2 AND couple_id = $3 AND user_id != $4 
+             RETURNING user_id, task_type`,
+            [status, taskId, coupleId, judgeId]
         );
         
         if (result.rowCount === 0) return res.status(404).json({ error: "Task not found" });
@@ -193,6 +216,15 @@ exports.submitVerdict = async (req, res) => {
         });
 
         const io = req.app.get('socketio');
+
+        // An approved quest earns XP for the couple, credited to whoever did it
+        if (status === 'approved') {
+            await awardCoupleXp({
+                coupleId, userId: targetUserId,
+                source: 'quest_approved', sourceKey: `quest:${taskId}`
+            }, io);
+        }
+
         io.to(`couple_${coupleId}`).emit('quest_update', {
             status,
             message: status === 'failed' ? "Quest Rejected ❌" : "Quest Approved ✅",
@@ -242,13 +274,14 @@ exports.submitAppeal = async (req, res) => {
         // --- SAFETY CHECK END ---
 
         const partnerId = partnerRes.rows[0].id;
+        const { their } = await pronounsOf(userId);
 
         // 3. Create Notification for the Partner
         await createNotification({
             recipientId: partnerId,
             senderId: userId,
             type: 'quest_appeal',
-            message: `Your partner appealed their failed quest! Read their defense. 🛡️`
+            message: `Your partner appealed ${their} failed quest! Read ${their} defense. 🛡️`
         });
 
         res.json({ success: true, message: "Appeal submitted! Waiting for the judge's mercy." });
@@ -263,12 +296,27 @@ exports.submitAppeal = async (req, res) => {
 exports.finalizeVerdict = async (req, res) => {
     const { taskId, finalStatus, publicIdToDelete } = req.body;
     const judgeId = req.user.id;
+    const coupleId = req.user.couple_id;
 
     try {
-        await pool.query(`UPDATE daily_tasks SET status = $1 WHERE id = $2`, [finalStatus, taskId]);
+        // Only the partner judges: the task must be in the judge's world and not their own
+        const task = await pool.query(
+            `UPDATE daily_tasks SET status = $1 
+             WHERE id = $2 AND couple_id = $3 AND user_id != $4 
+             RETURNING user_id`,
+            [finalStatus, taskId, coupleId, judgeId]
+        );
+        if (task.rowCount === 0) return res.status(404).json({ error: "Task not found" });
+
+        // An appeal won still counts as an approved quest (once, whichever verdict approved it)
+        if (finalStatus === 'approved') {
+            await awardCoupleXp({
+                coupleId, userId: task.rows[0].user_id,
+                source: 'quest_approved', sourceKey: `quest:${taskId}`
+            }, req.app.get('socketio'));
+        }
 
         if (finalStatus === 'failed') {
-            const task = await pool.query("SELECT user_id FROM daily_tasks WHERE id = $1", [taskId]);
             if (publicIdToDelete) await cloudinary.uploader.destroy(publicIdToDelete);
 
             await createNotification({
@@ -1,23 +1,42 @@
 const { pool } = require('../config/db');
-const cloudinary = require('cloudinary').v2;
-const sharp = require('sharp');
+const { archiveSharedWorld } = require('../services/coupleService');
+const { findPendingUnlink, formatUnlinkRequest, executeUnlink } = require('../services/unlinkService');
+const { createNotification } = require('../services/notificationService');
+const unlinkConfig = require('../config/unlink');
+const { getActivePause, isCouplePaused, formatPause, pauseCouple, resumeCouple } = require('../services/pauseService');
+const { recordStatusChange } = require('../services/timelineService');
+const { getQuestionnaire, completeRound, buildComparison, startNewRound } = require('../services/welcomeService');
+const { formatPhoto, addPhoto, setCover, deletePhoto } = require('../services/photoService');
+const { recordFailure } = require('../services/throttleService');
+const { getCoupleEvolution } = require('../services/evolutionService');
+const { sendTooMany } = require('../middlewares/throttle');
+const { 
+    generateUniqueInviteCode, inviteExpiry, generateInviteLink, buildInviteDeepLink, verifyInviteSignature 
+} = require('../utils/inviteCodes');
+
+// Everything the app needs to show / share an invite (text code, link, QR payload)
+const invitePayload = (inviteCode, expiresAt) => ({
+    inviteCode,
+    inviteLink: generateInviteLink(inviteCode),
+    inviteExpiresAt: expiresAt,
+    deepLink: buildInviteDeepLink(inviteCode, expiresAt)
+});
 
-const generateInviteLink = (inviteCode) => {
-    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-    return `${baseUrl}/join?code=${inviteCode}`;
+// Wrong or stale invite codes count against the throttle (see routers/relationshipRoutes.js)
+const chargeBadInvite = async (req, res, status, message) => {
+    const retryAfter = await recordFailure(req.throttleKeys || []);
+    if (retryAfter > 0) return sendTooMany(res, retryAfter);
+    return res.status(status).json({ error: message });
 };
 
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-    secure: true
-});
-
 // --- ERROR HANDLER ---
 const handleRelError = (err, customMessage = "Something went wrong") => {
     console.error("❌ RELATIONSHIP_ERROR:", err.message);
     
+    // Errors we threw on purpose carry their own status
+    if (err.status) {
+        return { status: err.status, error: err.message };
+    }
     if (err.code === '23505') {
         return { status: 400, error: "This operation conflicts with an existing record." };
     }
@@ -33,7 +52,7 @@ const handleRelError = (err, customMessage = "Something went wrong") => {
 
 exports.onboardCreator = async (req, res) => {
     const userId = req.user.id;
-    const { nickname, avatar_id, gender, rel_status } = req.body;
+    const { nickname, avatar_id, gender, pronouns, rel_status } = req.body;
     const dbClient = await pool.connect();
 
     try {
@@ -41,27 +60,30 @@ exports.onboardCreator = async (req, res) => {
 
         // 1. Set Creator as Onboarded (Solo Mode)
         await dbClient.query(
-            `UPDATE users SET nickname = $1, avatar_id = $2, gender = $3, onboarded = true WHERE id = $4`,
-            [nickname, parseInt(avatar_id), gender, userId]
+            `UPDATE users SET nickname = $1, avatar_id = $2, gender = $3, pronouns = COALESCE($4, pronouns), onboarded = true 
+             WHERE id = $5`,
+            [nickname, parseInt(avatar_id), gender, pronouns, userId]
         );
 
         // 2. Create Couple Record
-        const inviteCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+        const inviteCode = await generateUniqueInviteCode(dbClient);
+        const expiresAt = inviteExpiry();
         const finalStatus = rel_status || 'dating';
 
         const coupleRes = await dbClient.query(
-            `INSERT INTO couples (invite_code, creator_id, rel_status, status) 
-             VALUES ($1, $2, $3, 'waiting') RETURNING id`,
-            [inviteCode, userId, finalStatus]
+            `INSERT INTO couples (invite_code, invite_expires_at, creator_id, rel_status, status) 
+             VALUES ($1, $2, $3, $4, 'waiting') RETURNING id`,
+            [inviteCode, expiresAt, userId, finalStatus]
         );
         const coupleId = coupleRes.rows[0].id;
 
         await dbClient.query('UPDATE users SET couple_id = $1 WHERE id = $2', [coupleId, userId]);
+        await recordStatusChange(dbClient, coupleId, null, finalStatus, userId);
 
         await dbClient.query('COMMIT');
         res.status(200).json({ 
             message: "World created!", 
-            inviteCode, 
+            ...invitePayload(inviteCode, expiresAt),
             rel_status: finalStatus 
         });
     } catch (err) {
@@ -75,11 +97,17 @@ exports.onboardCreator = async (req, res) => {
 
 exports.getInvitePreview = async (req, res) => {
     const { code } = req.params;
+    const { sig } = req.query;
     
     try {
+        // Scanned QR codes carry a signature: a tampered one is rejected outright
+        if (sig && !verifyInviteSignature(code, sig)) {
+            return chargeBadInvite(req, res, 400, "This invite link is invalid or has expired.");
+        }
+
         // We add TRIM and UPPER to make sure the match isn't failing due to a hidden space
         const result = await pool.query(
-            `SELECT u.nickname, u.avatar_id, c.rel_status, c.status 
+            `SELECT u.nickname, u.avatar_id, u.pronouns, c.rel_status, c.status, c.invite_expires_at 
              FROM couples c 
              INNER JOIN users u ON c.creator_id = u.id 
              WHERE TRIM(UPPER(c.invite_code)) = $1`,
@@ -88,9 +116,8 @@ exports.getInvitePreview = async (req, res) => {
 
         // If this is empty, it means either the code is wrong OR the creator_id doesn't exist in users table
         if (result.rows.length === 0) {
-            return res.status(404).json({ 
-                error: "Invite not found. Check if the creator still exists or if the code is correct." 
-            });
+            return chargeBadInvite(req, res, 404, 
+                "Invite not found. Check if the creator still exists or if the code is correct.");
         }
 
         const invite = result.rows[0];
@@ -99,11 +126,16 @@ exports.getInvitePreview = async (req, res) => {
         if (invite.status !== 'waiting') {
             return res.status(400).json({ error: "This invite has already been used by someone else." });
         }
+        if (!invite.invite_expires_at || new Date() > invite.invite_expires_at) {
+            return res.status(410).json({ error: "This invite has expired. Ask your partner to send a new one." });
+        }
 
         res.json({
             creatorNickname: invite.nickname,
             creatorAvatar: invite.avatar_id,
+            creatorPronouns: invite.pronouns,
             relationshipType: invite.rel_status,
+            expiresAt: invite.invite_expires_at,
             message: `${invite.nickname} is waiting for you to join!`
         });
     } catch (err) {
@@ -120,7 +152,10 @@ exports.getDashboard = async (req, res) => {
                 u.id, u.onboarded, u.couple_id,
                 c.status as couple_status,
                 c.invite_code,
+                c.invite_expires_at,
                 c.rel_status,
+                c.is_paused,
+                c.xp,
                 c.creator_id,
                 c.p1_answered,
                 c.p2_answered,
@@ -128,7 +163,9 @@ exports.getDashboard = async (req, res) => {
                 c.p2_seen_reveal,
                 p.nickname as partner_nickname,
                 p.avatar_id as partner_avatar_id,
-                p.onboarded as partner_onboarded
+                p.onboarded as partner_onboarded,
+                p.gender as partner_gender,
+                p.pronouns as partner_pronouns
             FROM users u 
             LEFT JOIN couples c ON u.couple_id = c.id 
             LEFT JOIN users p ON (c.partner_id = p.id OR c.creator_id = p.id) AND p.id != $1
@@ -157,21 +194,34 @@ exports.getDashboard = async (req, res) => {
             showRevealNotification = bothFinishedQuiz && !hasSeenAlready;
         }
 
-        // 3. Send the response to the Frontend
+        // 3. A pending unlink shows on both dashboards until it is cancelled or executed
+        const unlinkRequest = mode === 'couple' ? await findPendingUnlink(pool, data.couple_id) : null;
+        const pause = data.is_paused ? await getActivePause(pool, data.couple_id) : null;
+
+        // 4. Send the response to the Frontend
         res.json({
             id: data.id,
             onboarded: data.onboarded, // If false, frontend redirects to Quiz
             mode: mode,
+            role: data.couple_id ? (data.creator_id === userId ? 'creator' : 'partner') : null,
             showRevealNotification,    // If true, frontend shows the "Reveal Match" banner
             
             // Shared Details
             inviteCode: data.invite_code,
+            inviteExpiresAt: data.invite_expires_at,
             relStatus: data.rel_status,
+            unlinkRequest: formatUnlinkRequest(unlinkRequest, userId),
+            isPaused: !!data.is_paused,
+            pause: formatPause(pause, userId),
+            evolution: mode === 'couple' ? getCoupleEvolution(data.xp) : null, // the shared level, earned together
             
             // Partner Details (if they exist)
             partner: mode === 'couple' ? {
                 nickname: data.partner_nickname,
                 avatarId: data.partner_avatar_id,
+                gender: data.partner_gender,
+                pronouns: data.partner_pronouns,
+                role: data.creator_id === userId ? 'partner' : 'creator',
                 onboarded: data.partner_onboarded,
                 // Tells the user if their partner is still busy with the quiz
                 hasFinishedQuiz: (data.creator_id === userId) ? data.p2_answered : data.p1_answered
@@ -185,7 +235,12 @@ exports.getDashboard = async (req, res) => {
 
 exports.pairCouple = async (req, res) => {
     const inviteeId = req.user.id; 
-    const { inviteCode, nickname, avatar_id } = req.body; 
+    const { inviteCode, nickname, avatar_id, gender, pronouns, sig } = req.body; 
+
+    if (sig && !verifyInviteSignature(inviteCode, sig)) {
+        return chargeBadInvite(req, res, 400, "This invite link is invalid or has expired.");
+    }
+
     const dbClient = await pool.connect();
 
     try {
@@ -193,31 +248,44 @@ exports.pairCouple = async (req, res) => {
 
         // 1. Find the Creator's World (The ID we are moving INTO)
         const creatorRes = await dbClient.query(
-            `SELECT c.id, c.rel_status, u.gender as creator_gender 
+            `SELECT c.id, c.rel_status, c.status, c.creator_id, c.invite_expires_at 
              FROM couples c JOIN users u ON c.creator_id = u.id 
-             WHERE TRIM(UPPER(c.invite_code)) = $1`,
+             WHERE TRIM(UPPER(c.invite_code)) = $1
+             FOR UPDATE OF c`,
             [inviteCode.trim().toUpperCase()]
         );
 
-        if (creatorRes.rows.length === 0) throw new Error("Invite code not found.");
-        const { id: sharedCoupleId, rel_status, creator_gender } = creatorRes.rows[0];
+        if (creatorRes.rows.length === 0) {
+            await dbClient.query('ROLLBACK');
+            return chargeBadInvite(req, res, 404, "Invite code not found.");
+        }
+        const { id: sharedCoupleId, rel_status, status, creator_id, invite_expires_at } = creatorRes.rows[0];
+
+        if (creator_id === inviteeId) {
+            throw Object.assign(new Error("You can't join your own world. Share the code with your partner!"), { status: 400 });
+        }
+        if (status !== 'waiting') {
+            throw Object.assign(new Error("This invite has already been used by someone else."), { status: 400 });
+        }
+        if (!invite_expires_at || new Date() > invite_expires_at) {
+            throw Object.assign(new Error("This invite has expired. Ask your partner to send a new one."), { status: 410 });
+        }
 
         // 2. Identify the Invitee's current solo ID (The one to be REMOVED)
         const inviteeRes = await dbClient.query('SELECT couple_id FROM users WHERE id = $1', [inviteeId]);
         const oldSoloId = inviteeRes.rows[0].couple_id;
 
-        // 3. Update Invitee's Profile
-        const partnerGender = creator_gender === 'Boy' ? 'Girl' : 'Boy';
-        
+        // 3. Update Invitee's Profile (their own gender and pronouns; nothing is derived from the creator's)
         await dbClient.query(
             `UPDATE users SET 
                 couple_id = $1, 
                 nickname = COALESCE($2, nickname), 
                 avatar_id = COALESCE($3, avatar_id),
-                gender = $4,
+                gender = COALESCE($4, gender),
+                pronouns = COALESCE($5, pronouns),
                 onboarded = false -- Triggers the Welcome Questions
-             WHERE id = $5`,
-            [sharedCoupleId, nickname, avatar_id, partnerGender, inviteeId]
+             WHERE id = $6`,
+            [sharedCoupleId, nickname, avatar_id, gender, pronouns, inviteeId]
         );
 
         // 4. Update the Creator's onboarded status to false 
@@ -225,7 +293,7 @@ exports.pairCouple = async (req, res) => {
 
         // 5. Finalize the Couple Record
         await dbClient.query(
-            `UPDATE couples SET partner_id = $1, status = 'full', rel_status = $2 WHERE id = $3`,
+            `UPDATE couples SET partner_id = $1, status = 'full', rel_status = $2, invite_expires_at = NULL WHERE id = $3`,
             [inviteeId, rel_status, sharedCoupleId]
         );
 
@@ -246,45 +314,118 @@ exports.pairCouple = async (req, res) => {
     }
 };
 
-exports.unlinkCouple = async (req, res) => {
+/**
+ * REGENERATE INVITE CODE
+ * Replaces the waiting world's code (old one stops working immediately) and restarts the expiry clock.
+ * Solo worlds left behind by an unlink have no code yet, so this is also how they get one.
+ */
+exports.regenerateInviteCode = async (req, res) => {
     const userId = req.user.id;
     const dbClient = await pool.connect();
 
     try {
         await dbClient.query('BEGIN');
 
-        const userRes = await dbClient.query('SELECT couple_id FROM users WHERE id = $1', [userId]);
-        const sharedId = userRes.rows[0].couple_id;
+        const coupleRes = await dbClient.query(
+            `SELECT c.id, c.status, c.creator_id FROM couples c 
+             JOIN users u ON u.couple_id = c.id 
+             WHERE u.id = $1 FOR UPDATE OF c`,
+            [userId]
+        );
+        const couple = coupleRes.rows[0];
 
-        const relinkCode = "RL-" + Math.random().toString(36).substring(2, 8).toUpperCase();
+        if (!couple || couple.status !== 'waiting' || couple.creator_id !== userId) {
+            await dbClient.query('ROLLBACK');
+            return res.status(400).json({ error: "Only the creator of a world still waiting for a partner can share an invite." });
+        }
+
+        const inviteCode = await generateUniqueInviteCode(dbClient);
+        const expiresAt = inviteExpiry();
 
-        // 1. Archive the Shared World
         await dbClient.query(
-            `UPDATE couples SET status = 'archived', relink_code = $1, deactivated_at = NOW() WHERE id = $2`,
-            [relinkCode, sharedId]
+            'UPDATE couples SET invite_code = $1, invite_expires_at = $2 WHERE id = $3',
+            [inviteCode, expiresAt, couple.id]
         );
 
-        // 2. Give BOTH users new, separate Solo IDs
-        const partnerRes = await dbClient.query(`SELECT id FROM users WHERE couple_id = $1`, [sharedId]);
-        const userIds = partnerRes.rows.map(r => r.id);
+        await dbClient.query('COMMIT');
+        res.json({ message: "New invite code ready.", ...invitePayload(inviteCode, expiresAt) });
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        const { status, error } = handleRelError(err, "Could not regenerate the invite code.");
+        res.status(status).json({ error });
+    } finally {
+        dbClient.release();
+    }
+};
 
-        for (let id of userIds) {
-            const newSolo = await dbClient.query(
-                `INSERT INTO couples (creator_id, status, rel_status) 
-                 VALUES ($1, 'waiting', 'Dating') RETURNING id`, [id]
-            );
-            
-            await dbClient.query(
-                `UPDATE users SET 
-                    couple_id = $1, 
-                    last_shared_id = $2, 
-                    onboarded = true 
-                 WHERE id = $3`, [newSolo.rows[0].id, sharedId, id]
-            );
+/**
+ * REQUEST UNLINK
+ * Opens an unlink request instead of archiving on the spot. The partner is told right away,
+ * either side can cancel during the cooling-off window, and jobs/unlinkCron.js executes it.
+ * A world still waiting for a partner has nobody to ask, so it is archived immediately.
+ */
+exports.unlinkCouple = async (req, res) => {
+    const userId = req.user.id;
+    const { reason } = req.body;
+    const coolingOffDays = req.body.coolingOffDays ?? unlinkConfig.defaultCoolingOffDays;
+    const io = req.app.get('socketio');
+    const dbClient = await pool.connect();
+
+    try {
+        await dbClient.query('BEGIN');
+
+        const coupleRes = await dbClient.query(
+            `SELECT c.id, c.status FROM couples c JOIN users u ON u.couple_id = c.id 
+             WHERE u.id = $1 FOR UPDATE OF c`,
+            [userId]
+        );
+        const { id: sharedId, status } = coupleRes.rows[0];
+
+        if (status !== 'full') {
+            const { relinkCode } = await archiveSharedWorld(dbClient, sharedId);
+            await dbClient.query('COMMIT');
+            return res.json({ relinkCode, message: "Unlinked. New solo worlds created." });
         }
 
+        if (await findPendingUnlink(dbClient, sharedId)) {
+            await dbClient.query('ROLLBACK');
+            return res.status(409).json({ error: "An unlink request is already pending for your world." });
+        }
+
+        // Without an answer from the partner, the request still goes through after noResponseDays
+        const DAY = 24 * 60 * 60000;
+        const coolingOffUntil = new Date(Date.now() + coolingOffDays * DAY);
+        const executeAfter = new Date(Date.now() + Math.max(coolingOffDays, unlinkConfig.noResponseDays) * DAY);
+
+        const requestRes = await dbClient.query(
+            `INSERT INTO unlink_requests (couple_id, requested_by, reason, cooling_off_until, execute_after)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [sharedId, userId, reason || null, coolingOffUntil, executeAfter]
+        );
+        const request = requestRes.rows[0];
+
+        const partnerRes = await dbClient.query(
+            'SELECT id FROM users WHERE couple_id = $1 AND id != $2', [sharedId, userId]
+        );
+
         await dbClient.query('COMMIT');
-        res.json({ relinkCode, message: "Unlinked. New solo worlds created." });
+
+        if (partnerRes.rows[0]) {
+            await createNotification({
+                recipientId: partnerRes.rows[0].id,
+                senderId: userId,
+                type: 'unlink_requested',
+                message: `Your partner asked to unlink your world. Nothing happens before ${new Date(request.cooling_off_until).toDateString()}, and either of you can cancel until then. 💔`,
+                link: '/'
+            }, io);
+        }
+        if (io) io.to(`couple_${sharedId}`).emit('unlink_requested', formatUnlinkRequest(request, null));
+
+        res.status(202).json({ 
+            message: "Unlink requested. Your partner has been told.", 
+            unlinkRequest: formatUnlinkRequest(request, userId) 
+        });
     } catch (err) {
         await dbClient.query('ROLLBACK');
         const { status, error } = handleRelError(err, "Unlink failed.");
@@ -294,25 +435,137 @@ exports.unlinkCouple = async (req, res) => {
     }
 };
 
+/**
+ * CONFIRM UNLINK (partner only)
+ * Agreeing skips the no-response wait; the cooling-off window still applies.
+ */
+exports.confirmUnlink = async (req, res) => {
+    const userId = req.user.id;
+    const io = req.app.get('socketio');
+
+    try {
+        const result = await pool.query(
+            `UPDATE unlink_requests SET partner_consented_at = NOW(), execute_after = cooling_off_until 
+             WHERE couple_id = $1 AND status = 'pending' AND (requested_by IS NULL OR requested_by != $2) 
+             AND partner_consented_at IS NULL
+             RETURNING *`,
+            [req.user.couple_id, userId]
+        );
+        const request = result.rows[0];
+        if (!request) return res.status(404).json({ error: "There is no unlink request waiting for your answer." });
+
+        // No cooling-off left: archive now rather than waiting for the job
+        if (new Date(request.execute_after) <= new Date()) {
+            const { relinkCode } = await executeUnlink(request.id, io);
+            return res.json({ relinkCode, message: "Unlinked. New solo worlds created." });
+        }
+
+        if (request.requested_by) {
+            await createNotification({
+                recipientId: request.requested_by,
+                senderId: userId,
+                type: 'unlink_confirmed',
+                message: `Your partner agreed to unlink. Your world will be archived on ${new Date(request.execute_after).toDateString()}.`,
+                link: '/'
+            }, io);
+        }
+        if (io) io.to(`couple_${req.user.couple_id}`).emit('unlink_confirmed', formatUnlinkRequest(request, null));
+
+        res.json({ message: "Unlink confirmed.", unlinkRequest: formatUnlinkRequest(request, userId) });
+    } catch (err) {
+        const { status, error } = handleRelError(err, "Could not confirm the unlink.");
+        res.status(status).json({ error });
+    }
+};
+
+// Either partner can call the whole thing off until the job runs
+exports.cancelUnlink = async (req, res) => {
+    const userId = req.user.id;
+    const io = req.app.get('socketio');
+
+    try {
+        // Either side can cancel during the cooling-off window; after it only the requester can,
+        // so nobody can keep a world linked by cancelling every request
+        const result = await pool.query(
+            `UPDATE unlink_requests SET status = 'cancelled', cancelled_by = $2, resolved_at = NOW() 
+             WHERE couple_id = $1 AND status = 'pending' 
+             AND (cooling_off_until > NOW() OR requested_by = $2) RETURNING *`,
+            [req.user.couple_id, userId]
+        );
+        if (result.rowCount === 0) {
+            const pending = await pool.query(
+                "SELECT 1 FROM unlink_requests WHERE couple_id = $1 AND status = 'pending'", [req.user.couple_id]
+            );
+            if (pending.rowCount > 0) {
+                return res.status(409).json({ error: "The cooling-off window is over. Only your partner can cancel this request now." });
+            }
+            return res.status(404).json({ error: "There is no pending unlink request." });
+        }
+
+        const partnerRes = await pool.query(
+            'SELECT id FROM users WHERE couple_id = $1 AND id != $2', [req.user.couple_id, userId]
+        );
+        if (partnerRes.rows[0]) {
+            await createNotification({
+                recipientId: partnerRes.rows[0].id,
+                senderId: userId,
+                type: 'unlink_cancelled',
+                message: `The unlink request was cancelled. Your world stays as it is. 💞`,
+                link: '/'
+            }, io);
+        }
+        if (io) io.to(`couple_${req.user.couple_id}`).emit('unlink_cancelled', { id: result.rows[0].id, cancelledBy: userId });
+
+        res.json({ message: "Unlink request cancelled." });
+    } catch (err) {
+        const { status, error } = handleRelError(err, "Could not cancel the unlink.");
+        res.status(status).json({ error });
+    }
+};
+
+/**
+ * TOGGLE PAUSE
+ * Pausing freezes quest generation, punishment escalation and streak changes (see services/pauseService.js).
+ * When pausing, the body may carry a reason and an auto-resume date; resuming ignores both.
+ */
 exports.togglePause = async (req, res) => {
     const userId = req.user.id;
+    const coupleId = req.user.couple_id;
+    const io = req.app.get('socketio');
+
     try {
-        const userRes = await pool.query('SELECT couple_id FROM users WHERE id = $1', [userId]);
-        const coupleId = userRes.rows[0]?.couple_id;
-        
-        // Toggle the paused state
-        await pool.query('UPDATE couples SET is_paused = NOT is_paused WHERE id = $1', [coupleId]);
+        if (await isCouplePaused(pool, coupleId)) {
+            await resumeCouple(coupleId, userId, io);
+            return res.json({ message: "Welcome back! Your world is running again.", isPaused: false, pause: null });
+        }
+
+        const { reason, resumeAt } = req.body;
+        const pause = await pauseCouple(coupleId, userId, { reason: reason || null, resumeAt: resumeAt || null }, io);
         
-        res.json({ message: "Relationship state updated." });
+        res.json({ 
+            message: "World paused. Quests, punishments and streaks are on hold.", 
+            isPaused: true, 
+            pause: formatPause(pause, userId) 
+        });
     } catch (err) {
         const { status, error } = handleRelError(err, "Could not update state.");
         res.status(status).json({ error });
     }
 };
 
+// The questionnaire the app should render (answers are validated against it on submit)
+exports.getWelcomeQuestionnaire = async (req, res) => {
+    res.json(getQuestionnaire());
+};
+
+/**
+ * SUBMIT WELCOME ANSWERS
+ * Saves this user's answers for the couple's current round (resubmitting overwrites them).
+ * Once both partners have answered, the round is scored and the partner is told.
+ */
 exports.submitWelcomeAnswers = async (req, res) => {
     const userId = req.user.id; 
-    const { answers } = req.body; 
+    const { version, answers } = req.body; 
     const dbClient = await pool.connect();
     
     try {
@@ -320,21 +573,71 @@ exports.submitWelcomeAnswers = async (req, res) => {
         const userRes = await dbClient.query('SELECT couple_id FROM users WHERE id = $1', [userId]);
         const coupleId = userRes.rows[0]?.couple_id;
 
-        const coupleCheck = await dbClient.query('SELECT creator_id FROM couples WHERE id = $1', [coupleId]);
-        const isP1 = coupleCheck.rows[0].creator_id === userId;
+        const coupleCheck = await dbClient.query(
+            'SELECT creator_id, welcome_round FROM couples WHERE id = $1 FOR UPDATE', [coupleId]
+        );
+        const { creator_id, welcome_round } = coupleCheck.rows[0];
+        const isP1 = creator_id === userId;
         const column = isP1 ? 'p1_answered' : 'p2_answered';
 
-        // Update answers and flag
         await dbClient.query(
-            `UPDATE couples SET answers = answers || $1::jsonb, ${column} = TRUE WHERE id = $2`,
-            [JSON.stringify({ [userId]: answers }), coupleId]
+            `INSERT INTO welcome_submissions (couple_id, user_id, round, version, answers) 
+             VALUES ($1, $2, $3, $4, $5::jsonb)
+             ON CONFLICT (couple_id, user_id, round) 
+             DO UPDATE SET version = $4, answers = $5::jsonb, submitted_at = NOW()`,
+            [coupleId, userId, welcome_round, version, JSON.stringify(answers)]
+        );
+        await dbClient.query(`UPDATE couples SET ${column} = TRUE WHERE id = $1`, [coupleId]);
+
+        // A partner who answered an older version this round (e.g. the free-form answers from
+        // before) has to answer this one too: the two can't be compared
+        const outdatedRes = await dbClient.query(
+            `SELECT user_id FROM welcome_submissions 
+             WHERE couple_id = $1 AND round = $2 AND user_id != $3 AND version != $4`,
+            [coupleId, welcome_round, userId, version]
         );
+        const outdatedPartnerId = outdatedRes.rows[0]?.user_id;
+        if (outdatedPartnerId) {
+            await dbClient.query(
+                `UPDATE couples SET ${isP1 ? 'p2_answered' : 'p1_answered'} = FALSE WHERE id = $1`, [coupleId]
+            );
+        }
 
         // FLIP BACK: This user is now allowed back on the homepage
         await dbClient.query('UPDATE users SET onboarded = true WHERE id = $1', [userId]);
+
+        const result = await completeRound(dbClient, coupleId);
         
         await dbClient.query('COMMIT');
-        res.json({ message: "Welcome to your shared home!", success: true });
+
+        if (outdatedPartnerId) {
+            await createNotification({
+                recipientId: outdatedPartnerId,
+                senderId: userId,
+                type: 'welcome_reanswer',
+                message: `The questionnaire has changed since you answered it. Answer the new one so you two can compare! 📝`,
+                link: '/welcome'
+            }, req.app.get('socketio'));
+        }
+
+        if (result) {
+            const partnerRes = await pool.query(
+                'SELECT id FROM users WHERE couple_id = $1 AND id != $2', [coupleId, userId]
+            );
+            const io = req.app.get('socketio');
+            if (partnerRes.rows[0]) {
+                await createNotification({
+                    recipientId: partnerRes.rows[0].id,
+                    senderId: userId,
+                    type: 'welcome_result_ready',
+                    message: `You both finished the questionnaire. You're ${result.overall}% in sync! 💞`,
+                    link: '/comparison'
+                }, io);
+            }
+            if (io) io.to(`couple_${coupleId}`).emit('welcome_result_ready', { round: result.round, overall: result.overall });
+        }
+
+        res.json({ message: "Welcome to your shared home!", success: true, round: welcome_round, resultReady: !!result });
     } catch (err) {
         await dbClient.query('ROLLBACK');
         const { status, error } = handleRelError(err, "Submission failed");
@@ -344,38 +647,70 @@ exports.submitWelcomeAnswers = async (req, res) => {
     }
 };
 
+/**
+ * WELCOME COMPARISON
+ * Weighted compatibility of the latest finished round, per category and per question,
+ * with the change since the round before it (see services/welcomeService.js).
+ */
 exports.getWelcomeComparison = async (req, res) => {
     try {
-        const userId = req.user.id;
-        const result = await pool.query(`
-            SELECT c.*, u1.nickname as p1_nick, u2.nickname as p2_nick
-            FROM couples c
-            JOIN users u1 ON c.creator_id = u1.id
-            JOIN users u2 ON c.partner_id = u2.id
-            WHERE c.creator_id = $1 OR c.partner_id = $1
-        `, [userId]);
-
-        const rel = result.rows[0];
-        if (!rel || !rel.p1_answered || !rel.p2_answered) return res.status(200).json({ ready: false });
-
-        const isP1 = rel.creator_id === userId;
-        const p1Ans = rel.answers[rel.creator_id] || {};
-        const p2Ans = rel.answers[rel.partner_id] || {};
-
-        const comparison = Object.keys(p1Ans).map(k => ({
-            questionKey: k,
-            myAnswer: isP1 ? p1Ans[k] : p2Ans[k],
-            partnerAnswer: isP1 ? p2Ans[k] : p1Ans[k],
-            isMatch: p1Ans[k] === p2Ans[k]
-        }));
-
-        res.json({ ready: true, questions: comparison });
+        const comparison = await buildComparison(req.user.couple_id, req.user.id);
+        res.json(comparison);
     } catch (err) {
         const { status, error } = handleRelError(err, "Comparison failed");
         res.status(status).json({ error });
     }
 };
 
+/**
+ * RETAKE WELCOME QUESTIONNAIRE
+ * Opens a new round for both partners; the previous result is kept for comparison.
+ */
+exports.retakeWelcome = async (req, res) => {
+    const userId = req.user.id;
+    const coupleId = req.user.couple_id;
+    const dbClient = await pool.connect();
+
+    try {
+        await dbClient.query('BEGIN');
+
+        const coupleRes = await dbClient.query(
+            'SELECT p1_answered, p2_answered FROM couples WHERE id = $1 FOR UPDATE', [coupleId]
+        );
+        const { p1_answered, p2_answered } = coupleRes.rows[0];
+        if (!p1_answered || !p2_answered) {
+            await dbClient.query('ROLLBACK');
+            return res.status(400).json({ error: "Finish the current round together before starting a new one." });
+        }
+
+        const round = await startNewRound(dbClient, coupleId);
+        await dbClient.query('COMMIT');
+
+        const partnerRes = await pool.query(
+            'SELECT id FROM users WHERE couple_id = $1 AND id != $2', [coupleId, userId]
+        );
+        const io = req.app.get('socketio');
+        if (partnerRes.rows[0]) {
+            await createNotification({
+                recipientId: partnerRes.rows[0].id,
+                senderId: userId,
+                type: 'welcome_retake',
+                message: `Your partner wants to retake the questionnaire. See how much you've grown! 🌱`,
+                link: '/welcome'
+            }, io);
+        }
+        if (io) io.to(`couple_${coupleId}`).emit('welcome_retake', { round });
+
+        res.json({ message: "New round started. Answer again whenever you're ready.", round });
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        const { status, error } = handleRelError(err, "Could not start a new round.");
+        res.status(status).json({ error });
+    } finally {
+        dbClient.release();
+    }
+};
+
 exports.markRevealAsSeen = async (req, res) => {
     try {
         const userId = req.user.id;
@@ -389,81 +724,39 @@ exports.markRevealAsSeen = async (req, res) => {
     }
 };
 
+// Kept for older app versions: the uploaded picture is added to the couple's photos and becomes the cover
 exports.upsertSharedPicture = async (req, res) => {
-    const dbClient = await pool.connect();
-
     try {
-        // 1. Validation
         if (!req.file) return res.status(400).json({ error: "No image file provided." });
 
-        // 2. Identify the Couple
-        const userRes = await dbClient.query('SELECT couple_id FROM users WHERE id = $1', [req.user.id]);
-        const coupleId = userRes.rows[0]?.couple_id;
-
-        if (!coupleId) {
-            return res.status(400).json({ error: "No pairing found." });
-        }
+        const coupleId = req.user.couple_id;
+        const photo = await addPhoto(coupleId, req.user.id, req.file.buffer);
+        await setCover(pool, coupleId, photo.id);
 
-        // 3. Backend Compression (Shrinking size before Cloudinary)
-        const compressedBuffer = await sharp(req.file.buffer)
-            .resize(1000, 1000, { fit: 'inside', withoutEnlargement: true })
-            .jpeg({ quality: 75 }) // Reduced to 75 for even better storage savings
-            .toBuffer();
-
-        // 4. Cloudinary Stream Upload (More efficient than Base64)
-        const uploadToCloudinary = () => {
-            return new Promise((resolve, reject) => {
-                const stream = cloudinary.uploader.upload_stream(
-                    {
-                        folder: 'twofold_shared',
-                        public_id: `couple_${coupleId}`,
-                        overwrite: true,
-                        invalidate: true,
-                        resource_type: 'image'
-                    },
-                    (error, result) => {
-                        if (result) resolve(result);
-                        else reject(error);
-                    }
-                );
-                stream.end(compressedBuffer);
-            });
-        };
-
-        const result = await uploadToCloudinary();
-
-        // 5. Sync Database
-        await dbClient.query(
-            'UPDATE couples SET shared_image_url = $1 WHERE id = $2',
-            [result.secure_url, coupleId]
-        );
+        const io = req.app.get('socketio');
+        if (io) io.to(`couple_${coupleId}`).emit('photo_added', { ...formatPhoto(photo), senderId: req.user.id });
 
         res.json({ 
             success: true, 
             message: "Compressed picture synced successfully! 📉", 
-            url: result.secure_url 
+            url: photo.url,
+            photo: formatPhoto(photo)
         });
-
     } catch (err) {
         console.error("Upload Error:", err);
         res.status(500).json({ error: "Failed to sync image." });
-    } finally {
-        dbClient.release();
     }
 };
 
+// Kept for older app versions: deletes the cover photo (asset included)
 exports.deleteSharedPicture = async (req, res) => {
     try {
-        const userRes = await pool.query('SELECT couple_id FROM users WHERE id = $1', [req.user.id]);
-        const coupleId = userRes.rows[0]?.couple_id;
-
-        if (!coupleId) return res.status(400).json({ error: "No couple found" });
+        const coupleId = req.user.couple_id;
+        const coupleRes = await pool.query('SELECT cover_photo_id FROM couples WHERE id = $1', [coupleId]);
+        const coverId = coupleRes.rows[0]?.cover_photo_id;
 
-        // 1. Delete from Cloudinary
-        await cloudinary.uploader.destroy(`twofold_shared/couple_${coupleId}`, { invalidate: true });
-
-        // 2. Clear from Database
-        await pool.query('UPDATE couples SET shared_image_url = NULL WHERE id = $1', [coupleId]);
+        if (coverId) await deletePhoto(coupleId, coverId);
+        else await setCover(pool, coupleId, null);
 
         res.json({ success: true, message: "Shared photo removed!" });
     } catch (err) {
@@ -484,7 +777,8 @@ exports.relinkCouple = async (req, res) => {
         const relRes = await dbClient.query(
             `SELECT id, creator_id, partner_id, status 
              FROM couples 
-             WHERE relink_code = $1 AND status = 'archived'`, 
+             WHERE relink_code = $1 AND status = 'archived' 
+             AND (relink_expires_at IS NULL OR relink_expires_at > NOW())`, 
             [relinkCode]
         );
 
@@ -529,11 +823,16 @@ exports.relinkCouple = async (req, res) => {
                 status = 'full', 
                 is_active = true, 
                 relink_code = NULL, 
+                relink_expires_at = NULL, 
+                purge_warned_at = NULL, 
                 deactivated_at = NULL 
              WHERE id = $1`, 
             [rel.id]
         );
 
+        // The welcome questions they're sent back to go into a new round, next to the old result
+        await startNewRound(dbClient, rel.id);
+
         // 6. Cleanup: Delete the temporary solo IDs they were using
         if (soloIdsToDelete.length > 0) {
             await dbClient.query(
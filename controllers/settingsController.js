@@ -0,0 +1,104 @@
+const { pool } = require('../config/db');
+const { definitions } = require('../config/coupleSettings');
+const settingsService = require('../services/settingsService');
+const { createNotification } = require('../services/notificationService');
+
+const handleSettingsError = (err, defaultMsg) => {
+    console.error("❌ SETTINGS_ERROR:", err.message);
+    return { status: 500, error: defaultMsg };
+};
+
+// What the UI needs to draw the form (limits and defaults, without the server-side details)
+const describeSettings = () => Object.fromEntries(Object.entries(definitions).map(([key, def]) => [key, {
+    type: def.type,
+    label: def.label,
+    default: def.default,
+    ...(def.options && { options: def.options }),
+    ...(def.min !== undefined && { min: def.min, max: def.max }),
+    ...(def.maxLength && { maxLength: def.maxLength })
+}]));
+
+/**
+ * GET SETTINGS
+ * The world's effective settings, what they can be set to, and how many of the partner's changes are new.
+ */
+exports.getSettings = async (req, res) => {
+    try {
+        const settings = await settingsService.getCoupleSettings(pool, req.user.couple_id);
+        const unseenPartnerChanges = await settingsService.countUnseenChanges(pool, req.user.couple_id, req.user.id);
+
+        res.json({ settings, definitions: describeSettings(), unseenPartnerChanges });
+    } catch (err) {
+        const { status, error } = handleSettingsError(err, "Could not load your world settings.");
+        res.status(status).json({ error });
+    }
+};
+
+/**
+ * UPDATE SETTINGS
+ * Partial update: only the keys that were sent change. The partner is told what changed.
+ */
+exports.updateSettings = async (req, res) => {
+    const userId = req.user.id;
+    const coupleId = req.user.couple_id;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const { settings, changed } = await settingsService.updateCoupleSettings(client, coupleId, userId, req.body);
+        await client.query('COMMIT');
+
+        if (changed.length > 0) {
+            const io = req.app.get('socketio');
+            const labels = changed.map(c => definitions[c.key].label.toLowerCase()).join(', ');
+
+            const partnerRes = await pool.query(
+                'SELECT id FROM users WHERE couple_id = $1 AND id != $2', [coupleId, userId]
+            );
+            if (partnerRes.rows[0]) {
+                await createNotification({
+                    recipientId: partnerRes.rows[0].id,
+                    senderId: userId,
+                    type: 'settings_changed',
+                    message: `Your partner changed your world settings: ${labels}. ⚙️`,
+                    link: '/settings'
+                }, io);
+            }
+
+            if (io) {
+                io.to(`couple_${coupleId}`).emit('settings_changed', {
+                    changedBy: userId,
+                    settings,
+                    changes: changed.map(c => ({ ...c, label: definitions[c.key].label }))
+                });
+            }
+        }
+
+        res.json({
+            message: changed.length > 0 ? "Settings saved." : "Nothing changed.",
+            settings,
+            changed: changed.map(c => c.key)
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        const { status, error } = handleSettingsError(err, "Could not save your world settings.");
+        res.status(status).json({ error });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * GET SETTINGS CHANGES
+ * Who changed what and when, newest first. Opening it marks the partner's changes as seen.
+ */
+exports.getSettingsChanges = async (req, res) => {
+    const { page, limit } = req.query;
+    try {
+        const changes = await settingsService.getSettingsChanges(pool, req.user.couple_id, req.user.id, { page, limit });
+        res.json({ changes, page, limit });
+    } catch (err) {
+        const { status, error } = handleSettingsError(err, "Could not load the settings history.");
+        res.status(status).json({ error });
+    }
+};
@@ -0,0 +1,90 @@
+const { pool } = require('../config/db');
+const { buildTimeline } = require('../services/timelineService');
+const { createNotification } = require('../services/notificationService');
+const { todayForUser } = require('../services/timezoneService');
+
+const handleTimelineError = (err, defaultMsg) => {
+    console.error("❌ TIMELINE_ERROR:", err.message);
+    return { status: 500, error: defaultMsg };
+};
+
+// Lets the partner know the shared story changed
+const notifyPartner = async (req, message) => {
+    const partnerRes = await pool.query(
+        'SELECT id FROM users WHERE couple_id = $1 AND id != $2', [req.user.couple_id, req.user.id]
+    );
+    if (partnerRes.rows[0]) {
+        await createNotification({
+            recipientId: partnerRes.rows[0].id,
+            senderId: req.user.id,
+            type: 'timeline_updated',
+            message,
+            link: '/timeline'
+        }, req.app.get('socketio'));
+    }
+};
+
+/**
+ * GET TIMELINE
+ * Start date, dated status changes, custom milestones, passed anniversaries and what's coming up.
+ */
+exports.getTimeline = async (req, res) => {
+    try {
+        const timeline = await buildTimeline(req.user.couple_id, await todayForUser(pool, req.user.id));
+        res.json(timeline);
+    } catch (err) {
+        const { status, error } = handleTimelineError(err, "Could not load your timeline.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.setStartDate = async (req, res) => {
+    const { startedOn } = req.body;
+
+    try {
+        if (startedOn > await todayForUser(pool, req.user.id)) {
+            return res.status(400).json({ error: "The day you got together can't be in the future." });
+        }
+
+        await pool.query('UPDATE couples SET started_on = $1 WHERE id = $2', [startedOn, req.user.couple_id]);
+        await notifyPartner(req, `Your partner set the day you got together. Check your anniversaries! 💞`);
+
+        res.json({ message: "Start date saved.", startedOn });
+    } catch (err) {
+        const { status, error } = handleTimelineError(err, "Could not save the start date.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.addMilestone = async (req, res) => {
+    const { title, date, recurring } = req.body;
+    try {
+        const result = await pool.query(
+            `INSERT INTO couple_milestones (couple_id, title, milestone_date, recurring, created_by)
+             VALUES ($1, $2, $3, $4, $5) 
+             RETURNING id, title, milestone_date::text AS date, recurring, created_by`,
+            [req.user.couple_id, title, date, !!recurring, req.user.id]
+        );
+        await notifyPartner(req, `Your partner added "${title}" to your timeline. 📅`);
+
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        const { status, error } = handleTimelineError(err, "Could not add the milestone.");
+        res.status(status).json({ error });
+    }
+};
+
+exports.deleteMilestone = async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM couple_milestones WHERE id = $1 AND couple_id = $2 RETURNING id',
+            [req.params.id, req.user.couple_id]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: "Milestone not found." });
+
+        res.json({ message: "Milestone removed." });
+    } catch (err) {
+        const { status, error } = handleTimelineError(err, "Could not remove the milestone.");
+        res.status(status).json({ error });
+    }
+};
@@ -1,8 +1,12 @@
 const { pool } = require('../config/db'); 
-const generateInviteLink = (inviteCode) => {
-    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-    return `${baseUrl}/join?code=${inviteCode}`;
-};
+const hashing = require('../utils/hashing');
+const { sendEmail } = require('../utils/sendMail');
+const { createNotification, pronounsOf } = require('../services/notificationService');
+const { DELETION_GRACE_DAYS, buildExport } = require('../services/accountService');
+const { generateInviteLink, buildInviteDeepLink } = require('../utils/inviteCodes');
+const { findPendingUnlink, formatUnlinkRequest } = require('../services/unlinkService');
+const { recordStatusChange } = require('../services/timelineService');
+const { getUserTimeZone } = require('../services/timezoneService');
 
 exports.getMe = async (req, res) => {
   const userId = req.user.id;
@@ -10,8 +14,8 @@ exports.getMe = async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
-        u.id, u.name, u.nickname, u.couple_id, u.onboarded, u.avatar_id,
-        c.invite_code, c.status as couple_status, c.creator_id, c.rel_status
+        u.id, u.name, u.nickname, u.couple_id, u.onboarded, u.avatar_id, u.gender, u.pronouns, u.timezone, u.email_verified, u.totp_enabled, u.deletion_scheduled_for,
+        c.invite_code, c.invite_expires_at, c.status as couple_status, c.creator_id, c.rel_status
       FROM users u
       LEFT JOIN couples c ON u.couple_id = c.id
       WHERE u.id = $1
@@ -26,18 +30,32 @@ exports.getMe = async (req, res) => {
         // If the couple record exists but status is waiting, user is in 'waiting' mode
         mode = (row.couple_status === 'full') ? "couple" : "waiting";
     }
+    const unlinkRequest = mode === 'couple' ? await findPendingUnlink(pool, row.couple_id) : null;
 
     res.json({
       id: row.id,
       name: row.name,
       nickname: row.nickname,
       avatar_id: row.avatar_id,
+      gender: row.gender,
+      pronouns: row.pronouns,
+      timezone: row.timezone,                              // null = following the world's
+      effectiveTimezone: await getUserTimeZone(pool, userId),
+      emailVerified: row.email_verified,
+      twoFactorEnabled: row.totp_enabled,
+      deletionScheduledFor: row.deletion_scheduled_for,
       coupleId: row.couple_id,
       onboarded: row.onboarded, 
       mode: mode,               
       inviteCode: row.invite_code,
       inviteLink: row.invite_code ? generateInviteLink(row.invite_code) : null,
-      isCreator: row.creator_id === userId
+      inviteExpiresAt: row.invite_expires_at,
+      inviteDeepLink: row.invite_code && row.invite_expires_at 
+        ? buildInviteDeepLink(row.invite_code, row.invite_expires_at) 
+        : null,
+      isCreator: row.creator_id === userId,
+      role: row.couple_id ? (row.creator_id === userId ? 'creator' : 'partner') : null,
+      unlinkRequest: formatUnlinkRequest(unlinkRequest, userId)
     });
 
   } catch (err) {
@@ -47,29 +65,42 @@ exports.getMe = async (req, res) => {
 
 exports.updateProfile = async (req, res) => {
     const userId = req.user.id;
-    const { nickname, avatar_id, rel_status } = req.body; 
+    const { nickname, avatar_id, gender, pronouns, timezone, rel_status, rel_status_date } = req.body; 
     const dbClient = await pool.connect();
 
     try {
         await dbClient.query('BEGIN');
 
-        // Identity update (Avatar is cast to Number)
+        // Identity update (Avatar is cast to Number). 
+        // Sending pronouns: null clears them (back to they/them), timezone: null follows the world's again
         const userUpdate = await dbClient.query(
             `UPDATE users SET 
              nickname = COALESCE($1, nickname), 
-             avatar_id = COALESCE($2, avatar_id) 
-             WHERE id = $3 RETURNING couple_id`,
-            [nickname, avatar_id ? parseInt(avatar_id) : null, userId]
+             avatar_id = COALESCE($2, avatar_id),
+             gender = COALESCE($3, gender),
+             pronouns = CASE WHEN $4::boolean THEN $5 ELSE pronouns END,
+             timezone = CASE WHEN $6::boolean THEN $7 ELSE timezone END
+             WHERE id = $8 RETURNING couple_id`,
+            [nickname, avatar_id ? parseInt(avatar_id) : null, gender, 
+             pronouns !== undefined, pronouns || null, timezone !== undefined, timezone || null, userId]
         );
 
         const coupleId = userUpdate.rows[0].couple_id;
 
-        // Relationship Evolution (Dating -> Engaged -> etc)
+        // Relationship Evolution (Dating -> Engaged -> etc), dated on the timeline
         if (rel_status && coupleId) {
-            await dbClient.query(
-                `UPDATE couples SET rel_status = $1 WHERE id = $2`,
-                [rel_status, coupleId]
+            const previous = await dbClient.query(
+                `SELECT rel_status FROM couples WHERE id = $1 FOR UPDATE`, [coupleId]
             );
+            const fromStatus = previous.rows[0]?.rel_status;
+
+            if (fromStatus !== rel_status) {
+                await dbClient.query(
+                    `UPDATE couples SET rel_status = $1 WHERE id = $2`,
+                    [rel_status, coupleId]
+                );
+                await recordStatusChange(dbClient, coupleId, fromStatus, rel_status, userId, rel_status_date);
+            }
         }
 
         await dbClient.query('COMMIT');
@@ -81,13 +112,116 @@ exports.updateProfile = async (req, res) => {
         dbClient.release();
     }
 };
+
+// Schedules the account for deletion; the nightly job purges it after the grace period
 exports.deleteAccount = async (req, res) => {
     const userId = req.user.id; 
     try {
-        // This will also trigger the unlink logic if you have FK constraints set to CASCADE
-        await pool.query('DELETE FROM users WHERE id = $1', [userId]);
-        res.json({ message: "Account deleted." });
+        const userRes = await pool.query(
+            'SELECT email, nickname, password_hash, couple_id, deletion_scheduled_for FROM users WHERE id = $1', 
+            [userId]
+        );
+        const user = userRes.rows[0];
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        if (user.deletion_scheduled_for) {
+            return res.status(400).json({ 
+                error: "Your account is already scheduled for deletion.", 
+                scheduledFor: user.deletion_scheduled_for 
+            });
+        }
+
+        // Confirmation: the password if there is one, otherwise typing DELETE
+        if (user.password_hash) {
+            if (!req.body.password) return res.status(400).json({ error: "Please confirm with your password." });
+            const isMatch = await hashing.comparePassword(req.body.password, user.password_hash);
+            if (!isMatch) return res.status(401).json({ error: "Incorrect password." });
+        } else if (req.body.confirm !== 'DELETE') {
+            return res.status(400).json({ error: 'Please type "DELETE" to confirm.' });
+        }
+
+        const updateRes = await pool.query(
+            `UPDATE users SET deletion_requested_at = NOW(), 
+             deletion_scheduled_for = NOW() + make_interval(days => $1) 
+             WHERE id = $2 RETURNING deletion_scheduled_for`,
+            [DELETION_GRACE_DAYS, userId]
+        );
+        const scheduledFor = updateRes.rows[0].deletion_scheduled_for;
+
+        // Give the partner a heads-up while there is still time to talk about it
+        if (user.couple_id) {
+            const partnerRes = await pool.query(
+                "SELECT id FROM users WHERE couple_id = $1 AND id != $2", [user.couple_id, userId]
+            );
+            if (partnerRes.rows[0]) {
+                const { their } = await pronounsOf(userId);
+                await createNotification({
+                    recipientId: partnerRes.rows[0].id,
+                    senderId: userId,
+                    type: 'partner_deletion_scheduled',
+                    message: `Your partner scheduled ${their} account for deletion in ${DELETION_GRACE_DAYS} days. Your world will be archived then. 💔`,
+                    link: '/'
+                }, req.app.get('socketio'));
+            }
+        }
+
+        try {
+            await sendEmail(user.email, "Your TwoFold account will be deleted", `
+                <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+                    <p>Your account is scheduled for deletion on <b>${new Date(scheduledFor).toDateString()}</b>.</p>
+                    <p>Changed your mind? Log in and cancel before then. You can also download a copy of everything you wrote from your settings.</p>
+                </div>`);
+        } catch (emailErr) {
+            console.error("Mailer Error:", emailErr);
+        }
+
+        res.json({ 
+            message: `Account scheduled for deletion. You have ${DELETION_GRACE_DAYS} days to change your mind.`, 
+            scheduledFor 
+        });
     } catch (err) { 
         res.status(500).json({ error: "Delete failed" }); 
     }
-};
\ No newline at end of file
+};
+
+exports.cancelDeletion = async (req, res) => {
+    try {
+        const result = await pool.query(
+            `UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_for = NULL 
+             WHERE id = $1 AND deletion_scheduled_for IS NOT NULL RETURNING couple_id`,
+            [req.user.id]
+        );
+        if (result.rowCount === 0) return res.status(400).json({ error: "Your account isn't scheduled for deletion." });
+
+        const partnerRes = await pool.query(
+            "SELECT id FROM users WHERE couple_id = $1 AND id != $2", [result.rows[0].couple_id, req.user.id]
+        );
+        if (partnerRes.rows[0]) {
+            await createNotification({
+                recipientId: partnerRes.rows[0].id,
+                senderId: req.user.id,
+                type: 'partner_deletion_cancelled',
+                message: `Good news: your partner is staying! Their account deletion was cancelled. 💞`,
+                link: '/'
+            }, req.app.get('socketio'));
+        }
+
+        res.json({ message: "Welcome back! Your account will not be deleted." });
+    } catch (err) {
+        res.status(500).json({ error: "Could not cancel deletion." });
+    }
+};
+
+// Downloadable JSON archive of everything the user wrote
+exports.exportData = async (req, res) => {
+    try {
+        const archive = await buildExport(req.user.id);
+        if (!archive.profile) return res.status(404).json({ error: "User not found" });
+
+        const fileName = `twofold-export-${req.user.id}-${new Date().toISOString().split('T')[0]}.json`;
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.json(archive);
+    } catch (err) {
+        res.status(500).json({ error: "Export failed" });
+    }
+};
@@ -0,0 +1,73 @@
+const { pool } = require('../config/db');
+const { suggestions } = require('../config/wellbeing');
+const { formatAlert } = require('../services/wellbeingService');
+
+const handleWellbeingError = (err, defaultMsg) => {
+    console.error("❌ WELLBEING_ERROR:", err.message);
+    return { status: 500, error: defaultMsg };
+};
+
+/**
+ * GET WELLBEING ALERTS
+ * Alerts about the partner, newest first. ?status=open only lists the ones not acknowledged yet.
+ */
+exports.getAlerts = async (req, res) => {
+    const { status, page, limit } = req.query;
+    const openOnly = status === 'open';
+
+    try {
+        const alertsRes = await pool.query(
+            `SELECT a.*, u.nickname AS subject_nickname
+             FROM wellbeing_alerts a JOIN users u ON u.id = a.subject_id
+             WHERE a.recipient_id = $1 AND ($2::boolean = false OR a.acknowledged_at IS NULL)
+             ORDER BY a.created_at DESC, a.id DESC
+             LIMIT $3 OFFSET $4`,
+            [req.user.id, openOnly, limit, (page - 1) * limit]
+        );
+        const openRes = await pool.query(
+            'SELECT COUNT(*)::int AS open FROM wellbeing_alerts WHERE recipient_id = $1 AND acknowledged_at IS NULL',
+            [req.user.id]
+        );
+
+        res.json({ alerts: alertsRes.rows.map(formatAlert), open: openRes.rows[0].open, page, limit });
+    } catch (err) {
+        const { status: code, error } = handleWellbeingError(err, "Could not load wellbeing alerts.");
+        res.status(code).json({ error });
+    }
+};
+
+/**
+ * ACKNOWLEDGE ALERT
+ * The partner saw it, optionally with the suggested action they went with.
+ */
+exports.acknowledgeAlert = async (req, res) => {
+    const { action } = req.body;
+
+    try {
+        const alertRes = await pool.query(
+            `SELECT a.kind, a.acknowledged_at, u.nickname AS subject_nickname
+             FROM wellbeing_alerts a JOIN users u ON u.id = a.subject_id
+             WHERE a.id = $1 AND a.recipient_id = $2`,
+            [req.params.id, req.user.id]
+        );
+        const alert = alertRes.rows[0];
+        if (!alert) return res.status(404).json({ error: "Alert not found." });
+        if (alert.acknowledged_at) return res.status(409).json({ error: "You already acknowledged this alert." });
+
+        if (action && !(suggestions[alert.kind] || []).includes(action)) {
+            return res.status(400).json({ error: "That action isn't one of this alert's suggestions." });
+        }
+
+        const updated = await pool.query(
+            `UPDATE wellbeing_alerts SET acknowledged_at = NOW(), acknowledged_action = $1
+             WHERE id = $2
+             RETURNING *`,
+            [action || null, req.params.id]
+        );
+
+        res.json({ message: "Thanks for looking out for each other. 💗", alert: formatAlert({ ...updated.rows[0], subject_nickname: alert.subject_nickname }) });
+    } catch (err) {
+        const { status, error } = handleWellbeingError(err, "Could not acknowledge the alert.");
+        res.status(status).json({ error });
+    }
+};
@@ -3,7 +3,7 @@ const { pool } = require('../config/db');
 // 1. Get all possible punishments for the Wheel UI
 exports.getWheelItems = async (req, res) => {
     try {
-        const result = await pool.query("SELECT * FROM wheel_library");
+        const result = await pool.query("SELECT * FROM wheel_library WHERE is_active = true");
         res.json(result.rows);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -17,7 +17,8 @@ exports.saveSpinResult = async (req, res) => {
 
     try {
         // 1. Get all punishments from the library
-        const libraryRes = await pool.query("SELECT * FROM wheel_library");
+        // Disabled punishments (admin switch) are never rolled
+        const libraryRes = await pool.query("SELECT * FROM wheel_library WHERE is_active = true");
         
         if (libraryRes.rows.length === 0) {
             return res.status(404).json({ error: "No punishments found in library." });
@@ -5,6 +5,13 @@ const { Server } = require('socket.io');
 require('dotenv').config();
 const { pool } = require('./config/db');
 const initPunishmentCron = require('./jobs/punishmentCron');
+const initAccountDeletionCron = require('./jobs/accountDeletionCron');
+const initUnlinkCron = require('./jobs/unlinkCron');
+const initPauseCron = require('./jobs/pauseCron');
+const initMilestoneCron = require('./jobs/milestoneCron');
+const initRetentionCron = require('./jobs/retentionCron');
+const initWellbeingCron = require('./jobs/wellbeingCron');
+const initStreakCron = require('./jobs/streakCron');
 
 // --- 1. IMPORT ROUTERS ---
 const authRoutes = require('./routers/authRouter');
@@ -17,10 +24,15 @@ const dailyRoutes = require('./routers/dailyRoutes'); // Fixed typo from 'dailRo
 const questRoutes = require('./routers/questRoutes');      // NEW
 const punishmentRoutes = require('./routers/punishmentRoutes'); // NEW
 const dashboardRoutes = require('./routers/dashboardRoutes');   // NEW
+const adminRoutes = require('./routers/adminRoutes');
+const albumRoutes = require('./routers/albumRoutes');
 
 const app = express();
 const server = http.createServer(app); 
 
+// We sit behind the hosting proxy: trust its X-Forwarded-For so req.ip is the real client (auth throttling)
+app.set('trust proxy', 1);
+
 // --- 2. CORS CONFIGURATION ---
 const allowedOrigins = [
     "http://localhost:5173", 
@@ -87,6 +99,8 @@ app.use('/api/daily', dailyRoutes);
 app.use('/api/quests', questRoutes);           // MOUNTED
 app.use('/api/punishments', punishmentRoutes); // MOUNTED
 app.use('/api/dashboard', dashboardRoutes);     // MOUNTED
+app.use('/api/admin', adminRoutes);
+app.use('/api/albums', albumRoutes);
 
 // --- 7. GLOBAL ERROR HANDLING ---
 app.use((err, req, res, next) => {
@@ -96,6 +110,13 @@ app.use((err, req, res, next) => {
 
 // Initialize Cron Jobs
 initPunishmentCron();
+initAccountDeletionCron();
+initUnlinkCron(io);
+initPauseCron(io);
+initMilestoneCron(io);
+initRetentionCron();
+initWellbeingCron(io);
+initStreakCron(io);
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
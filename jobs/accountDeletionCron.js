@@ -0,0 +1,17 @@
+const cron = require('node-cron');
+const { purgeDueAccounts } = require('../services/accountService');
+
+const initAccountDeletionCron = () => {
+    // Runs at 03:00 every day, away from the midnight punishment audit
+    cron.schedule('0 3 * * *', async () => {
+        console.log('Running Account Deletion Sweep... 🗑️');
+        try {
+            const purged = await purgeDueAccounts();
+            console.log(`✅ Deletion sweep complete. Purged ${purged} account(s).`);
+        } catch (err) {
+            console.error('Account Deletion Cron Error:', err);
+        }
+    });
+};
+
+module.exports = initAccountDeletionCron;
@@ -0,0 +1,12 @@
+const { purgeStale } = require('../services/throttleService');
+
+const cleanupAuthThrottles = async () => {
+    try {
+        const removed = await purgeStale();
+        if (removed > 0) console.log(`🧹 Removed ${removed} stale login/reset counters.`);
+    } catch (err) {
+        console.error("❌ Auth Throttle Cleanup Error:", err);
+    }
+};
+
+module.exports = cleanupAuthThrottles;
@@ -1,12 +1,12 @@
 const cloudinary = require('../config/cloudinary');
 const { pool } = require('../config/db');
+const { toDateKey, addDays } = require('../utils/dates');
 
 const cleanupFailedImages = async () => {
     try {
-        // Find tasks from yesterday that were failed/rejected and have a public_id
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const dateStr = yesterday.toISOString().split('T')[0];
+        // Find failed/rejected tasks that have a public_id, from the day before yesterday:
+        // the latest day whose midnight (and so the appeal window) has passed in every timezone
+        const dateStr = addDays(toDateKey(new Date()), -2);
 
         const res = await pool.query(
             `SELECT cloudinary_public_id FROM daily_tasks 
@@ -0,0 +1,17 @@
+const cron = require('node-cron');
+const { sendMilestoneReminders } = require('../services/timelineService');
+
+const initMilestoneCron = (io) => {
+    // 09:00: a reminder people see over breakfast, not at midnight
+    cron.schedule('0 9 * * *', async () => {
+        console.log('Running Milestone Reminders... 📅');
+        try {
+            const sent = await sendMilestoneReminders(undefined, io);
+            console.log(`✅ Milestone reminders complete. Sent ${sent} reminder(s).`);
+        } catch (err) {
+            console.error('Milestone Cron Error:', err);
+        }
+    });
+};
+
+module.exports = initMilestoneCron;
@@ -0,0 +1,16 @@
+const cron = require('node-cron');
+const { resumeDuePauses } = require('../services/pauseService');
+
+const initPauseCron = (io) => {
+    // Hourly, so an auto-resume lands close to the time the couple picked
+    cron.schedule('30 * * * *', async () => {
+        try {
+            const resumed = await resumeDuePauses(io);
+            if (resumed > 0) console.log(`✅ Pause sweep complete. Resumed ${resumed} world(s). ▶️`);
+        } catch (err) {
+            console.error('Pause Cron Error:', err);
+        }
+    });
+};
+
+module.exports = initPauseCron;
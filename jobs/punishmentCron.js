@@ -1,75 +1,112 @@
 const cron = require('node-cron');
 const { pool } = require('../config/db');
-const { createNotification } = require('../services/notificationService');
+const { createNotification, pronounsOf } = require('../services/notificationService');
+const { getCoupleSettings } = require('../services/settingsService');
+const { toDateKey, addDays, todayIn } = require('../utils/dates');
 const cleanupFailedImages = require('./cloudinaryCleanup');
+const cleanupAuthThrottles = require('./authThrottleCleanup');
+
+// Doubles one unpaid punishment and tells both partners
+const doublePunishment = async (row, settings) => {
+    // If they already had a punishment name, double it.
+    // If they hadn't even spun the wheel yet, give them the couple's default punishment.
+    const currentPunishment = row.punishment_rolled || `Default: ${settings.defaultPunishment}`;
+    const doubledMessage = `DOUBLED: ${currentPunishment}`;
+
+    await pool.query(
+        `UPDATE daily_tasks
+         SET punishment_rolled = $1,
+             punishment_completed = false,
+             deadline_passed_at = NOW()
+         WHERE id = $2`,
+        [doubledMessage, row.id]
+    );
+
+    // Notify the user they are in trouble
+    await createNotification({
+        recipientId: row.user_id,
+        senderId: 0, // System ID
+        type: 'punishment_doubled',
+        message: `⚠️ Midnight deadline passed! Your punishment was doubled: ${doubledMessage}`,
+        link: '/wheel'
+    });
+
+    // Notify the partner so they can enjoy the justice
+    const partnerRes = await pool.query(
+        "SELECT id FROM users WHERE couple_id = $1 AND id != $2",
+        [row.couple_id, row.user_id]
+    );
+
+    if (partnerRes.rows[0]) {
+        const { their } = await pronounsOf(row.user_id);
+        await createNotification({
+            recipientId: partnerRes.rows[0].id,
+            senderId: 0,
+            type: 'partner_slacking',
+            message: `Your partner ignored ${their} debt. The system has doubled ${their} punishment! 😈`
+        });
+    }
+};
 
 const initPunishmentCron = () => {
-    // Runs at 00:01 every day
-    cron.schedule('1 0 * * *', async () => {
-        console.log('Running Midnight Punishment Audit... 🕒');
-        
+    // Every 15 minutes: each timezone reaches midnight on its own (some sit at :30 or :45 offsets),
+    // and "until midnight" means the midnight of the person who owes the punishment
+    cron.schedule('*/15 * * * *', async () => {
         try {
-            const yesterday = new Date();
-            yesterday.setDate(yesterday.getDate() - 1);
-            const dateStr = yesterday.toISOString().split('T')[0];
+            const now = new Date();
 
-            // 1. Find tasks that were 'failed' (rejected by partner) 
+            // 1. Find tasks that were 'failed' (rejected by partner)
             // but the user never completed the resulting punishment.
-            const slackers = await pool.query(
-                `SELECT * FROM daily_tasks 
-                 WHERE scheduled_date = $1 
-                 AND status = 'failed' 
-                 AND punishment_completed = false`,
-                [dateStr]
+            // Every timezone is within about a day of UTC, so the last few UTC days cover all of them.
+            // Paused worlds are skipped: nothing escalates while a couple is on a break.
+            const candidates = await pool.query(
+                `SELECT t.*, t.scheduled_date::text AS day, u.timezone AS user_timezone
+                 FROM daily_tasks t
+                 JOIN couples c ON c.id = t.couple_id
+                 JOIN users u ON u.id = t.user_id
+                 WHERE t.scheduled_date >= $1
+                 AND t.status = 'failed'
+                 AND t.punishment_completed = false
+                 AND t.deadline_passed_at IS NULL
+                 AND c.is_paused = false`,
+                [addDays(toDateKey(now), -2)]
             );
 
-            for (const row of slackers.rows) {
-                // If they already had a punishment name, double it. 
-                // If they hadn't even spun the wheel yet, give them a 'System Default' punishment.
-                const currentPunishment = row.punishment_rolled || "Default: 20 Pushups";
-                const doubledMessage = `DOUBLED: ${currentPunishment}`;
-
-                await pool.query(
-                    `UPDATE daily_tasks 
-                     SET punishment_rolled = $1, 
-                         punishment_completed = false 
-                     WHERE id = $2`,
-                    [doubledMessage, row.id]
-                );
+            // 2. Keep the tasks whose day just ended where their owner lives, grouped by timezone
+            const settingsByCouple = new Map();
+            const slackersByZone = new Map();
+            for (const row of candidates.rows) {
+                if (!settingsByCouple.has(row.couple_id)) {
+                    settingsByCouple.set(row.couple_id, await getCoupleSettings(pool, row.couple_id));
+                }
+                const timeZone = row.user_timezone || settingsByCouple.get(row.couple_id).timezone;
+                if (row.day !== addDays(todayIn(timeZone, now), -1)) continue;
 
-                // Notify the user they are in trouble
-                await createNotification({
-                    recipientId: row.user_id,
-                    senderId: 0, // System ID
-                    type: 'punishment_doubled',
-                    message: `⚠️ Midnight deadline passed! Your punishment was doubled: ${doubledMessage}`,
-                    link: '/wheel'
-                });
+                if (!slackersByZone.has(timeZone)) slackersByZone.set(timeZone, []);
+                slackersByZone.get(timeZone).push(row);
+            }
 
-                // Notify the partner so they can enjoy the justice
-                const partnerRes = await pool.query(
-                    "SELECT id FROM users WHERE couple_id = $1 AND id != $2",
-                    [row.couple_id, row.user_id]
-                );
-                
-                if (partnerRes.rows[0]) {
-                    await createNotification({
-                        recipientId: partnerRes.rows[0].id,
-                        senderId: 0,
-                        type: 'partner_slacking',
-                        message: `Your partner ignored their debt. The system has doubled their punishment! 😈`
-                    });
+            // 3. Run the audit for every timezone that just passed midnight
+            for (const [timeZone, slackers] of slackersByZone) {
+                console.log(`Running Midnight Punishment Audit for ${timeZone}... 🕒`);
+                for (const row of slackers) {
+                    await doublePunishment(row, settingsByCouple.get(row.couple_id));
                 }
+                console.log(`✅ Audit complete for ${timeZone}. Processed ${slackers.length} slackers.`);
             }
-
-            // 2. Clean up the rejected photos from yesterday to save Cloudinary space
-            await cleanupFailedImages();
-
-            console.log(`✅ Audit complete. Processed ${slackers.rowCount} slackers.`);
         } catch (err) {
             console.error('Cron Job Error:', err);
         }
     });
+
+    // Nightly housekeeping (server time) that doesn't depend on anyone's midnight
+    cron.schedule('1 0 * * *', async () => {
+        // Clean up rejected photos whose appeal window has closed in every timezone
+        await cleanupFailedImages();
+
+        // Drop brute-force counters that went quiet
+        await cleanupAuthThrottles();
+    });
 };
 
-module.exports = initPunishmentCron;
\ No newline at end of file
+module.exports = initPunishmentCron;
@@ -0,0 +1,17 @@
+const cron = require('node-cron');
+const { runRetention } = require('../services/retentionService');
+
+const initRetentionCron = () => {
+    // 04:00, after the account deletion sweep (03:00) has archived whatever it had to
+    cron.schedule('0 4 * * *', async () => {
+        console.log('Running Archive Retention... 🗂️');
+        try {
+            const { relinkCodesExpired, warned, purged, orphansRemoved } = await runRetention();
+            console.log(`✅ Retention complete. Codes expired: ${relinkCodesExpired}, warned: ${warned}, purged: ${purged}, orphans removed: ${orphansRemoved}.`);
+        } catch (err) {
+            console.error('Retention Cron Error:', err);
+        }
+    });
+};
+
+module.exports = initRetentionCron;
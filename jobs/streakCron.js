@@ -0,0 +1,17 @@
+const cron = require('node-cron');
+const { applyDayRulesForAll } = require('../services/streakService');
+
+const initStreakCron = (io) => {
+    // Every 15 minutes, like the punishment audit: a day ends at each person's own midnight.
+    // Users whose yesterday was already judged are skipped, so reruns change nothing.
+    cron.schedule('*/15 * * * *', async () => {
+        try {
+            const { users, events } = await applyDayRulesForAll(new Date(), io);
+            if (users > 0) console.log(`🧊 Streak rules applied: ${events} change(s) for ${users} user(s).`);
+        } catch (err) {
+            console.error('Streak Cron Error:', err);
+        }
+    });
+};
+
+module.exports = initStreakCron;
@@ -0,0 +1,16 @@
+const cron = require('node-cron');
+const { executeDueUnlinks } = require('../services/unlinkService');
+
+const initUnlinkCron = (io) => {
+    // Hourly: cooling-off windows end at the time of day the request was made
+    cron.schedule('15 * * * *', async () => {
+        try {
+            const executed = await executeDueUnlinks(io);
+            if (executed > 0) console.log(`✅ Unlink sweep complete. Archived ${executed} world(s). 🕊️`);
+        } catch (err) {
+            console.error('Unlink Cron Error:', err);
+        }
+    });
+};
+
+module.exports = initUnlinkCron;
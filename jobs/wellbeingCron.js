@@ -0,0 +1,17 @@
+const cron = require('node-cron');
+const { checkSilenceAfterLow } = require('../services/wellbeingService');
+
+const initWellbeingCron = (io) => {
+    // Hourly: "quiet for two days" should be noticed soon after the quiet person's midnight,
+    // wherever they live. The alert's dedupe key makes the reruns harmless.
+    cron.schedule('0 * * * *', async () => {
+        try {
+            const sent = await checkSilenceAfterLow(new Date(), io);
+            if (sent > 0) console.log(`💌 Wellbeing check sent ${sent} silence alert(s).`);
+        } catch (err) {
+            console.error('Wellbeing Cron Error:', err);
+        }
+    });
+};
+
+module.exports = initWellbeingCron;
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/db');
+const sessionModel = require('../models/sessionModel');
+const emailVerification = require('../config/emailVerification');
 
 // 1. Authentication: Is the user logged in at all?
 const protect = async (req, res, next) => {
@@ -8,7 +10,14 @@ const protect = async (req, res, next) => {
         try {
             token = req.headers.authorization.split(' ')[1];
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = { id: decoded.userId }; 
+
+            // Every access token is tied to a device session that can be revoked
+            const session = decoded.sessionId
+                ? await sessionModel.findActive(decoded.sessionId, decoded.userId)
+                : null;
+            if (!session) return res.status(401).json({ error: 'Session expired or signed out' });
+
+            req.user = { id: decoded.userId, session_id: decoded.sessionId }; 
             return next();
         } catch (error) {
             return res.status(401).json({ error: 'Not authorized, token failed' });
@@ -17,6 +26,20 @@ const protect = async (req, res, next) => {
     if (!token) return res.status(401).json({ error: 'Not authorized, no token' });
 };
 
+// 1b. Admin: May this user manage the content libraries? (always after protect)
+const isAdmin = async (req, res, next) => {
+    try {
+        const result = await pool.query('SELECT role FROM users WHERE id = $1', [req.user.id]);
+        if (result.rows[0]?.role !== 'admin') {
+            return res.status(403).json({ error: "Admins only." });
+        }
+        req.user.role = 'admin';
+        next();
+    } catch (err) {
+        res.status(500).json({ error: "Security check failed." });
+    }
+};
+
 // 2. Loose Authorization: Does the user belong to ANY couple record? (Waiting OR Full)
 const hasCouple = async (req, res, next) => {
     try {
@@ -61,4 +84,21 @@ const hasFullCouple = async (req, res, next) => {
     }
 };
 
-module.exports = { protect, hasCouple, hasFullCouple };
\ No newline at end of file
+// 4. Email Verification: Only enforced for the actions listed in config/emailVerification.js
+const requireVerifiedEmail = (action) => async (req, res, next) => {
+    if (!emailVerification.requiredFor.includes(action)) return next();
+    try {
+        const result = await pool.query('SELECT email_verified FROM users WHERE id = $1', [req.user.id]);
+        if (!result.rows[0]?.email_verified) {
+            return res.status(403).json({ 
+                error: "Please verify your email address first.", 
+                code: 'EMAIL_NOT_VERIFIED' 
+            });
+        }
+        next();
+    } catch (err) {
+        res.status(500).json({ error: "Security check failed." });
+    }
+};
+
+module.exports = { protect, isAdmin, hasCouple, hasFullCouple, requireVerifiedEmail };
\ No newline at end of file
@@ -0,0 +1,81 @@
+const Joi = require('joi');
+const { id } = require('../validator');
+
+const MONTHS = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"
+];
+
+// Item shapes per library. `create` requires the core fields, `update` makes everything optional.
+const itemFields = {
+    quests: {
+        title: Joi.string().trim().max(120),
+        prompt: Joi.string().trim().max(1000),
+        points_reward: Joi.number().integer().min(0).max(10000),
+        category: Joi.string().trim().max(50),
+        image_required: Joi.boolean(),
+        is_custom: Joi.boolean(),
+    },
+    coupons: {
+        title: Joi.string().trim().max(120),
+        prompt: Joi.string().trim().max(1000),
+        point_cost: Joi.number().integer().min(0).max(10000),
+        category: Joi.string().trim().max(50),
+    },
+    wheel: {
+        title: Joi.string().trim().max(120),
+        description: Joi.string().trim().allow('').max(500),
+    },
+    'daily-questions': {
+        month: Joi.string().valid(...MONTHS),
+        day: Joi.number().integer().min(1).max(31),
+        theme: Joi.string().trim().max(60),
+        question: Joi.string().trim().max(500),
+    },
+};
+
+const requiredFields = {
+    quests: ['title', 'prompt'],
+    coupons: ['title', 'prompt'],
+    wheel: ['title'],
+    'daily-questions': ['month', 'day', 'question'],
+};
+
+const createSchema = (library) => Joi.object(itemFields[library]).fork(requiredFields[library], f => f.required());
+
+const LIBRARY_NAMES = Object.keys(itemFields);
+
+const libraryParam = Joi.string().valid(...LIBRARY_NAMES).required().messages({
+    'any.only': `Library must be one of: ${LIBRARY_NAMES.join(', ')}`,
+});
+
+module.exports = {
+    LIBRARY_NAMES,
+
+    library: {
+        params: Joi.object({ library: libraryParam }),
+    },
+
+    item: {
+        params: Joi.object({ library: libraryParam, id: id.required() }),
+    },
+
+    list: {
+        params: Joi.object({ library: libraryParam }),
+        query: Joi.object({
+            active: Joi.string().valid('true', 'false', 'all').default('all'),
+            search: Joi.string().trim().max(100),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(200).default(50),
+        }),
+    },
+
+    // Body schemas are picked per library by the router
+    create: Object.fromEntries(LIBRARY_NAMES.map(l => [l, createSchema(l)])),
+    update: Object.fromEntries(LIBRARY_NAMES.map(l => [l, Joi.object(itemFields[l]).min(1)])),
+    import: Object.fromEntries(LIBRARY_NAMES.map(l => [l, Joi.object({
+        // Daily questions may carry their dailyQuestions.json ID so re-imports update in place
+        items: Joi.array().items(l === 'daily-questions' ? createSchema(l).keys({ id }) : createSchema(l))
+            .min(1).max(500).required(),
+    })])),
+};
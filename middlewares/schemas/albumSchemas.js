@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const { id, calendarDay } = require('../validator');
+
+const caption = Joi.string().trim().max(300).allow('');
+
+module.exports = {
+    albumParams: {
+        params: Joi.object({
+            id: id.required(),
+        }),
+    },
+
+    createAlbum: {
+        body: Joi.object({
+            title: Joi.string().trim().min(1).max(60).required(),
+        }),
+    },
+
+    listPhotos: {
+        query: Joi.object({
+            albumId: id,
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(24),
+        }),
+    },
+
+    // multipart form: every field arrives as a string, Joi converts
+    uploadPhoto: {
+        body: Joi.object({
+            caption,
+            takenOn: calendarDay,
+            albumId: id,
+        }),
+    },
+
+    updatePhoto: {
+        params: Joi.object({
+            id: id.required(),
+        }),
+        body: Joi.object({
+            caption: caption.allow(null),
+            takenOn: calendarDay,
+            albumId: id.allow(null),
+        }).min(1).messages({
+            'object.min': 'Nothing to update',
+        }),
+    },
+
+    setCover: {
+        body: Joi.object({
+            photoId: id.allow(null).required(),
+        }),
+    },
+};
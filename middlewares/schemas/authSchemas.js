@@ -0,0 +1,162 @@
+const Joi = require('joi');
+const { id, sixDigitCode } = require('../validator');
+
+const email = Joi.string().trim().lowercase().email().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required',
+});
+
+const newPassword = Joi.string().min(8).max(128).messages({
+    'string.min': 'Password must be at least 8 characters long',
+});
+
+const totpCode = Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Authenticator code must be 6 digits',
+});
+
+// Optional label the app sends so the sessions list reads "Jane's iPhone"
+const deviceName = Joi.string().trim().max(60);
+
+module.exports = {
+    register: {
+        body: Joi.object({
+            email: email.required(),
+            password: newPassword.required(),
+            name: Joi.string().trim().max(60).required(),
+            deviceName,
+        }),
+    },
+
+    login: {
+        body: Joi.object({
+            email: email.required(),
+            password: Joi.string().required().messages({ 'any.required': 'Password is required' }),
+            deviceName,
+        }),
+    },
+
+    googleAuth: {
+        body: Joi.object({
+            idToken: Joi.string().required(),
+            deviceName,
+        }),
+    },
+
+    forgotPassword: {
+        body: Joi.object({
+            email: email.required(),
+        }),
+    },
+
+    verifyResetCode: {
+        body: Joi.object({
+            email: email.required(),
+            code: sixDigitCode.required(),
+        }),
+    },
+
+    resetPassword: {
+        body: Joi.object({
+            email: email.required(),
+            code: sixDigitCode.required(),
+            newPassword: newPassword.required(),
+        }),
+    },
+
+    changePassword: {
+        body: Joi.object({
+            currentPassword: Joi.string().required().messages({
+                'any.required': 'Your current password is required',
+            }),
+            newPassword: newPassword.required().invalid(Joi.ref('currentPassword')).messages({
+                'any.invalid': 'New password must be different from the current one',
+            }),
+        }),
+    },
+
+    changeEmail: {
+        body: Joi.object({
+            newEmail: email.required().messages({ 'any.required': 'New email is required' }),
+            password: Joi.string(),
+        }),
+    },
+
+    confirmEmailChange: {
+        body: Joi.object({
+            code: sixDigitCode.required(),
+        }),
+    },
+
+    verifyEmail: {
+        body: Joi.object({
+            code: sixDigitCode.required().messages({ 'any.required': 'Verification code is required' }),
+        }),
+    },
+
+    provider: {
+        params: Joi.object({
+            provider: Joi.string().alphanum().max(30).required(),
+        }),
+    },
+
+    linkIdentity: {
+        params: Joi.object({
+            provider: Joi.string().alphanum().max(30).required(),
+        }),
+        body: Joi.object({
+            idToken: Joi.string().required(),
+        }),
+    },
+
+    setPassword: {
+        body: Joi.object({
+            newPassword: newPassword.required(),
+        }),
+    },
+
+    twoFactorCode: {
+        body: Joi.object({
+            code: totpCode.required(),
+        }),
+    },
+
+    twoFactorLogin: {
+        body: Joi.object({
+            challengeToken: Joi.string().required(),
+            code: totpCode,
+            recoveryCode: Joi.string().max(20),
+            deviceName,
+        }).xor('code', 'recoveryCode').messages({
+            'object.missing': 'Enter your authenticator code or a recovery code',
+            'object.xor': 'Enter either an authenticator code or a recovery code, not both',
+        }),
+    },
+
+    disableTwoFactor: {
+        body: Joi.object({
+            password: Joi.string().required().messages({
+                'any.required': 'Your current password is required',
+            }),
+        }),
+    },
+
+    refreshToken: {
+        body: Joi.object({
+            refreshToken: Joi.string().hex().required().messages({
+                'any.required': 'Refresh token is required',
+            }),
+        }),
+    },
+
+    revokeSession: {
+        params: Joi.object({
+            sessionId: id.required(),
+        }),
+    },
+
+    revokeAllSessions: {
+        query: Joi.object({
+            keepCurrent: Joi.boolean().default(false),
+        }),
+    },
+};
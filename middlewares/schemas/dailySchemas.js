@@ -0,0 +1,20 @@
+const Joi = require('joi');
+const { id } = require('../validator');
+
+module.exports = {
+    submitAnswer: {
+        body: Joi.object({
+            question_id: id.required(),
+            answer: Joi.string().trim().min(1).max(2000).required(),
+            is_shared: Joi.boolean().default(false),
+        }),
+    },
+
+    archive: {
+        query: Joi.object({
+            month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).messages({
+                'string.pattern.base': 'Month must look like YYYY-MM',
+            }),
+        }),
+    },
+};
@@ -0,0 +1,12 @@
+const Joi = require('joi');
+
+module.exports = {
+    upsertHighlightGratitude: {
+        body: Joi.object({
+            highlight: Joi.string().trim().allow('').max(2000),
+            gratitude: Joi.string().trim().allow('').max(2000),
+        }).or('highlight', 'gratitude').messages({
+            'object.missing': 'Write a highlight or something you are grateful for',
+        }),
+    },
+};
@@ -0,0 +1,65 @@
+const Joi = require('joi');
+const { id, calendarDay } = require('../validator');
+const { checkIns } = require('../../config/moods');
+const { ACTIONS } = require('../../config/wellbeing');
+
+const tags = Joi.array().items(Joi.string().valid(...checkIns.reasonTags)).unique();
+const note = Joi.string().trim().max(checkIns.maxNoteLength).allow('', null);
+
+module.exports = {
+    upsertMood: {
+        body: Joi.object({
+            score: Joi.number().integer().min(1).max(10).required().messages({
+                'number.min': 'Mood score must be between 1 and 10',
+                'number.max': 'Mood score must be between 1 and 10',
+            }),
+            tags: tags.default([]),
+            note,
+            // Shared check-ins show their reason and note to the partner
+            isShared: Joi.boolean().default(false),
+        }),
+    },
+
+    myEntries: {
+        query: Joi.object({
+            day: calendarDay,
+        }),
+    },
+
+    updateEntry: {
+        params: Joi.object({
+            id: id.required(),
+        }),
+        body: Joi.object({
+            tags,
+            note,
+            isShared: Joi.boolean(),
+        }).min(1).messages({
+            'object.min': 'Nothing to update',
+        }),
+    },
+
+    wellbeingAlerts: {
+        query: Joi.object({
+            status: Joi.string().valid('open', 'all').default('all'),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(20),
+        }),
+    },
+
+    acknowledgeAlert: {
+        params: Joi.object({
+            id: id.required(),
+        }),
+        body: Joi.object({
+            action: Joi.string().valid(...Object.keys(ACTIONS)),
+        }),
+    },
+
+    moodAnalytics: {
+        query: Joi.object({
+            from: calendarDay,
+            to: calendarDay,
+        }),
+    },
+};
@@ -0,0 +1,9 @@
+const Joi = require('joi');
+
+module.exports = {
+    getNotifications: {
+        query: Joi.object({
+            limit: Joi.number().integer().min(1).max(100).default(20),
+        }),
+    },
+};
@@ -0,0 +1,17 @@
+const Joi = require('joi');
+const { id } = require('../validator');
+
+module.exports = {
+    recordPunishment: {
+        body: Joi.object({
+            taskId: id.required(),
+            punishmentName: Joi.string().trim().min(1).max(200).required(),
+        }),
+    },
+
+    markPunishmentDone: {
+        body: Joi.object({
+            taskId: id.required(),
+        }),
+    },
+};
@@ -0,0 +1,43 @@
+const Joi = require('joi');
+const { id } = require('../validator');
+
+const verdict = Joi.string().valid('approved', 'failed').messages({
+    'any.only': 'Verdict must be "approved" or "failed"',
+});
+
+module.exports = {
+    taskOnly: {
+        body: Joi.object({
+            taskId: id.required(),
+        }),
+    },
+
+    submitVerdict: {
+        body: Joi.object({
+            taskId: id.required(),
+            status: verdict.required(),
+        }),
+    },
+
+    submitAppeal: {
+        body: Joi.object({
+            taskId: id.required(),
+            appealText: Joi.string().trim().min(1).max(1000).required(),
+        }),
+    },
+
+    finalizeVerdict: {
+        body: Joi.object({
+            taskId: id.required(),
+            finalStatus: verdict.required(),
+            publicIdToDelete: Joi.string().max(255),
+        }),
+    },
+
+    setCustomQuest: {
+        body: Joi.object({
+            targetUserId: id.required(),
+            questText: Joi.string().trim().min(1).max(500).required(),
+        }),
+    },
+};
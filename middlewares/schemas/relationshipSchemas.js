@@ -0,0 +1,135 @@
+const Joi = require('joi');
+const { id, calendarDay, pronouns, timeZone } = require('../validator');
+const unlinkConfig = require('../../config/unlink');
+const { CURRENT_VERSION, versions } = require('../../config/welcomeQuestionnaire');
+const coupleSettings = require('../../config/coupleSettings');
+
+const inviteCode = Joi.string().trim().uppercase().alphanum().min(4).max(12);
+// Signature from a scanned QR deep link (utils/inviteCodes.js)
+const inviteSig = Joi.string().trim().max(1000);
+
+// One rule per question of a questionnaire version (config/welcomeQuestionnaire.js)
+const questionnaireAnswers = ({ questions }) => Joi.object(Object.fromEntries(questions.map(q => {
+    const values = (q.options || []).map(o => o.value);
+    let rule;
+    if (q.type === 'single') rule = Joi.string().valid(...values);
+    if (q.type === 'multi') rule = Joi.array().items(Joi.string().valid(...values)).unique().min(1).max(q.maxSelect || values.length);
+    if (q.type === 'scale') rule = Joi.number().integer().min(q.min).max(q.max);
+    if (q.type === 'text') rule = Joi.string().trim().max(q.maxLength || 500).allow('');
+    return [q.key, q.required ? rule.required() : rule];
+})));
+
+// One optional rule per world setting (config/coupleSettings.js)
+const settingRule = (def) => {
+    if (def.type === 'integer') return Joi.number().integer().min(def.min).max(def.max);
+    if (def.type === 'text') return Joi.string().trim().min(1).max(def.maxLength);
+    if (def.type === 'timezone') return timeZone;
+    if (def.type === 'choice') return Joi.string().valid(...def.options);
+    if (def.type === 'odds') {
+        return Joi.object(Object.fromEntries(def.options.map(o => [o, Joi.number().integer().min(0).max(100).required()])))
+            .custom((value, helpers) => {
+                const total = def.options.reduce((sum, o) => sum + value[o], 0);
+                return total === 100 ? value : helpers.error('odds.total', { total });
+            })
+            .messages({ 'odds.total': '{{#label}} must add up to 100 (got {{#total}})' });
+    }
+};
+const settingsUpdate = Joi.object(Object.fromEntries(
+    Object.entries(coupleSettings.definitions).map(([key, def]) => [key, settingRule(def)])
+)).min(1).messages({ 'object.min': 'Send at least one setting to change' });
+
+module.exports = {
+    invitePreview: {
+        params: Joi.object({
+            code: inviteCode.required(),
+        }),
+        query: Joi.object({
+            sig: inviteSig,
+        }),
+    },
+
+    onboardCreator: {
+        body: Joi.object({
+            nickname: Joi.string().trim().min(1).max(30).required(),
+            avatar_id: Joi.number().integer().min(0).required(),
+            gender: Joi.string().trim().max(30).required(),
+            pronouns,
+            rel_status: Joi.string().trim().max(30),
+        }),
+    },
+
+    pairCouple: {
+        body: Joi.object({
+            inviteCode: inviteCode.required().messages({ 'any.required': 'Invite code is required' }),
+            nickname: Joi.string().trim().min(1).max(30),
+            avatar_id: Joi.number().integer().min(0),
+            gender: Joi.string().trim().max(30),
+            pronouns,
+            sig: inviteSig,
+        }),
+    },
+
+    submitWelcomeAnswers: {
+        body: Joi.object({
+            version: Joi.number().integer().valid(CURRENT_VERSION).default(CURRENT_VERSION).messages({
+                'any.only': 'The questionnaire was updated. Please reload it and answer again',
+            }),
+            answers: questionnaireAnswers(versions[CURRENT_VERSION]).required(),
+        }),
+    },
+
+    unlinkCouple: {
+        body: Joi.object({
+            reason: Joi.string().trim().max(500).allow(''),
+            coolingOffDays: Joi.number().integer().min(0).max(unlinkConfig.maxCoolingOffDays),
+        }),
+    },
+
+    togglePause: {
+        body: Joi.object({
+            reason: Joi.string().trim().max(300).allow(''),
+            resumeAt: Joi.date().iso().greater('now').messages({
+                'date.greater': 'The resume date must be in the future',
+            }),
+        }),
+    },
+
+    setStartDate: {
+        body: Joi.object({
+            startedOn: calendarDay.required(),
+        }),
+    },
+
+    addMilestone: {
+        body: Joi.object({
+            title: Joi.string().trim().min(1).max(100).required(),
+            date: calendarDay.required(),
+            recurring: Joi.boolean().default(false),
+        }),
+    },
+
+    milestoneParams: {
+        params: Joi.object({
+            id: id.required(),
+        }),
+    },
+
+    updateSettings: {
+        body: settingsUpdate,
+    },
+
+    settingsChanges: {
+        query: Joi.object({
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(coupleSettings.historyPageSize),
+        }),
+    },
+
+    relinkCouple: {
+        body: Joi.object({
+            relinkCode: Joi.string().trim().uppercase().pattern(/^RL-[A-Z0-9]{4,10}$/).required().messages({
+                'string.pattern.base': 'That relink code does not look right',
+            }),
+        }),
+    },
+};
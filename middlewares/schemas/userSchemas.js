@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const { calendarDay, pronouns, timeZone } = require('../validator');
+const { historyPageSize } = require('../../config/streaks');
+
+module.exports = {
+    updateProfile: {
+        body: Joi.object({
+            nickname: Joi.string().trim().min(1).max(30),
+            avatar_id: Joi.number().integer().min(0),
+            gender: Joi.string().trim().max(30),
+            pronouns: pronouns.allow(null),
+            // null = follow the world's timezone
+            timezone: timeZone.allow(null),
+            rel_status: Joi.string().trim().max(30),
+            // When the new status actually started (defaults to today)
+            rel_status_date: calendarDay,
+        }).with('rel_status_date', 'rel_status').min(1).messages({
+            'object.min': 'Nothing to update',
+        }),
+    },
+
+    evolutionHistory: {
+        query: Joi.object({
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(historyPageSize),
+        }),
+    },
+
+    deleteAccount: {
+        body: Joi.object({
+            password: Joi.string(),
+            confirm: Joi.string().valid('DELETE').messages({
+                'any.only': 'Please type "DELETE" to confirm',
+            }),
+        }),
+    },
+};
@@ -0,0 +1,29 @@
+const { buildKeys, getRetryAfter } = require('../services/throttleService');
+
+const sendTooMany = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ 
+        error: `Too many attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`, 
+        retryAfter 
+    });
+};
+
+// Blocks the request while the account or IP is locked out.
+// The controller charges failures via req.throttleKeys (see services/throttleService.js).
+// By default the account is the email in the body; signed-in routes key on the user instead.
+const byEmail = (req) => req.body?.email;
+const byUser = (req) => req.user && `user-${req.user.id}`;
+
+const throttle = (action, accountOf = byEmail) => async (req, res, next) => {
+    try {
+        req.throttleKeys = buildKeys(action, accountOf(req), req.ip);
+        const retryAfter = await getRetryAfter(req.throttleKeys);
+        if (retryAfter > 0) return sendTooMany(res, retryAfter);
+        next();
+    } catch (err) {
+        console.error("❌ THROTTLE_ERROR:", err.message);
+        res.status(500).json({ error: "Security check failed." });
+    }
+};
+
+module.exports = { throttle, byUser, sendTooMany };
@@ -1,29 +1,77 @@
 const Joi = require('joi');
+const { PRESETS, CUSTOM_PATTERN } = require('../utils/pronouns');
+const { isValidTimeZone } = require('../utils/dates');
 
-const validateForgotPassword = (data) => {
-    const schema = Joi.object({
-        email: Joi.string().email().required().messages({
-            'string.email': 'Please provide a valid email address',
-            'any.required': 'Email is required',
-        }),
-    });
-    return schema.validate(data);
-};
+// Every route declares what it accepts; see middlewares/schemas/*.
+// Failures come back as one uniform 400:
+//   { error: "<first message>", fields: [{ field: "body.score", location: "body", message: "..." }] }
+const LOCATIONS = ['params', 'query', 'body'];
+
+const validate = (schemas) => (req, res, next) => {
+    const fields = [];
+    const values = {};
+
+    for (const location of LOCATIONS) {
+        if (!schemas[location]) continue;
+
+        const { error, value } = schemas[location].validate(req[location] || {}, {
+            abortEarly: false,   // report every broken field, not just the first
+            stripUnknown: true,  // controllers only ever see what the schema allows
+            errors: { wrap: { label: false } }
+        });
+
+        if (error) {
+            error.details.forEach(detail => fields.push({
+                field: [location, ...detail.path].join('.'),
+                location,
+                message: detail.message
+            }));
+        } else {
+            values[location] = value;
+        }
+    }
 
-const validateResetPassword = (data) => {
-    const schema = Joi.object({
-        email: Joi.string().email().required(),
-        code: Joi.string().length(6).required().messages({
-            'string.length': 'Verification code must be 6 digits',
-        }),
-        newPassword: Joi.string().min(8).required().messages({
-            'string.min': 'Password must be at least 8 characters long',
-        }),
-    });
-    return schema.validate(data);
+    if (fields.length > 0) {
+        return res.status(400).json({ error: fields[0].message, fields });
+    }
+
+    // Hand the converted values (numbers, trimmed strings, defaults) to the controller.
+    // Express 5 exposes req.query as a getter, so it is redefined instead of assigned.
+    if (values.params) req.params = values.params;
+    if (values.body) req.body = values.body;
+    if (values.query) {
+        Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true, enumerable: true });
+    }
+
+    next();
 };
 
-module.exports = { 
-    validateForgotPassword, 
-    validateResetPassword 
-};
\ No newline at end of file
+// Building blocks shared by the schema files
+const id = Joi.number().integer().positive();
+const sixDigitCode = Joi.string().trim().length(6).messages({
+    'string.length': 'Verification code must be 6 digits',
+});
+// A calendar day as 'YYYY-MM-DD' (kept as a string so no timezone can shift it)
+const calendarDay = Joi.string().trim().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value) ? value : helpers.error('any.invalid');
+}).messages({
+    'string.pattern.base': '{{#label}} must be a date like 2024-02-14',
+    'any.invalid': '{{#label}} is not a real date',
+});
+
+// A pronoun preset or the user's own 'subject/object/possessive' set (utils/pronouns.js)
+const pronouns = Joi.string().trim().lowercase().custom((value, helpers) => {
+    return PRESETS[value] || CUSTOM_PATTERN.test(value) ? value : helpers.error('any.invalid');
+}).messages({
+    'any.invalid': 'Pronouns must be she/her, he/him, they/them or your own as subject/object/possessive',
+});
+
+// An IANA timezone name like 'Europe/Berlin'
+const timeZone = Joi.string().trim().max(64).custom((value, helpers) => {
+    return isValidTimeZone(value) ? value : helpers.error('any.invalid');
+}).messages({
+    'any.invalid': '{{#label}} is not a known timezone (use a name like Europe/Berlin)',
+});
+
+module.exports = { validate, id, sixDigitCode, calendarDay, pronouns, timeZone };
@@ -1,15 +1,14 @@
 const { query } = require('../config/db');
 
 const coupleModel = {
-    // Create the shared space (for User A)
-    async create(inviteCode, creatorId, creatorRole) {
-        const roleColumn = creatorRole === 'boyfriend' ? 'boyfriend' : 'girlfriend';
+    // Create the shared space (for User A, who becomes the creator)
+    async create(inviteCode, creatorId, inviteExpiresAt, relStatus = 'dating') {
         const sql = `
-            INSERT INTO couples (invite_code, ${roleColumn}, status)
-            VALUES ($1, $2, 'waiting')
+            INSERT INTO couples (invite_code, invite_expires_at, creator_id, rel_status, status)
+            VALUES ($1, $2, $3, $4, 'waiting')
             RETURNING *;
         `;
-        const result = await query(sql, [inviteCode, creatorId]);
+        const result = await query(sql, [inviteCode, inviteExpiresAt, creatorId, relStatus]);
         return result.rows[0];
     },
 
@@ -21,4 +20,4 @@ const coupleModel = {
     }
 };
 
-module.exports = coupleModel;
\ No newline at end of file
+module.exports = coupleModel;
@@ -0,0 +1,79 @@
+const { query } = require('../config/db');
+
+const identityModel = {
+    /**
+     * FIND BY PROVIDER SUBJECT
+     * The normal lookup when someone signs in with Google & co.
+     */
+    async findByProviderId(provider, providerUserId) {
+        const sql = 'SELECT * FROM user_identities WHERE provider = $1 AND provider_user_id = $2';
+        const result = await query(sql, [provider, providerUserId]);
+        return result.rows[0];
+    },
+
+    /**
+     * FIND UNCLAIMED LEGACY IDENTITY
+     * Identities migrated from the old placeholder accounts have no subject id yet
+     */
+    async findUnclaimedByEmail(provider, email) {
+        const sql = `
+            SELECT * FROM user_identities 
+            WHERE provider = $1 AND provider_user_id IS NULL AND LOWER(email) = $2
+        `;
+        const result = await query(sql, [provider, email]);
+        return result.rows[0];
+    },
+
+    /**
+     * CLAIM
+     * Stores the subject id on a legacy identity the first time it is used
+     */
+    async claim(identityId, providerUserId) {
+        const sql = `
+            UPDATE user_identities SET provider_user_id = $1, last_used_at = NOW()
+            WHERE id = $2 RETURNING *;
+        `;
+        const result = await query(sql, [providerUserId, identityId]);
+        return result.rows[0];
+    },
+
+    /**
+     * LINK
+     */
+    async create(userId, provider, providerUserId, email) {
+        const sql = `
+            INSERT INTO user_identities (user_id, provider, provider_user_id, email, last_used_at)
+            VALUES ($1, $2, $3, $4, NOW())
+            RETURNING id, provider, email, created_at;
+        `;
+        const result = await query(sql, [userId, provider, providerUserId, email]);
+        return result.rows[0];
+    },
+
+    async touch(identityId) {
+        await query('UPDATE user_identities SET last_used_at = NOW() WHERE id = $1', [identityId]);
+    },
+
+    /**
+     * LIST FOR USER
+     */
+    async listForUser(userId) {
+        const sql = `
+            SELECT id, provider, email, created_at, last_used_at 
+            FROM user_identities WHERE user_id = $1 ORDER BY created_at
+        `;
+        const result = await query(sql, [userId]);
+        return result.rows;
+    },
+
+    /**
+     * UNLINK
+     */
+    async remove(userId, provider) {
+        const sql = 'DELETE FROM user_identities WHERE user_id = $1 AND provider = $2 RETURNING id';
+        const result = await query(sql, [userId, provider]);
+        return result.rows[0];
+    }
+};
+
+module.exports = identityModel;
@@ -0,0 +1,114 @@
+const { query } = require('../config/db');
+
+const sessionModel = {
+    /**
+     * CREATE SESSION
+     * One row per device, created on Login / Register / Google Auth
+     */
+    async create(userId, tokenHash, expiresAt, { deviceName, userAgent, ipAddress } = {}) {
+        const sql = `
+            INSERT INTO user_sessions (user_id, refresh_token_hash, expires_at, device_name, user_agent, ip_address)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, user_id, device_name, created_at, expires_at;
+        `;
+        const result = await query(sql, [userId, tokenHash, expiresAt, deviceName, userAgent, ipAddress]);
+        return result.rows[0];
+    },
+
+    /**
+     * FIND BY TOKEN HASH
+     * Used by /refresh and /logout to locate the device behind a refresh token
+     */
+    async findByTokenHash(tokenHash) {
+        const sql = 'SELECT * FROM user_sessions WHERE refresh_token_hash = $1';
+        const result = await query(sql, [tokenHash]);
+        return result.rows[0];
+    },
+
+    /**
+     * FIND BY PREVIOUS TOKEN HASH
+     * A hit here means an already-rotated refresh token was replayed
+     */
+    async findByPreviousHash(tokenHash) {
+        const sql = 'SELECT * FROM user_sessions WHERE previous_token_hash = $1';
+        const result = await query(sql, [tokenHash]);
+        return result.rows[0];
+    },
+
+    /**
+     * FIND ACTIVE
+     * Used by the protect middleware on every request
+     */
+    async findActive(sessionId, userId) {
+        const sql = `
+            SELECT id, user_id FROM user_sessions
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+        `;
+        const result = await query(sql, [sessionId, userId]);
+        return result.rows[0];
+    },
+
+    /**
+     * ROTATE
+     * Swaps the refresh token of a session, keeping the old hash for replay detection.
+     * Only swaps while the session still holds oldHash: of two refreshes racing with the
+     * same token, one wins and the other gets no row back.
+     */
+    async rotate(sessionId, oldHash, newHash, expiresAt) {
+        const sql = `
+            UPDATE user_sessions
+            SET previous_token_hash = refresh_token_hash,
+                refresh_token_hash = $1,
+                expires_at = $2,
+                last_used_at = NOW()
+            WHERE id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL
+            RETURNING id, user_id, expires_at;
+        `;
+        const result = await query(sql, [newHash, expiresAt, sessionId, oldHash]);
+        return result.rows[0];
+    },
+
+    /**
+     * LIST ACTIVE FOR USER
+     * Powers the "Your devices" screen
+     */
+    async listActive(userId) {
+        const sql = `
+            SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+            FROM user_sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+            ORDER BY last_used_at DESC
+        `;
+        const result = await query(sql, [userId]);
+        return result.rows;
+    },
+
+    /**
+     * REVOKE ONE
+     */
+    async revoke(sessionId, userId) {
+        const sql = `
+            UPDATE user_sessions SET revoked_at = NOW()
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING id;
+        `;
+        const result = await query(sql, [sessionId, userId]);
+        return result.rows[0];
+    },
+
+    /**
+     * REVOKE ALL
+     * Optionally keeps the device that asked for it signed in
+     */
+    async revokeAll(userId, exceptSessionId = null) {
+        const sql = `
+            UPDATE user_sessions SET revoked_at = NOW()
+            WHERE user_id = $1 AND revoked_at IS NULL
+            AND ($2::int IS NULL OR id != $2)
+        `;
+        const result = await query(sql, [userId, exceptSessionId]);
+        return result.rowCount;
+    }
+};
+
+module.exports = sessionModel;
@@ -9,7 +9,7 @@ const userModel = {
         const sql = `
             INSERT INTO users (email, password_hash, name)
             VALUES ($1, $2, $3)
-            RETURNING id, email, name, nickname, avatar_id, couple_id, gender, points, created_at;
+            RETURNING id, email, name, nickname, avatar_id, couple_id, gender, pronouns, points, email_verified, created_at;
         `;
         const result = await query(sql, [email, hashedPassword, name]);
         return result.rows[0];
@@ -32,7 +32,7 @@ const userModel = {
      */
     async findById(id) {
         const sql = `
-            SELECT id, email, name, nickname, avatar_id, couple_id, gender, points, created_at
+            SELECT id, email, name, nickname, avatar_id, couple_id, gender, pronouns, points, email_verified, created_at
             FROM users 
             WHERE id = $1
         `;
@@ -42,16 +42,16 @@ const userModel = {
 
     /**
      * UPDATE PROFILE
-     * Handles nickname, avatar, and gender updates
+     * Handles nickname, avatar, gender and pronoun updates
      */
-    async updateProfile(userId, nickname, avatarId, gender) {
+    async updateProfile(userId, nickname, avatarId, gender, pronouns) {
         const sql = `
             UPDATE users 
-            SET nickname = $1, avatar_id = $2, gender = $3 
-            WHERE id = $4 
-            RETURNING id, nickname, avatar_id, gender, couple_id, points;
+            SET nickname = $1, avatar_id = $2, gender = $3, pronouns = $4 
+            WHERE id = $5 
+            RETURNING id, nickname, avatar_id, gender, pronouns, couple_id, points;
         `;
-        const result = await query(sql, [nickname, avatarId, gender, userId]);
+        const result = await query(sql, [nickname, avatarId, gender, pronouns, userId]);
         return result.rows[0];
     },
 
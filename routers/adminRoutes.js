@@ -0,0 +1,26 @@
+const router = require('express').Router();
+const adminCtrl = require('../controllers/adminController');
+const { protect, isAdmin } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/adminSchemas');
+
+// Everything here is admin-only
+router.use(protect);
+router.use(isAdmin);
+
+// Body shape depends on which library is targeted (runs after the params check)
+const validateBody = (kind) => (req, res, next) => {
+    return validate({ body: schemas[kind][req.params.library] })(req, res, next);
+};
+
+// :library = quests | coupons | wheel | daily-questions
+router.get('/:library', validate(schemas.list), adminCtrl.listItems);
+router.post('/:library', validate(schemas.library), validateBody('create'), adminCtrl.createItem);
+router.post('/:library/import', validate(schemas.library), validateBody('import'), adminCtrl.importItems);
+router.patch('/:library/:id', validate(schemas.item), validateBody('update'), adminCtrl.updateItem);
+
+// Soft on/off switch: disabled items stop showing up for couples
+router.post('/:library/:id/disable', validate(schemas.item), adminCtrl.disableItem);
+router.post('/:library/:id/enable', validate(schemas.item), adminCtrl.enableItem);
+
+module.exports = router;
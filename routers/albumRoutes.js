@@ -0,0 +1,28 @@
+const router = require('express').Router();
+const multer = require('multer');
+const albumController = require('../controllers/albumController');
+const { protect, hasFullCouple } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/albumSchemas');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 15 * 1024 * 1024 } });
+
+// Shared photos need both partners in the world
+router.use(protect);
+router.use(hasFullCouple);
+
+// Albums
+router.get('/', albumController.getAlbums);
+router.post('/', validate(schemas.createAlbum), albumController.createAlbum);
+router.delete('/:id', validate(schemas.albumParams), albumController.deleteAlbum);
+
+// Photos (paginated, optionally filtered by album)
+router.get('/photos', validate(schemas.listPhotos), albumController.getPhotos);
+router.post('/photos', upload.single('image'), validate(schemas.uploadPhoto), albumController.uploadPhoto);
+router.patch('/photos/:id', validate(schemas.updatePhoto), albumController.updatePhoto);
+router.delete('/photos/:id', validate(schemas.albumParams), albumController.deletePhoto);
+
+// Cover photo (replaces the old single shared picture)
+router.put('/cover', validate(schemas.setCover), albumController.setCover);
+
+module.exports = router;
@@ -1,15 +1,48 @@
 const express = require('express');
 const router = express.Router();
 const authCtrl = require('../controllers/authController');
+const { protect } = require('../middlewares/authMiddleware');
+const { throttle } = require('../middlewares/throttle');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/authSchemas');
 
 // Standard Auth
-router.post('/register', authCtrl.register);
-router.post('/login', authCtrl.login);
-router.post('/google', authCtrl.googleAuth);
+router.post('/register', validate(schemas.register), authCtrl.register);
+router.post('/login', validate(schemas.login), throttle('login'), authCtrl.login);
+router.post('/google', validate(schemas.googleAuth), authCtrl.googleAuth);
 
 // Password Management
-router.post('/forgot-password', authCtrl.forgotPassword);
-router.post('/verify-reset-code', authCtrl.verifyResetCode);
-router.post('/reset-password', authCtrl.resetPassword);
+router.post('/forgot-password', validate(schemas.forgotPassword), authCtrl.forgotPassword);
+router.post('/verify-reset-code', validate(schemas.verifyResetCode), throttle('reset'), authCtrl.verifyResetCode);
+router.post('/reset-password', validate(schemas.resetPassword), throttle('reset'), authCtrl.resetPassword);
+
+// Signed-in Credential Changes
+router.post('/change-password', protect, validate(schemas.changePassword), authCtrl.changePassword);
+router.post('/change-email', protect, validate(schemas.changeEmail), authCtrl.requestEmailChange);
+router.post('/change-email/confirm', protect, validate(schemas.confirmEmailChange), authCtrl.confirmEmailChange);
+
+// Linked Login Methods
+router.get('/identities', protect, authCtrl.getIdentities);
+router.post('/identities/:provider', protect, validate(schemas.linkIdentity), authCtrl.linkIdentity);
+router.delete('/identities/:provider', protect, validate(schemas.provider), authCtrl.unlinkIdentity);
+router.post('/set-password', protect, validate(schemas.setPassword), authCtrl.setPassword);
+
+// Two-Factor Authentication
+router.post('/2fa/verify', validate(schemas.twoFactorLogin), authCtrl.verifyTwoFactorLogin);
+router.post('/2fa/setup', protect, authCtrl.setupTwoFactor);
+router.post('/2fa/confirm', protect, validate(schemas.twoFactorCode), authCtrl.confirmTwoFactor);
+router.post('/2fa/recovery-codes', protect, validate(schemas.twoFactorCode), authCtrl.regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, validate(schemas.disableTwoFactor), authCtrl.disableTwoFactor);
+
+// Email Verification
+router.post('/verify-email', protect, validate(schemas.verifyEmail), authCtrl.verifyEmail);
+router.post('/resend-verification', protect, authCtrl.resendVerification);
+
+// Sessions (refresh token rotation + device management)
+router.post('/refresh', validate(schemas.refreshToken), authCtrl.refresh);
+router.post('/logout', validate(schemas.refreshToken), authCtrl.logout);
+router.get('/sessions', protect, authCtrl.getSessions);
+router.delete('/sessions', protect, validate(schemas.revokeAllSessions), authCtrl.revokeAllSessions);
+router.delete('/sessions/:sessionId', protect, validate(schemas.revokeSession), authCtrl.revokeSession);
 
 module.exports = router;
\ No newline at end of file
@@ -2,10 +2,13 @@ const express = require('express');
 const router = express.Router();
 const dailyController = require('../controllers/dailyController');
 const { protect, hasCouple } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/dailySchemas');
 
 // The order matters! protect first, then hasCouple, then the controller
-router.post('/answer', protect, hasCouple, dailyController.submitAnswer);
+router.post('/answer', protect, hasCouple, validate(schemas.submitAnswer), dailyController.submitAnswer);
 router.get('/task', protect, dailyController.getDailyTask);
 router.get('/status', protect, hasCouple, dailyController.getDailyStatus);
+router.get('/archive', protect, hasCouple, validate(schemas.archive), dailyController.getArchive);
 
 module.exports = router;
\ No newline at end of file
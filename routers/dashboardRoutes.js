@@ -1,5 +1,6 @@
 const router = require('express').Router();
 const { pool } = require('../config/db');
+const { todayForUser } = require('../services/timezoneService');
 const { protect, hasCouple } = require('../middlewares/authMiddleware');
 
 router.use(protect);
@@ -8,9 +9,10 @@ router.use(hasCouple);
 router.get('/summary', async (req, res) => {
     const userId = req.user.id;
     const coupleId = req.user.couple_id;
-    const today = new Date().toISOString().split('T')[0];
 
     try {
+        const today = await todayForUser(pool, userId);
+
         // Fetch everything relevant for today in parallel
         const [quest, mood, highlights] = await Promise.all([
             pool.query("SELECT * FROM daily_tasks WHERE user_id = $1 AND scheduled_date = $2", [userId, today]),
@@ -1,11 +1,13 @@
 const router = require('express').Router();
 const highlightController = require('../controllers/highlightController');
 const { protect } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/highlightSchemas');
 
 router.use(protect);
 
 // Save or update today's highlight/gratitude
-router.post('/',  highlightController.upsertHighlightGratitude);
+router.post('/', validate(schemas.upsertHighlightGratitude), highlightController.upsertHighlightGratitude);
 
 // Get today's entries for the couple
 router.get('/today', highlightController.getDailyHighlights);
@@ -1,12 +1,20 @@
 const router = require('express').Router();
 const moodController = require('../controllers/moodController');
+const wellbeingController = require('../controllers/wellbeingController');
 const { protect, hasCouple } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/moodSchemas');
 
 router.use(protect);
 router.use(hasCouple);
 
-router.post('/', moodController.upsertMood);
+router.post('/', validate(schemas.upsertMood), moodController.upsertMood);
 router.get('/today', moodController.getTodayMood);
+router.get('/entries', validate(schemas.myEntries), moodController.getMyEntries);
+router.patch('/entries/:id', validate(schemas.updateEntry), moodController.updateEntry);
 router.get('/partner-summary', moodController.getPartnerSummary);
+router.get('/alerts', validate(schemas.wellbeingAlerts), wellbeingController.getAlerts);
+router.patch('/alerts/:id/acknowledge', validate(schemas.acknowledgeAlert), wellbeingController.acknowledgeAlert);
+router.get('/analytics', validate(schemas.moodAnalytics), moodController.getMoodAnalytics);
 
 module.exports = router;
\ No newline at end of file
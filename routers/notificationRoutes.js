@@ -1,10 +1,12 @@
 const router = require('express').Router();
 const notificationController = require('../controllers/notificationController');
 const { protect } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/notificationSchemas');
 
 router.use(protect);
 
-router.get('/', notificationController.getNotifications);
+router.get('/', validate(schemas.getNotifications), notificationController.getNotifications);
 router.put('/read', notificationController.markAsRead);
 
 module.exports = router;
\ No newline at end of file
@@ -1,13 +1,15 @@
 const router = require('express').Router();
 const punishmentController = require('../controllers/punishmentController');
 const { protect } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/punishmentSchemas');
 
 router.use(protect);
 
 // Record the result of the wheel spin
-router.post('/roll', punishmentController.recordPunishment);
+router.post('/roll', validate(schemas.recordPunishment), punishmentController.recordPunishment);
 
 // Partner confirms the punishment was actually performed
-router.post('/confirm', punishmentController.markPunishmentDone);
+router.post('/confirm', validate(schemas.markPunishmentDone), punishmentController.markPunishmentDone);
 
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,8 @@ const questController = require('../controllers/questController');
 const wheelController = require('../controllers/wheelController');
 const { protect, hasCouple } = require('../middlewares/authMiddleware');
 const upload = require('../middlewares/multer');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/questSchemas');
 
 // Apply protection and couple-check to all quest routes
 router.use(protect);
@@ -14,16 +16,16 @@ router.use(hasCouple);
 router.get('/today', questController.getTodayQuest);
 
 // Partner submits 'approved' or 'failed' for a Quest
-router.post('/verdict', questController.submitVerdict);
+router.post('/verdict', validate(schemas.submitVerdict), questController.submitVerdict);
 
 // User appeals a 'failed' verdict
-router.post('/appeal', questController.submitAppeal);
+router.post('/appeal', validate(schemas.submitAppeal), questController.submitAppeal);
 
 // Partner decides the final fate after an appeal
-router.post('/finalize', questController.finalizeVerdict);
+router.post('/finalize', validate(schemas.finalizeVerdict), questController.finalizeVerdict);
 
 // Partner sets a custom quest (for 'Partner Choice' days)
-router.post('/set-custom', questController.setCustomQuest);
+router.post('/set-custom', validate(schemas.setCustomQuest), questController.setCustomQuest);
 
 
 // --- SAVOLOGY LOGIC ---
@@ -35,7 +37,7 @@ router.post('/savology-roll', questController.rollSavology);
 // --- COUPON LOGIC ---
 
 // Claim the coupon reward when it appears as the daily task
-router.post('/redeem-coupon', questController.redeemCoupon);
+router.post('/redeem-coupon', validate(schemas.taskOnly), questController.redeemCoupon);
 
 // --- WHEEL & PUNISHMENT ROUTES ---
 
@@ -43,9 +45,9 @@ router.post('/redeem-coupon', questController.redeemCoupon);
 router.get('/wheel/items', wheelController.getWheelItems);
 
 // Save what the user landed on
-router.post('/wheel/spin-result', wheelController.saveSpinResult);
+router.post('/wheel/spin-result', validate(schemas.taskOnly), wheelController.saveSpinResult);
 
 // Final step: User proves they did the punishment
-router.post('/wheel/complete', upload.single('image'), questController.completePunishment);
+router.post('/wheel/complete', upload.single('image'), validate(schemas.taskOnly), questController.completePunishment);
 
 module.exports = router;
\ No newline at end of file
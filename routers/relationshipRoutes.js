@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const relCtrl = require('../controllers/relationshipController');
-const { protect, hasCouple, hasFullCouple } = require('../middlewares/authMiddleware');
+const timelineCtrl = require('../controllers/timelineController');
+const settingsCtrl = require('../controllers/settingsController');
+const evolutionCtrl = require('../controllers/evolutionController');
+const { protect, hasCouple, hasFullCouple, requireVerifiedEmail } = require('../middlewares/authMiddleware');
 const multer = require('multer');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/relationshipSchemas');
+const { throttle, byUser } = require('../middlewares/throttle');
 
 const upload = multer({ storage: multer.memoryStorage() });
 
 // --- PUBLIC ROUTES ---
-router.get('/preview/:code', relCtrl.getInvitePreview);
+router.get('/preview/:code', validate(schemas.invitePreview), throttle('invitePreview'), relCtrl.getInvitePreview);
 
 // --- PROTECTED ROUTES (Logged in only) ---
 router.use(protect);
@@ -16,18 +22,37 @@ router.use(protect);
 router.get('/dashboard', relCtrl.getDashboard);
 
 // Onboarding & Entry Logic
-router.post('/onboard-creator', relCtrl.onboardCreator);
-router.post('/pair', relCtrl.pairCouple);
+router.post('/onboard-creator', requireVerifiedEmail('onboardCreator'), validate(schemas.onboardCreator), relCtrl.onboardCreator);
+router.post('/pair', requireVerifiedEmail('pairCouple'), validate(schemas.pairCouple), throttle('invitePair', byUser), relCtrl.pairCouple);
 
 // --- RELATIONSHIP MANAGEMENT (Must have a couple_id, even if waiting) ---
-router.post('/submit-answers', hasCouple, relCtrl.submitWelcomeAnswers);
-router.post('/unlink', hasCouple, relCtrl.unlinkCouple);
-router.post('/toggle-pause', hasCouple, relCtrl.togglePause);
-router.post('/relink', hasCouple, relCtrl.relinkCouple);
+router.post('/invite/regenerate', hasCouple, relCtrl.regenerateInviteCode);
+router.get('/welcome/questionnaire', hasCouple, relCtrl.getWelcomeQuestionnaire);
+router.post('/submit-answers', hasCouple, validate(schemas.submitWelcomeAnswers), relCtrl.submitWelcomeAnswers);
+router.post('/unlink', hasCouple, validate(schemas.unlinkCouple), relCtrl.unlinkCouple);
+router.post('/unlink/confirm', hasFullCouple, relCtrl.confirmUnlink);
+router.post('/unlink/cancel', hasCouple, relCtrl.cancelUnlink);
+router.post('/toggle-pause', hasCouple, validate(schemas.togglePause), relCtrl.togglePause);
+router.post('/relink', hasCouple, requireVerifiedEmail('relinkCouple'), validate(schemas.relinkCouple), relCtrl.relinkCouple);
+
+// Relationship Timeline (start date, status history, milestones, anniversaries)
+router.get('/timeline', hasCouple, timelineCtrl.getTimeline);
+router.put('/timeline/start-date', hasCouple, validate(schemas.setStartDate), timelineCtrl.setStartDate);
+router.post('/timeline/milestones', hasCouple, validate(schemas.addMilestone), timelineCtrl.addMilestone);
+router.delete('/timeline/milestones/:id', hasCouple, validate(schemas.milestoneParams), timelineCtrl.deleteMilestone);
+
+// World Settings (task odds, board size, default punishment, slump alerts)
+router.get('/settings', hasCouple, settingsCtrl.getSettings);
+router.patch('/settings', hasCouple, validate(schemas.updateSettings), settingsCtrl.updateSettings);
+router.get('/settings/changes', hasCouple, validate(schemas.settingsChanges), settingsCtrl.getSettingsChanges);
+
+// Shared Evolution (the world's level, earned together)
+router.get('/evolution', hasCouple, evolutionCtrl.getCoupleEvolution);
 
 // --- SHARED FEATURES (Strict: Requires a partner present) ---
 router.get('/comparison', hasFullCouple, relCtrl.getWelcomeComparison);
 router.post('/reveal-seen', hasFullCouple, relCtrl.markRevealAsSeen);
+router.post('/welcome/retake', hasFullCouple, relCtrl.retakeWelcome);
 
 // Shared Media
 router.post('/shared-picture', hasFullCouple, upload.single('image'), relCtrl.upsertSharedPicture);
@@ -1,13 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const userCtrl = require('../controllers/userController');
+const evolutionCtrl = require('../controllers/evolutionController');
 const { protect } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validator');
+const schemas = require('../middlewares/schemas/userSchemas');
 
 // All user routes are protected
 router.use(protect);
 
 router.get('/me', userCtrl.getMe);
-router.put('/update', userCtrl.updateProfile);
-router.delete('/delete', userCtrl.deleteAccount);
+router.put('/update', validate(schemas.updateProfile), userCtrl.updateProfile);
+router.get('/export', userCtrl.exportData);
+router.delete('/delete', validate(schemas.deleteAccount), userCtrl.deleteAccount);
+router.post('/delete/cancel', userCtrl.cancelDeletion);
+
+// Individual level, streaks and streak freezes
+router.get('/evolution', validate(schemas.evolutionHistory), evolutionCtrl.getMyEvolution);
+router.post('/evolution/freezes', evolutionCtrl.buyStreakFreeze);
 
 module.exports = router;
\ No newline at end of file
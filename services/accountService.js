@@ -0,0 +1,144 @@
+const { pool } = require('../config/db');
+const { archiveSharedWorld } = require('./coupleService');
+const { createNotification } = require('./notificationService');
+
+// Days between "delete my account" and the actual purge
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/**
+ * Collects everything a user wrote into one JSON-friendly object.
+ * Partner content is left out on purpose: it's theirs, not ours to hand over.
+ */
+const buildExport = async (userId) => {
+    const [profile, moods, moodEntries, dailyAnswers, highlights, quests, welcome, photos, xpEvents, evolution, sent, identities] = await Promise.all([
+        pool.query(
+            `SELECT id, email, name, nickname, avatar_id, gender, pronouns, points, level, 
+                    streak_high, streak_steady, streak_low, streak_freezes, created_at
+             FROM users WHERE id = $1`, [userId]),
+        pool.query('SELECT * FROM moods WHERE user_id = $1 ORDER BY created_at', [userId]),
+        pool.query(
+            `SELECT mood_day::text AS mood_day, score, tags, note, is_shared, created_at 
+             FROM mood_entries WHERE user_id = $1 ORDER BY created_at`, [userId]),
+        pool.query(
+            `SELECT a.*, q.question, q.theme 
+             FROM daily_answers a LEFT JOIN daily_questions q ON a.question_id = q.id
+             WHERE a.user_id = $1 ORDER BY a.created_at`, [userId]),
+        pool.query('SELECT * FROM daily_highlights_gratitude WHERE user_id = $1 ORDER BY created_at', [userId]),
+        pool.query('SELECT * FROM daily_tasks WHERE user_id = $1 ORDER BY scheduled_date', [userId]),
+        pool.query(
+            `SELECT couple_id, round, version, answers, submitted_at 
+             FROM welcome_submissions WHERE user_id = $1 ORDER BY submitted_at`, [userId]),
+        pool.query(
+            `SELECT couple_id, url, caption, taken_on, created_at 
+             FROM couple_photos WHERE uploaded_by = $1 ORDER BY created_at`, [userId]),
+        pool.query(
+            'SELECT couple_id, source, xp, created_at FROM couple_xp_events WHERE user_id = $1 ORDER BY created_at', [userId]),
+        pool.query(
+            'SELECT kind, day::text AS day, details, created_at FROM evolution_history WHERE user_id = $1 ORDER BY created_at', [userId]),
+        pool.query('SELECT type, message, link, created_at FROM notifications WHERE sender_id = $1 ORDER BY created_at', [userId]),
+        pool.query('SELECT provider, email, created_at FROM user_identities WHERE user_id = $1', [userId])
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: profile.rows[0] || null,
+        moods: moods.rows,
+        moodCheckIns: moodEntries.rows,
+        dailyAnswers: dailyAnswers.rows,
+        highlights: highlights.rows,
+        quests: quests.rows,
+        welcomeAnswers: welcome.rows,
+        photos: photos.rows,
+        coupleXpEarned: xpEvents.rows,
+        evolutionHistory: evolution.rows,
+        notificationsSent: sent.rows,
+        linkedAccounts: identities.rows
+    };
+};
+
+/**
+ * Permanently removes a user. Their partner (if any) is unlinked exactly
+ * like /relationship/unlink would, then keeps the archived world for themselves.
+ */
+const purgeUser = async (userId) => {
+    const key = String(userId);
+    const dbClient = await pool.connect();
+    let partnerIds = [];
+
+    try {
+        await dbClient.query('BEGIN');
+
+        // 1. Unlink a live shared world first so the partner lands in their own solo world
+        const coupleRes = await dbClient.query(
+            `SELECT c.id, c.status FROM users u JOIN couples c ON u.couple_id = c.id WHERE u.id = $1`,
+            [userId]
+        );
+        const couple = coupleRes.rows[0];
+        if (couple && couple.status === 'full') {
+            const { userIds } = await archiveSharedWorld(dbClient, couple.id);
+            partnerIds = userIds.filter(id => id !== userId);
+        }
+
+        // 2. Detach the user from the worlds they shared (nobody can relink with a deleted account)
+        await dbClient.query('UPDATE users SET couple_id = NULL WHERE id = $1', [userId]);
+        await dbClient.query(
+            `UPDATE couples SET creator_id = partner_id, partner_id = NULL, relink_code = NULL 
+             WHERE creator_id = $1 AND partner_id IS NOT NULL`, [userId]
+        );
+        await dbClient.query(
+            `UPDATE couples SET partner_id = NULL, relink_code = NULL WHERE partner_id = $1`, [userId]
+        );
+        await dbClient.query(`UPDATE couples SET answers = answers - $1::text WHERE answers ? $1::text`, [key]);
+
+        // 3. Their own (solo) worlds and everything they wrote
+        await dbClient.query(`DELETE FROM couples WHERE creator_id = $1 AND partner_id IS NULL`, [userId]);
+        await dbClient.query('DELETE FROM moods WHERE user_id = $1', [userId]);
+        await dbClient.query('DELETE FROM mood_entries WHERE user_id = $1', [userId]);
+        await dbClient.query('DELETE FROM daily_answers WHERE user_id = $1', [userId]);
+        await dbClient.query('DELETE FROM daily_highlights_gratitude WHERE user_id = $1', [userId]);
+        await dbClient.query('DELETE FROM daily_tasks WHERE user_id = $1', [userId]);
+        await dbClient.query('DELETE FROM notifications WHERE recipient_id = $1 OR sender_id = $1', [userId]);
+
+        // 4. The account itself (sessions, identities, recovery codes cascade)
+        await dbClient.query('DELETE FROM users WHERE id = $1', [userId]);
+
+        await dbClient.query('COMMIT');
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+
+    for (const partnerId of partnerIds) {
+        await createNotification({
+            recipientId: partnerId,
+            senderId: 0, // System ID
+            type: 'partner_account_deleted',
+            message: `Your partner's account has been deleted. Your shared memories were archived and you're back in solo mode. 🕊️`,
+            link: '/'
+        });
+    }
+};
+
+/**
+ * Purges every account whose grace period is over. Used by the nightly job.
+ */
+const purgeDueAccounts = async () => {
+    const dueRes = await pool.query(
+        'SELECT id FROM users WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= NOW()'
+    );
+
+    let purged = 0;
+    for (const { id } of dueRes.rows) {
+        try {
+            await purgeUser(id);
+            purged++;
+        } catch (err) {
+            console.error(`❌ Failed to purge user ${id}:`, err.message);
+        }
+    }
+    return purged;
+};
+
+module.exports = { DELETION_GRACE_DAYS, buildExport, purgeUser, purgeDueAccounts };
@@ -0,0 +1,139 @@
+const { pool } = require('../config/db');
+const { xpRewards, recentEventsLimit } = require('../config/coupleEvolution');
+const { getCoupleEvolution } = require('./evolutionService');
+const { createNotification } = require('./notificationService');
+
+/**
+ * Adds the XP of one activity to the couple's shared track and credits the partner who did it
+ * (users.points is their contribution). Each source_key counts once, so re-saving a mood or
+ * an answer never earns twice. Only paired worlds earn, and nothing moves while paused.
+ * A level-up is announced in the couple room. Failures are logged, never thrown,
+ * so XP can't break the action that earned it.
+ * @param {String} source - a key of xpRewards
+ * @param {String} sourceKey - what makes this activity unique ('mood:2026-10-19-4', 'quest:12')
+ * @returns {Object|null} { xp, before, after } or null when nothing was awarded
+ */
+const awardCoupleXp = async ({ coupleId, userId, source, sourceKey }, io = null) => {
+    const xp = xpRewards[source];
+    if (!xp || !coupleId) return null;
+
+    const dbClient = await pool.connect();
+    let result;
+
+    try {
+        await dbClient.query('BEGIN');
+
+        const coupleRes = await dbClient.query(
+            'SELECT xp, status, is_paused FROM couples WHERE id = $1 FOR UPDATE', [coupleId]
+        );
+        const couple = coupleRes.rows[0];
+        if (!couple || couple.status !== 'full' || couple.is_paused) {
+            await dbClient.query('ROLLBACK');
+            return null;
+        }
+
+        const eventRes = await dbClient.query(
+            `INSERT INTO couple_xp_events (couple_id, user_id, source, source_key, xp)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT DO NOTHING
+             RETURNING id`,
+            [coupleId, userId, source, sourceKey, xp]
+        );
+        if (eventRes.rowCount === 0) {
+            await dbClient.query('ROLLBACK');
+            return null;
+        }
+
+        const updated = await dbClient.query(
+            'UPDATE couples SET xp = xp + $1 WHERE id = $2 RETURNING xp', [xp, coupleId]
+        );
+        await dbClient.query('UPDATE users SET points = points + $1 WHERE id = $2', [xp, userId]);
+
+        await dbClient.query('COMMIT');
+        result = {
+            xp,
+            before: getCoupleEvolution(couple.xp),
+            after: getCoupleEvolution(updated.rows[0].xp)
+        };
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        console.error("❌ COUPLE_XP_ERROR:", err.message);
+        return null;
+    } finally {
+        dbClient.release();
+    }
+
+    if (result.after.level > result.before.level) {
+        // The XP is already committed: a failed announcement is only logged
+        await announceCoupleLevelUp(coupleId, result.before, result.after, io)
+            .catch(err => console.error("❌ COUPLE_LEVEL_UP_ERROR:", err.message));
+    }
+    return result;
+};
+
+// Celebration for both partners, live in the couple room and as a notification for later
+const announceCoupleLevelUp = async (coupleId, before, evolution, io) => {
+    const unlockedNow = evolution.unlocked.filter(u => !before.unlocked.some(b => b.key === u.key));
+    const message = `🎉 Your world reached Level ${evolution.level}: ${evolution.levelName} ${evolution.levelIcon}!`;
+
+    if (io) {
+        io.to(`couple_${coupleId}`).emit('couple_level_up', {
+            level: evolution.level,
+            levelName: evolution.levelName,
+            levelIcon: evolution.levelIcon,
+            unlocked: unlockedNow,
+            message
+        });
+    }
+
+    const members = await pool.query('SELECT id FROM users WHERE couple_id = $1', [coupleId]);
+    for (const { id } of members.rows) {
+        await createNotification({
+            recipientId: id,
+            senderId: 0, // System ID
+            type: 'couple_level_up',
+            message,
+            link: '/evolution'
+        }, io);
+    }
+};
+
+/**
+ * The world's stage, what each partner has contributed and the latest XP awards.
+ * @param {Object} db - pool or a transaction client
+ */
+const getCoupleEvolutionSummary = async (db, coupleId, userId) => {
+    const coupleRes = await db.query('SELECT xp FROM couples WHERE id = $1', [coupleId]);
+    const membersRes = await db.query(
+        `SELECT u.id, u.nickname, COALESCE(SUM(e.xp), 0)::int AS xp
+         FROM users u
+         LEFT JOIN couple_xp_events e ON e.user_id = u.id AND e.couple_id = $1
+         WHERE u.couple_id = $1
+         GROUP BY u.id, u.nickname`,
+        [coupleId]
+    );
+    const eventsRes = await db.query(
+        `SELECT user_id, source, xp, created_at FROM couple_xp_events
+         WHERE couple_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2`,
+        [coupleId, recentEventsLimit]
+    );
+
+    const me = membersRes.rows.find(m => m.id === userId);
+    const partner = membersRes.rows.find(m => m.id !== userId);
+
+    return {
+        ...getCoupleEvolution(coupleRes.rows[0]?.xp || 0),
+        contributions: {
+            me: me ? me.xp : 0,
+            partner: partner ? { nickname: partner.nickname, xp: partner.xp } : null
+        },
+        recent: eventsRes.rows.map(e => ({
+            source: e.source,
+            xp: e.xp,
+            by: e.user_id === userId ? 'me' : (e.user_id ? 'partner' : null),
+            createdAt: e.created_at
+        }))
+    };
+};
+
+module.exports = { awardCoupleXp, getCoupleEvolutionSummary };
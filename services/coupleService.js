@@ -0,0 +1,48 @@
+const retention = require('../config/retention');
+
+/**
+ * Archives a shared world and gives every member a fresh solo world.
+ * Runs inside the caller's transaction (dbClient must have BEGIN'd).
+ * @returns {String} The relink code printed on the "memory card"
+ */
+const archiveSharedWorld = async (dbClient, sharedId) => {
+    const relinkCode = "RL-" + Math.random().toString(36).substring(2, 8).toUpperCase();
+
+    // 1. Archive the Shared World (the relink code only works for a while, see config/retention.js)
+    await dbClient.query(
+        `UPDATE couples SET status = 'archived', relink_code = $1, deactivated_at = NOW(), 
+            relink_expires_at = $3, purge_warned_at = NULL 
+         WHERE id = $2`,
+        [relinkCode, sharedId, new Date(Date.now() + retention.relinkCodeDays * 24 * 60 * 60000)]
+    );
+
+    // Whatever led here (unlink request, account deletion), no request stays open on an archived world
+    await dbClient.query(
+        `UPDATE unlink_requests SET status = 'completed', resolved_at = NOW() 
+         WHERE couple_id = $1 AND status = 'pending'`,
+        [sharedId]
+    );
+
+    // 2. Give BOTH users new, separate Solo IDs
+    const partnerRes = await dbClient.query(`SELECT id FROM users WHERE couple_id = $1`, [sharedId]);
+    const userIds = partnerRes.rows.map(r => r.id);
+
+    for (let id of userIds) {
+        const newSolo = await dbClient.query(
+            `INSERT INTO couples (creator_id, status, rel_status) 
+             VALUES ($1, 'waiting', 'Dating') RETURNING id`, [id]
+        );
+        
+        await dbClient.query(
+            `UPDATE users SET 
+                couple_id = $1, 
+                last_shared_id = $2, 
+                onboarded = true 
+             WHERE id = $3`, [newSolo.rows[0].id, sharedId, id]
+        );
+    }
+
+    return { relinkCode, userIds };
+};
+
+module.exports = { archiveSharedWorld };
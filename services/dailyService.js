@@ -0,0 +1,98 @@
+const { getCoupleSettings } = require('./settingsService');
+const { addMonths, addDays, parseDateKey } = require('../utils/dates');
+
+const MONTH_NAMES = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"
+];
+
+/**
+ * The partner's answer as the viewer may see it. The text shows only when the partner shared it,
+ * and in the couple's 'both_answered' reveal mode only once the viewer answered too.
+ * @param {String} revealMode - the dailyReveal setting
+ */
+const formatPartnerAnswer = (row, { revealMode, viewerAnswered }) => {
+    if (!row) return null;
+
+    let answer = row.answer;
+    if (!row.is_shared) answer = "Hidden until shared";
+    else if (revealMode === 'both_answered' && !viewerAnswered) answer = "Hidden until you answer";
+
+    return {
+        id: row.id,
+        is_shared: row.is_shared,
+        revealed: answer === row.answer,
+        answer,
+        created_at: row.created_at
+    };
+};
+
+/**
+ * One month of the couple's daily questions, newest day first, with both partners' answers.
+ * Lists every day of the month up to `today` (the viewer's day), answered or not.
+ * @param {String} month - 'YYYY-MM'
+ * @param {String} today - 'YYYY-MM-DD' in the viewer's timezone
+ * @returns {{ month, previousMonth, nextMonth, revealMode, days: Array }}
+ */
+const buildArchive = async (db, { coupleId, userId, month, today }) => {
+    const { dailyReveal } = await getCoupleSettings(db, coupleId);
+    const monthStart = `${month}-01`;
+    const nextMonthStart = addMonths(monthStart, 1);
+    const lastDay = today < nextMonthStart ? today : addDays(nextMonthStart, -1);
+
+    // day_key is 'YYYY-MM-DD-userId', so a plain string range picks the month
+    const answersRes = await db.query(
+        `SELECT id, user_id, question_id, answer, is_shared, day_key, created_at, updated_at 
+         FROM daily_answers 
+         WHERE couple_id = $1 AND day_key >= $2 AND day_key < $3`,
+        [coupleId, monthStart, nextMonthStart]
+    );
+    // The month's scheduled questions, plus any other question that was answered in it
+    const monthName = MONTH_NAMES[parseDateKey(monthStart).getUTCMonth()];
+    const questionsRes = await db.query(
+        'SELECT id, month, day, question, theme FROM daily_questions WHERE month = $1 OR id = ANY($2::int[])',
+        [monthName, answersRes.rows.map(a => a.question_id)]
+    );
+    const questionsById = new Map(questionsRes.rows.map(q => [q.id, q]));
+
+    const days = [];
+    for (let day = lastDay; day >= monthStart; day = addDays(day, -1)) {
+        const answers = answersRes.rows.filter(a => a.day_key.startsWith(day));
+        const mine = answers.find(a => a.user_id === userId) || null;
+        const theirs = answers.find(a => a.user_id !== userId) || null;
+
+        // The question both answered (or the one scheduled for that date when nobody did)
+        const questionId = mine?.question_id ?? theirs?.question_id;
+        const question = questionId
+            ? questionsById.get(questionId)
+            : questionsRes.rows.find(q => q.month === monthName && q.day === parseDateKey(day).getUTCDate());
+
+        days.push({
+            day,
+            question: question ? { id: question.id, question: question.question, theme: question.theme } : null,
+            myAnswer: mine && { id: mine.id, answer: mine.answer, is_shared: mine.is_shared, created_at: mine.created_at },
+            partnerAnswer: formatPartnerAnswer(theirs, {
+                revealMode: dailyReveal,
+                viewerAnswered: !!mine && (!theirs || mine.question_id === theirs.question_id)
+            })
+        });
+    }
+
+    // Months go back to the couple's first answer and forward to the viewer's current month
+    const firstRes = await db.query(
+        'SELECT MIN(day_key) AS first_day FROM daily_answers WHERE couple_id = $1', [coupleId]
+    );
+    const firstMonth = (firstRes.rows[0].first_day || today).slice(0, 7);
+    const previousMonth = addMonths(monthStart, -1).slice(0, 7);
+    const nextMonth = nextMonthStart.slice(0, 7);
+
+    return {
+        month,
+        previousMonth: previousMonth >= firstMonth ? previousMonth : null,
+        nextMonth: nextMonth <= today.slice(0, 7) ? nextMonth : null,
+        revealMode: dailyReveal,
+        days
+    };
+};
+
+module.exports = { MONTH_NAMES, formatPartnerAnswer, buildArchive };
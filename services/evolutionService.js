@@ -1,3 +1,5 @@
+const { levelXp, unlocks } = require('../config/coupleEvolution');
+
 const APP_LEVELS = {
     1: { name: "Tiny Seed", icon: "🌱" },
     2: { name: "Blooming Daisy", icon: "🌼" },
@@ -17,21 +19,30 @@ const getEvolutionProgress = (streak_high, streak_steady) => {
     return Math.min(Math.max(highProgress, steadyProgress), 100);
 };
 
+// Which streak a score feeds (also used by the mood analytics)
+const moodBand = (score) => {
+    if (score >= 9) return 'high';     // Radiant (9) or Elite (10)
+    if (score >= 6) return 'steady';   // Good (6), Chilled (7), or High Vibe (8)
+    if (score <= 3) return 'low';      // Exhausted (1), Low (2), or Meh (3)
+    return 'neutral';                  // Neutral (4) or Okay (5)
+};
+
 const calculateNextStats = (user, currentScore) => {
     let { streak_high = 0, streak_steady = 0, streak_low = 0, level = 1 } = user;
+    const band = moodBand(currentScore);
 
     // 1. Convert 10-point scale to Streaks
-    if (currentScore >= 9) { 
+    if (band === 'high') { 
         // Radiant (9) or Elite (10)
         streak_high += 1;
         streak_steady += 1;
         streak_low = 0;
-    } else if (currentScore >= 6) { 
+    } else if (band === 'steady') { 
         // Good (6), Chilled (7), or High Vibe (8)
         streak_steady += 1;
         streak_high = 0;
         streak_low = 0;
-    } else if (currentScore <= 3) {
+    } else if (band === 'low') {
         // Exhausted (1), Low (2), or Meh (3)
         streak_low += 1;
         streak_high = 0;
@@ -65,4 +76,28 @@ const calculateNextStats = (user, currentScore) => {
     };
 };
 
-module.exports = { calculateNextStats, getEvolutionProgress, APP_LEVELS };
\ No newline at end of file
+/**
+ * The couple's stage on the shared track: the APP_LEVELS level its XP total has reached,
+ * how far it is towards the next one and what it has unlocked so far.
+ */
+const getCoupleEvolution = (xp = 0) => {
+    let level = 1;
+    while (level < levelXp.length && xp >= levelXp[level]) level += 1;
+
+    const floor = levelXp[level - 1];
+    const next = level < levelXp.length ? levelXp[level] : null;
+    const levelData = APP_LEVELS[level] || APP_LEVELS[1];
+
+    return {
+        xp,
+        level,
+        levelName: levelData.name,
+        levelIcon: levelData.icon,
+        nextLevelXp: next,
+        progress: next === null ? 100 : Math.floor(((xp - floor) / (next - floor)) * 100),
+        unlocked: Object.entries(unlocks).filter(([lvl]) => Number(lvl) <= level).flatMap(([, items]) => items),
+        nextUnlocks: next === null ? [] : unlocks[level + 1] || []
+    };
+};
+
+module.exports = { calculateNextStats, getEvolutionProgress, getCoupleEvolution, moodBand, APP_LEVELS };
\ No newline at end of file
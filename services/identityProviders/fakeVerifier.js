@@ -0,0 +1,21 @@
+/**
+ * Local stand-in for a real provider, for tests and offline development.
+ * Accepts tokens shaped like "fake:<subject>:<email>" and nothing else.
+ */
+const verify = async (idToken) => {
+    const [prefix, providerUserId, email] = String(idToken || '').split(':');
+    if (prefix !== 'fake' || !providerUserId || !email) {
+        const err = new Error('Invalid fake identity token');
+        err.name = 'IdentityVerificationError';
+        throw err;
+    }
+
+    return {
+        providerUserId,
+        email: email.toLowerCase(),
+        emailVerified: true,
+        name: email.split('@')[0]
+    };
+};
+
+module.exports = { verify };
@@ -0,0 +1,30 @@
+const { OAuth2Client } = require('google-auth-library');
+const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+/**
+ * Verifies a Google ID token from the client SDK.
+ * @returns {Promise<{ providerUserId, email, emailVerified, name }>}
+ */
+const verify = async (idToken) => {
+    let payload;
+    try {
+        const ticket = await client.verifyIdToken({
+            idToken,
+            audience: process.env.GOOGLE_CLIENT_ID,
+        });
+        payload = ticket.getPayload();
+    } catch (err) {
+        // Normalise library errors so controllers can answer 401 instead of 500
+        err.name = 'IdentityVerificationError';
+        throw err;
+    }
+
+    return {
+        providerUserId: payload.sub,
+        email: payload.email?.toLowerCase(),
+        emailVerified: payload.email_verified === true,
+        name: payload.name
+    };
+};
+
+module.exports = { verify };
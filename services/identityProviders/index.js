@@ -0,0 +1,22 @@
+// Registry of identity providers. Each verifier exposes:
+//   verify(token) -> { providerUserId, email, emailVerified, name }  (throws if the token is bad)
+// Tests can swap one out with registerProvider('google', require('./fakeVerifier')).
+const providers = {
+    google: require('./googleVerifier')
+};
+
+// Opt-in fake provider for local development (never enable in production)
+if (process.env.ENABLE_FAKE_IDENTITY_PROVIDER === 'true') {
+    providers.fake = require('./fakeVerifier');
+}
+
+const registerProvider = (name, verifier) => {
+    providers[name] = verifier;
+};
+
+// Own keys only, so names like 'constructor' don't resolve to Object.prototype members
+const getProvider = (name) => (Object.hasOwn(providers, name) ? providers[name] : null);
+
+const listProviders = () => Object.keys(providers);
+
+module.exports = { registerProvider, getProvider, listProviders };
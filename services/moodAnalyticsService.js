@@ -0,0 +1,215 @@
+const { pool } = require('../config/db');
+const { MOOD_MAP, analytics: config } = require('../config/moods');
+const { moodBand } = require('./evolutionService');
+const { addDays, parseDateKey, daysBetween } = require('../utils/dates');
+
+const WEEKDAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+const round = (n) => (n === null || Number.isNaN(n) ? null : Math.round(n * 100) / 100);
+const average = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+const standardDeviation = (values) => {
+    if (values.length < 2) return null;
+    const mean = average(values);
+    return Math.sqrt(average(values.map(v => (v - mean) ** 2)));
+};
+
+// Monday-based weekday index of a 'YYYY-MM-DD' day
+const weekdayOf = (day) => (parseDateKey(day).getUTCDay() + 6) % 7;
+const weekStartOf = (day) => addDays(day, -weekdayOf(day));
+
+// Every day of the range, oldest first
+const daysInRange = (from, to) => Array.from({ length: daysBetween(from, to) + 1 }, (_, i) => addDays(from, i));
+
+/**
+ * Headline numbers for one person over the range.
+ * volatility: standard deviation of the scores; averageSwing: mean change between consecutive logged days.
+ */
+const summarize = (scores) => {
+    const values = scores.filter(s => s !== null);
+    const swings = [];
+    let previous = null;
+    for (const score of scores) {
+        if (score === null) continue;
+        if (previous !== null) swings.push(Math.abs(score - previous));
+        previous = score;
+    }
+
+    const mean = average(values);
+    const rounded = mean === null ? null : Math.round(mean);
+    return {
+        entries: values.length,
+        average: round(mean),
+        averageLabel: rounded ? MOOD_MAP[rounded].label : null,
+        averageEmoji: rounded ? MOOD_MAP[rounded].emoji : null,
+        min: values.length ? Math.min(...values) : null,
+        max: values.length ? Math.max(...values) : null,
+        volatility: round(standardDeviation(values)),
+        averageSwing: round(average(swings))
+    };
+};
+
+// Averages per bucket, in the order the buckets first appear
+const bucketAverages = (days, scores, bucketOf) => {
+    const buckets = new Map();
+    days.forEach((day, i) => {
+        const key = bucketOf(day);
+        if (!buckets.has(key)) buckets.set(key, []);
+        if (scores[i] !== null) buckets.get(key).push(scores[i]);
+    });
+    return buckets;
+};
+
+const weekdayStats = (days, scores) => {
+    const buckets = bucketAverages(days, scores, weekdayOf);
+    const averages = WEEKDAYS.map((_, i) => round(average(buckets.get(i) || [])));
+
+    const ranked = averages.map((avg, i) => ({ weekday: WEEKDAYS[i], average: avg })).filter(d => d.average !== null);
+    ranked.sort((a, b) => b.average - a.average);
+    return {
+        averages,
+        best: ranked[0] || null,
+        worst: ranked.length > 1 ? ranked[ranked.length - 1] : null
+    };
+};
+
+// Runs of consecutive days in the same streak band (high / steady / low), like calculateNextStats counts them
+const streakHistory = (days, scores) => {
+    const streaks = [];
+    let current = null;
+
+    days.forEach((day, i) => {
+        const band = scores[i] === null ? null : moodBand(scores[i]);
+        if (current && band === current.kind) {
+            current.to = day;
+            current.days += 1;
+            return;
+        }
+        if (current && current.days >= config.minStreakDays) streaks.push(current);
+        current = band && band !== 'neutral' ? { kind: band, from: day, to: day, days: 1 } : null;
+    });
+    if (current && current.days >= config.minStreakDays) streaks.push(current);
+
+    return streaks.reverse(); // newest first
+};
+
+// How often both partners logged the same day and how close they were
+const alignment = (mine, theirs) => {
+    const pairs = mine.map((score, i) => [score, theirs[i]]).filter(([a, b]) => a !== null && b !== null);
+    if (pairs.length === 0) {
+        return { sharedDays: 0, alignedDays: 0, rate: null, sameBandDays: 0, averageGap: null, correlation: null };
+    }
+
+    const alignedDays = pairs.filter(([a, b]) => Math.abs(a - b) <= config.alignmentTolerance).length;
+    const sameBandDays = pairs.filter(([a, b]) => moodBand(a) === moodBand(b)).length;
+
+    // Pearson correlation: do the two moods move together? (needs a few days and some variation)
+    let correlation = null;
+    if (pairs.length >= 3) {
+        const meanA = average(pairs.map(p => p[0]));
+        const meanB = average(pairs.map(p => p[1]));
+        const cov = pairs.reduce((sum, [a, b]) => sum + (a - meanA) * (b - meanB), 0);
+        const varA = pairs.reduce((sum, [a]) => sum + (a - meanA) ** 2, 0);
+        const varB = pairs.reduce((sum, [, b]) => sum + (b - meanB) ** 2, 0);
+        if (varA > 0 && varB > 0) correlation = cov / Math.sqrt(varA * varB);
+    }
+
+    return {
+        sharedDays: pairs.length,
+        alignedDays,
+        rate: round(alignedDays / pairs.length),
+        sameBandDays,
+        averageGap: round(average(pairs.map(([a, b]) => Math.abs(a - b)))),
+        correlation: round(correlation)
+    };
+};
+
+/**
+ * Chart-ready mood analytics for a user and (if there is one) their partner.
+ * Every series is aligned on `days`; a day without an entry is null.
+ * @param {String} from - 'YYYY-MM-DD' (inclusive)
+ * @param {String} to - 'YYYY-MM-DD' (inclusive)
+ */
+const buildMoodAnalytics = async (userId, coupleId, from, to) => {
+    const peopleRes = await pool.query(
+        `SELECT id, nickname FROM users WHERE id = $1 OR (couple_id = $2 AND id != $1)`,
+        [userId, coupleId]
+    );
+    const me = peopleRes.rows.find(p => p.id === userId);
+    const partner = peopleRes.rows.find(p => p.id !== userId) || null;
+
+    // day_key is 'YYYY-MM-DD-userId', so a plain string range picks the days.
+    // The partner's moods only count from this world, not from earlier relationships or solo worlds.
+    const moodsRes = await pool.query(
+        `SELECT user_id, score, day_key FROM moods
+         WHERE (user_id = $1 OR (user_id = $2 AND couple_id = $3))
+         AND day_key >= $4 AND day_key < $5`,
+        [me.id, partner ? partner.id : null, coupleId, from, addDays(to, 1)]
+    );
+
+    const days = daysInRange(from, to);
+    const index = new Map(days.map((day, i) => [day, i]));
+    const seriesFor = (person) => {
+        const scores = days.map(() => null);
+        if (!person) return scores;
+        for (const row of moodsRes.rows) {
+            const i = index.get(row.day_key.slice(0, 10));
+            if (row.user_id === person.id && i !== undefined) scores[i] = row.score;
+        }
+        return scores;
+    };
+
+    const mine = seriesFor(me);
+    const theirs = partner ? seriesFor(partner) : null;
+
+    const grouped = (bucketOf, keyName) => {
+        const myBuckets = bucketAverages(days, mine, bucketOf);
+        const theirBuckets = theirs ? bucketAverages(days, theirs, bucketOf) : null;
+        return [...myBuckets.keys()].map(key => ({
+            [keyName]: key,
+            me: round(average(myBuckets.get(key))),
+            partner: theirBuckets ? round(average(theirBuckets.get(key))) : null
+        }));
+    };
+
+    const myWeekdays = weekdayStats(days, mine);
+    const theirWeekdays = theirs ? weekdayStats(days, theirs) : null;
+
+    return {
+        range: { from, to, days: days.length },
+        scale: MOOD_MAP,
+        people: {
+            me: { id: me.id, nickname: me.nickname },
+            partner: partner && { id: partner.id, nickname: partner.nickname }
+        },
+        daily: {
+            days,
+            me: mine,
+            partner: theirs,
+            labels: {
+                me: mine.map(s => s && MOOD_MAP[s].label),
+                partner: theirs && theirs.map(s => s && MOOD_MAP[s].label)
+            }
+        },
+        summary: {
+            me: summarize(mine),
+            partner: theirs && summarize(theirs)
+        },
+        weekly: grouped(weekStartOf, 'weekStart'),
+        monthly: grouped(day => day.slice(0, 7), 'month'),
+        weekdays: {
+            labels: WEEKDAYS,
+            me: myWeekdays.averages,
+            partner: theirWeekdays && theirWeekdays.averages,
+            best: { me: myWeekdays.best, partner: theirWeekdays && theirWeekdays.best },
+            worst: { me: myWeekdays.worst, partner: theirWeekdays && theirWeekdays.worst }
+        },
+        alignment: theirs ? alignment(mine, theirs) : null,
+        streaks: {
+            me: streakHistory(days, mine),
+            partner: theirs && streakHistory(days, theirs)
+        }
+    };
+};
+
+module.exports = { buildMoodAnalytics };
@@ -0,0 +1,144 @@
+const { MOOD_MAP } = require('../config/moods');
+const { calculateNextStats } = require('./evolutionService');
+const { isCouplePaused } = require('./pauseService');
+const { getCoupleSettings } = require('./settingsService');
+const { earnFreezesForLevelUp, judgeDays } = require('./streakService');
+
+const ENTRY_COLUMNS = `id, user_id, mood_day::text AS mood_day, score, tags, note, is_shared, created_at, updated_at`;
+
+/**
+ * The score that drives the day's streaks under the couple's moodStatsEntry rule.
+ * @param {Array<Number>} scores - the day's check-ins, oldest first
+ */
+const drivingScore = (rule, scores) => {
+    if (scores.length === 0) return null;
+    if (rule === 'latest') return scores[scores.length - 1];
+    if (rule === 'lowest') return Math.min(...scores);
+    if (rule === 'average') return Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length);
+    return scores[0]; // 'first'
+};
+
+/**
+ * Shape of a check-in. The partner only gets the reason and note of entries marked shared.
+ */
+const formatEntry = (row, { forPartner = false } = {}) => {
+    const hidden = forPartner && !row.is_shared;
+    return {
+        id: row.id,
+        day: row.mood_day,
+        score: row.score,
+        label: MOOD_MAP[row.score]?.label,
+        emoji: MOOD_MAP[row.score]?.emoji,
+        tags: hidden ? [] : row.tags || [],
+        note: hidden ? null : row.note,
+        isShared: row.is_shared,
+        createdAt: row.created_at,
+        ...(!forPartner && { updatedAt: row.updated_at })
+    };
+};
+
+/**
+ * Adds a check-in, refreshes the day's summary row and (unless the world is paused)
+ * re-applies the day to the user's streaks with the couple's moodStatsEntry rule.
+ * The stats from before the day are kept on the summary, so a day never counts twice.
+ * Days the streak job hasn't judged yet are judged first, under the same lock, so a missed
+ * day is never counted after today's check-in.
+ * Runs inside the caller's transaction (dbClient must have BEGIN'd).
+ * @returns {{ entry, summary, evolution, before, paused, dayRules }} before: the user's stats before this check-in,
+ *   dayRules: the streak history events of the days judged on the way
+ */
+const recordCheckIn = async (dbClient, { userId, coupleId, day, score, tags = [], note = null, isShared = false }) => {
+    const dayKey = `${day}-${userId}`;
+
+    const dayRules = await judgeDays(dbClient, userId, { today: day });
+
+    const userRes = await dbClient.query(
+        "SELECT streak_high, streak_steady, streak_low, level, nickname FROM users WHERE id = $1 FOR UPDATE",
+        [userId]
+    );
+    const user = userRes.rows[0];
+
+    const entryRes = await dbClient.query(
+        `INSERT INTO mood_entries (user_id, couple_id, mood_day, score, tags, note, is_shared)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING ${ENTRY_COLUMNS}`,
+        [userId, coupleId, day, score, tags, note || null, isShared]
+    );
+
+    const dayRes = await dbClient.query(
+        'SELECT score FROM mood_entries WHERE user_id = $1 AND mood_day = $2 ORDER BY created_at, id',
+        [userId, day]
+    );
+    const scores = dayRes.rows.map(r => r.score);
+
+    const summaryRes = await dbClient.query(
+        'SELECT driving_score, stats_before FROM moods WHERE day_key = $1', [dayKey]
+    );
+    const existing = summaryRes.rows[0];
+
+    // While the world is paused, moods are still recorded but streaks and level stay frozen
+    const paused = await isCouplePaused(dbClient, coupleId);
+
+    let evolution = { didLevelUp: false, level: user.level };
+    let statsBefore = existing?.stats_before || null;
+    let driving = existing?.driving_score ?? null;
+
+    // A day that already counted before check-ins kept their stats (backfilled by migration 019)
+    // can't be re-applied without counting it twice, so it stays as it was
+    const countedWithoutStats = driving !== null && !statsBefore;
+
+    if (!paused && !countedWithoutStats) {
+        const { moodStatsEntry } = await getCoupleSettings(dbClient, coupleId);
+        const nextDriving = drivingScore(moodStatsEntry, scores);
+
+        // The first counted check-in of the day remembers where the day started from
+        statsBefore = statsBefore || {
+            streak_high: user.streak_high, streak_steady: user.streak_steady,
+            streak_low: user.streak_low, level: user.level
+        };
+
+        if (!existing?.stats_before || nextDriving !== driving) {
+            evolution = calculateNextStats(statsBefore, nextDriving);
+            driving = nextDriving;
+
+            await dbClient.query(
+                `UPDATE users
+                 SET streak_high = $1, streak_steady = $2, streak_low = $3, level = $4
+                 WHERE id = $5`,
+                [evolution.streak_high, evolution.streak_steady, evolution.streak_low, evolution.level, userId]
+            );
+
+            // Every level-up comes with a streak freeze (config/streaks.js)
+            if (evolution.level > user.level) await earnFreezesForLevelUp(dbClient, userId, day, evolution.level);
+        }
+    }
+
+    // The day's summary: score = latest check-in, first_score = first one
+    const moodResult = await dbClient.query(
+        `INSERT INTO moods (user_id, couple_id, score, first_score, day_key, driving_score, stats_before, entry_count)
+         VALUES ($1, $2, $3, $3, $4, $5, $6, 1)
+         ON CONFLICT (day_key)
+         DO UPDATE SET score = $3, driving_score = $5, stats_before = $6,
+             entry_count = moods.entry_count + 1, updated_at = NOW()
+         RETURNING *`,
+        [userId, coupleId, score, dayKey, driving, statsBefore && JSON.stringify(statsBefore)]
+    );
+
+    return { entry: entryRes.rows[0], summary: moodResult.rows[0], evolution, before: user, paused, dayRules };
+};
+
+/**
+ * A user's check-ins for a set of days, oldest first.
+ * @param {Array<String>} days - 'YYYY-MM-DD'
+ */
+const getEntries = async (db, userId, days) => {
+    const result = await db.query(
+        `SELECT ${ENTRY_COLUMNS} FROM mood_entries
+         WHERE user_id = $1 AND mood_day = ANY($2::date[])
+         ORDER BY created_at, id`,
+        [userId, days]
+    );
+    return result.rows;
+};
+
+module.exports = { drivingScore, formatEntry, recordCheckIn, getEntries, ENTRY_COLUMNS };
@@ -1,4 +1,5 @@
 const { pool } = require('../config/db');
+const { pronounsFor } = require('../utils/pronouns');
 
 /**
  * Creates a notification and emits a socket event if io is provided.
@@ -27,4 +28,13 @@ const createNotification = async ({ recipientId, senderId, type, message, link }
     }
 };
 
-module.exports = { createNotification };
\ No newline at end of file
+/**
+ * How to write about a user in someone else's notification ("...updated their journal").
+ * @returns {{ they: String, them: String, their: String }}
+ */
+const pronounsOf = async (userId) => {
+    const result = await pool.query('SELECT pronouns FROM users WHERE id = $1', [userId]);
+    return pronounsFor(result.rows[0]?.pronouns);
+};
+
+module.exports = { createNotification, pronounsOf };
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { pool } = require('../config/db');
+const { createNotification } = require('./notificationService');
+
+/**
+ * The open pause for a world, if any.
+ * @param {Object} db - pool or a transaction client
+ */
+const getActivePause = async (db, coupleId) => {
+    const result = await db.query(
+        `SELECT p.* FROM couple_pauses p JOIN couples c ON c.id = p.couple_id 
+         WHERE p.couple_id = $1 AND p.resumed_at IS NULL AND c.is_paused = true`,
+        [coupleId]
+    );
+    return result.rows[0] || null;
+};
+
+// Cheap check for code paths that only need to know whether to hold off
+const isCouplePaused = async (db, coupleId) => {
+    if (!coupleId) return false;
+    const result = await db.query('SELECT is_paused FROM couples WHERE id = $1', [coupleId]);
+    return !!result.rows[0]?.is_paused;
+};
+
+// Shape used by getDashboard and the pause endpoints
+const formatPause = (pause, userId) => pause && {
+    pausedBy: pause.paused_by,
+    pausedByMe: pause.paused_by === userId,
+    reason: pause.reason,
+    pausedAt: pause.paused_at,
+    resumeAt: pause.resume_at
+};
+
+// Tells the other partner (or both, for the automatic resume) and syncs open dashboards
+const announcePauseChange = async (coupleId, actorId, paused, pause, io = null) => {
+    const recipients = await pool.query(
+        'SELECT id FROM users WHERE couple_id = $1 AND ($2::int IS NULL OR id != $2)', [coupleId, actorId]
+    );
+
+    let message;
+    if (paused) {
+        message = `Your partner paused your world${pause.reason ? `: "${pause.reason}"` : ''}. Quests, punishments and streaks are on hold. ⏸️`;
+    } else {
+        message = actorId 
+            ? `Your partner resumed your world. Welcome back! ▶️` 
+            : `Your pause is over. Quests, punishments and streaks are back on. ▶️`;
+    }
+
+    for (const { id } of recipients.rows) {
+        await createNotification({
+            recipientId: id,
+            senderId: actorId || 0, // System ID for the automatic resume
+            type: paused ? 'couple_paused' : 'couple_resumed',
+            message,
+            link: '/'
+        }, io);
+    }
+
+    if (io) {
+        io.to(`couple_${coupleId}`).emit('pause_changed', { isPaused: paused, pause: formatPause(pause, null) });
+    }
+};
+
+/**
+ * Pauses a world. Returns null if it was already paused.
+ */
+const pauseCouple = async (coupleId, userId, { reason = null, resumeAt = null } = {}, io = null) => {
+    const dbClient = await pool.connect();
+    let pause;
+
+    try {
+        await dbClient.query('BEGIN');
+
+        const flipped = await dbClient.query(
+            'UPDATE couples SET is_paused = true WHERE id = $1 AND is_paused = false RETURNING id', [coupleId]
+        );
+        if (flipped.rowCount === 0) {
+            await dbClient.query('ROLLBACK');
+            return null;
+        }
+
+        const pauseRes = await dbClient.query(
+            `INSERT INTO couple_pauses (couple_id, paused_by, reason, resume_at) 
+             VALUES ($1, $2, $3, $4) RETURNING *`,
+            [coupleId, userId, reason, resumeAt]
+        );
+        pause = pauseRes.rows[0];
+
+        await dbClient.query('COMMIT');
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+
+    await announcePauseChange(coupleId, userId, true, pause, io);
+    return pause;
+};
+
+/**
+ * Resumes a world. userId is null when the auto-resume date is reached.
+ * Returns null if it wasn't paused.
+ */
+const resumeCouple = async (coupleId, userId, io = null) => {
+    const dbClient = await pool.connect();
+    let pause;
+
+    try {
+        await dbClient.query('BEGIN');
+
+        const flipped = await dbClient.query(
+            'UPDATE couples SET is_paused = false WHERE id = $1 AND is_paused = true RETURNING id', [coupleId]
+        );
+        if (flipped.rowCount === 0) {
+            await dbClient.query('ROLLBACK');
+            return null;
+        }
+
+        const pauseRes = await dbClient.query(
+            `UPDATE couple_pauses SET resumed_at = NOW(), resumed_by = $2 
+             WHERE couple_id = $1 AND resumed_at IS NULL RETURNING *`,
+            [coupleId, userId]
+        );
+        pause = pauseRes.rows[0] || { couple_id: coupleId };
+
+        await dbClient.query('COMMIT');
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+
+    await announcePauseChange(coupleId, userId, false, pause, io);
+    return pause;
+};
+
+/**
+ * Resumes every world whose auto-resume date has passed. Used by the pause job.
+ */
+const resumeDuePauses = async (io = null) => {
+    const dueRes = await pool.query(
+        'SELECT couple_id FROM couple_pauses WHERE resumed_at IS NULL AND resume_at <= NOW()'
+    );
+
+    let resumed = 0;
+    for (const { couple_id } of dueRes.rows) {
+        try {
+            if (await resumeCouple(couple_id, null, io)) resumed++;
+        } catch (err) {
+            console.error(`❌ Failed to resume couple ${couple_id}:`, err.message);
+        }
+    }
+    return resumed;
+};
+
+module.exports = { getActivePause, isCouplePaused, formatPause, pauseCouple, resumeCouple, resumeDuePauses };
@@ -0,0 +1,122 @@
+const sharp = require('sharp');
+const { pool } = require('../config/db');
+const cloudinary = require('../config/cloudinary');
+
+const PHOTO_COLUMNS = `id, album_id, url, caption, taken_on::text AS taken_on, uploaded_by, created_at`;
+
+const formatPhoto = (row) => row && {
+    id: row.id,
+    albumId: row.album_id,
+    url: row.url,
+    caption: row.caption,
+    takenOn: row.taken_on,
+    uploadedBy: row.uploaded_by,
+    uploadedAt: row.created_at
+};
+
+// Same compression the single shared picture used (storage savings)
+const compressPhoto = async (buffer) => {
+    return await sharp(buffer)
+        .resize(1600, 1600, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+};
+
+const uploadToCloudinary = (buffer, coupleId) => {
+    return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+            { folder: `twofold_shared/couple_${coupleId}`, resource_type: 'image' },
+            (error, result) => {
+                if (result) resolve(result);
+                else reject(error);
+            }
+        );
+        stream.end(buffer);
+    });
+};
+
+/**
+ * Uploads one photo to the couple's folder and records it.
+ * If the insert fails, the asset is destroyed again so nothing is left behind.
+ */
+const addPhoto = async (coupleId, userId, buffer, { caption = null, takenOn = null, albumId = null } = {}) => {
+    const uploaded = await uploadToCloudinary(await compressPhoto(buffer), coupleId);
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO couple_photos (couple_id, album_id, public_id, url, caption, taken_on, uploaded_by)
+             VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), $7)
+             RETURNING ${PHOTO_COLUMNS}`,
+            [coupleId, albumId, uploaded.public_id, uploaded.secure_url, caption, takenOn, userId]
+        );
+        return result.rows[0];
+    } catch (err) {
+        await cloudinary.uploader.destroy(uploaded.public_id, { invalidate: true }).catch(() => {});
+        throw err;
+    }
+};
+
+/**
+ * Points couples.cover_photo_id (and the legacy shared_image_url) at a photo, or clears both.
+ * @returns {Object|null} the cover photo row
+ */
+const setCover = async (db, coupleId, photoId) => {
+    if (!photoId) {
+        await db.query('UPDATE couples SET cover_photo_id = NULL, shared_image_url = NULL WHERE id = $1', [coupleId]);
+        return null;
+    }
+
+    const photoRes = await db.query(
+        `SELECT ${PHOTO_COLUMNS} FROM couple_photos WHERE id = $1 AND couple_id = $2`, [photoId, coupleId]
+    );
+    const photo = photoRes.rows[0];
+    if (!photo) return null;
+
+    await db.query(
+        'UPDATE couples SET cover_photo_id = $1, shared_image_url = $2 WHERE id = $3', [photo.id, photo.url, coupleId]
+    );
+    return photo;
+};
+
+/**
+ * Deletes a photo and its Cloudinary asset; clears the cover if it was the cover.
+ * The row goes first (in a transaction) and the asset only after the commit, so a failed
+ * delete never leaves a row pointing at an image that is gone.
+ * @returns {Boolean} false if the photo doesn't belong to this couple
+ */
+const deletePhoto = async (coupleId, photoId) => {
+    const dbClient = await pool.connect();
+    let photo;
+
+    try {
+        await dbClient.query('BEGIN');
+
+        const photoRes = await dbClient.query(
+            `SELECT p.public_id, c.cover_photo_id FROM couple_photos p JOIN couples c ON c.id = p.couple_id 
+             WHERE p.id = $1 AND p.couple_id = $2`,
+            [photoId, coupleId]
+        );
+        photo = photoRes.rows[0];
+        if (!photo) {
+            await dbClient.query('ROLLBACK');
+            return false;
+        }
+
+        if (photo.cover_photo_id === photoId) await setCover(dbClient, coupleId, null);
+        await dbClient.query('DELETE FROM couple_photos WHERE id = $1', [photoId]);
+
+        await dbClient.query('COMMIT');
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+
+    // The photo is gone either way; an asset left behind only costs storage
+    await cloudinary.uploader.destroy(photo.public_id, { invalidate: true })
+        .catch(err => console.error("❌ PHOTO_ASSET_DELETE_ERROR:", err.message));
+    return true;
+};
+
+module.exports = { PHOTO_COLUMNS, formatPhoto, addPhoto, setCover, deletePhoto };
@@ -0,0 +1,181 @@
+const { pool } = require('../config/db');
+const cloudinary = require('../config/cloudinary');
+const { createNotification } = require('./notificationService');
+const { sendEmail } = require('../utils/sendMail');
+const { DAY_MS } = require('../utils/dates');
+const retention = require('../config/retention');
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+// ".../image/upload/c_fill,w_500/v1712345678/punishments/abc.jpg" -> "punishments/abc"
+const publicIdFromUrl = (url) => {
+    const match = /\/upload\/(?:.*?\/)?v\d+\/(.+)\.[^./]+$/.exec(url || '');
+    return match ? match[1] : null;
+};
+
+/**
+ * Every Cloudinary asset that belongs to a world: album photos, the legacy shared picture
+ * and quest/punishment proofs.
+ */
+const collectWorldAssets = async (db, couple) => {
+    const assets = [];
+    if (couple.shared_image_url) assets.push(`twofold_shared/couple_${couple.id}`);
+
+    const photosRes = await db.query('SELECT public_id FROM couple_photos WHERE couple_id = $1', [couple.id]);
+    assets.push(...photosRes.rows.map(p => p.public_id));
+
+    const tasksRes = await db.query(
+        `SELECT cloudinary_public_id, punishment_image_url FROM daily_tasks 
+         WHERE couple_id = $1 AND (cloudinary_public_id IS NOT NULL OR punishment_image_url IS NOT NULL)`,
+        [couple.id]
+    );
+    for (const row of tasksRes.rows) {
+        if (row.cloudinary_public_id) assets.push(row.cloudinary_public_id);
+        const proofId = publicIdFromUrl(row.punishment_image_url);
+        if (proofId) assets.push(proofId);
+    }
+
+    return [...new Set(assets)];
+};
+
+// Cloudinary takes at most 100 ids per call
+const destroyAssets = async (publicIds) => {
+    for (let i = 0; i < publicIds.length; i += 100) {
+        await cloudinary.api.delete_resources(publicIds.slice(i, i + 100));
+    }
+};
+
+/**
+ * 1. Relink codes past their date stop working.
+ */
+const expireRelinkCodes = async () => {
+    const result = await pool.query(
+        `UPDATE couples SET relink_code = NULL 
+         WHERE status = 'archived' AND relink_code IS NOT NULL AND relink_expires_at <= NOW() 
+         RETURNING id`
+    );
+    return result.rowCount;
+};
+
+/**
+ * 2. Former partners hear about the purge warningDays before it happens.
+ */
+const warnUpcomingPurges = async () => {
+    const dueRes = await pool.query(
+        `SELECT id, creator_id, partner_id FROM couples 
+         WHERE status = 'archived' AND purge_warned_at IS NULL AND deactivated_at <= $1`,
+        [daysAgo(retention.purgeAfterDays - retention.warningDays)]
+    );
+
+    const purgeOn = new Date(Date.now() + retention.warningDays * DAY_MS).toDateString();
+    for (const couple of dueRes.rows) {
+        await pool.query('UPDATE couples SET purge_warned_at = NOW() WHERE id = $1', [couple.id]);
+
+        const usersRes = await pool.query(
+            'SELECT id, email FROM users WHERE id IN ($1, $2)', [couple.creator_id, couple.partner_id]
+        );
+        for (const user of usersRes.rows) {
+            await createNotification({
+                recipientId: user.id,
+                senderId: 0, // System ID
+                type: 'archive_purge_warning',
+                message: `Your archived world will be permanently deleted on ${purgeOn}, with its moods, answers and photos. 🗂️`,
+                link: '/settings'
+            });
+
+            try {
+                await sendEmail(user.email, "Your archived TwoFold world will be deleted", `
+                    <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+                        <p>The world you used to share is scheduled for permanent deletion on <b>${purgeOn}</b>.</p>
+                        <p>Its moods, answers and photos will be removed for good. You can download a copy of what you wrote from your settings before then.</p>
+                    </div>`);
+            } catch (emailErr) {
+                console.error("Mailer Error:", emailErr);
+            }
+        }
+    }
+    return dueRes.rowCount;
+};
+
+/**
+ * Hard-deletes one archived world: Cloudinary assets first, then every row that belongs to it.
+ * If Cloudinary fails the world is left alone and retried on the next run.
+ */
+const purgeArchivedWorld = async (couple) => {
+    await destroyAssets(await collectWorldAssets(pool, couple));
+
+    const dbClient = await pool.connect();
+    try {
+        await dbClient.query('BEGIN');
+
+        await dbClient.query('DELETE FROM moods WHERE couple_id = $1', [couple.id]);
+        await dbClient.query('DELETE FROM mood_entries WHERE couple_id = $1', [couple.id]);
+        await dbClient.query('DELETE FROM daily_answers WHERE couple_id = $1', [couple.id]);
+        await dbClient.query('DELETE FROM daily_highlights_gratitude WHERE couple_id = $1', [couple.id]);
+        await dbClient.query('DELETE FROM daily_tasks WHERE couple_id = $1', [couple.id]);
+        await dbClient.query('UPDATE users SET last_shared_id = NULL WHERE last_shared_id = $1', [couple.id]);
+
+        // Photos, albums, timeline, welcome answers, pauses and unlink requests cascade with the world
+        await dbClient.query('UPDATE couples SET cover_photo_id = NULL WHERE id = $1', [couple.id]);
+        await dbClient.query("DELETE FROM couples WHERE id = $1 AND status = 'archived'", [couple.id]);
+
+        await dbClient.query('COMMIT');
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+};
+
+/**
+ * 3. Archived worlds past purgeAfterDays (and warned at least warningDays ago) are deleted.
+ */
+const purgeArchivedWorlds = async () => {
+    const dueRes = await pool.query(
+        `SELECT id, shared_image_url FROM couples 
+         WHERE status = 'archived' AND deactivated_at <= $1 AND purge_warned_at <= $2`,
+        [daysAgo(retention.purgeAfterDays), daysAgo(retention.warningDays)]
+    );
+
+    let purged = 0;
+    for (const couple of dueRes.rows) {
+        try {
+            await purgeArchivedWorld(couple);
+            purged++;
+        } catch (err) {
+            console.error(`❌ Failed to purge archived world ${couple.id}:`, err.message);
+        }
+    }
+    return purged;
+};
+
+/**
+ * 4. Waiting worlds left behind by pair/unlink cycles: no member, no partner, no content.
+ */
+const cleanupOrphanWorlds = async () => {
+    const result = await pool.query(
+        `DELETE FROM couples 
+         WHERE status = 'waiting' AND partner_id IS NULL AND created_at <= $1
+         AND id NOT IN (SELECT couple_id FROM users WHERE couple_id IS NOT NULL)
+         AND id NOT IN (SELECT last_shared_id FROM users WHERE last_shared_id IS NOT NULL)
+         AND id NOT IN (SELECT couple_id FROM moods WHERE couple_id IS NOT NULL)
+         AND id NOT IN (SELECT couple_id FROM daily_tasks WHERE couple_id IS NOT NULL)
+         AND id NOT IN (SELECT couple_id FROM daily_answers WHERE couple_id IS NOT NULL)
+         AND id NOT IN (SELECT couple_id FROM daily_highlights_gratitude WHERE couple_id IS NOT NULL)
+         RETURNING id`,
+        [daysAgo(retention.orphanWaitingDays)]
+    );
+    return result.rowCount;
+};
+
+const runRetention = async () => ({
+    relinkCodesExpired: await expireRelinkCodes(),
+    warned: await warnUpcomingPurges(),
+    purged: await purgeArchivedWorlds(),
+    orphansRemoved: await cleanupOrphanWorlds()
+});
+
+module.exports = { 
+    expireRelinkCodes, warnUpcomingPurges, purgeArchivedWorlds, cleanupOrphanWorlds, runRetention, publicIdFromUrl 
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const sessionModel = require('../models/sessionModel');
+const { hashToken } = require('../utils/hashing');
+
+// Access tokens are short-lived; the refresh token is what keeps a device signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60000);
+
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Issued after a correct password when 2FA is on; only good for /2fa/verify
+const generateChallengeToken = (userId) => {
+    return jwt.sign({ userId, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+/**
+ * Returns the user id behind a 2FA challenge token, or null if it is invalid/expired.
+ */
+const verifyChallengeToken = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        return decoded.purpose === '2fa' ? decoded.userId : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Opens a new device session and returns the token pair for it.
+ * Device details come from the request so the sessions list is readable.
+ */
+const startSession = async (userId, req) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await sessionModel.create(userId, hashToken(refreshToken), refreshExpiry(), {
+        deviceName: req.body?.deviceName || null,
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip || null
+    });
+
+    return {
+        token: generateAccessToken(userId, session.id),
+        refreshToken,
+        sessionId: session.id
+    };
+};
+
+/**
+ * Exchanges a refresh token for a new pair (rotation).
+ * Returns null when the token is unknown, expired or revoked.
+ * Replaying a token that was already rotated revokes the whole session.
+ */
+const rotateSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const session = await sessionModel.findByTokenHash(tokenHash);
+
+    if (!session) {
+        const replayed = await sessionModel.findByPreviousHash(tokenHash);
+        if (replayed) {
+            console.warn(`⚠️ Refresh token replay detected on session ${replayed.id}. Revoking.`);
+            await sessionModel.revoke(replayed.id, replayed.user_id);
+        }
+        return null;
+    }
+
+    if (session.revoked_at || new Date() > session.expires_at) return null;
+
+    const nextToken = crypto.randomBytes(48).toString('hex');
+    const rotated = await sessionModel.rotate(session.id, tokenHash, hashToken(nextToken), refreshExpiry());
+    // Lost a race with a concurrent refresh of the same token: not a replay, so the session stays
+    if (!rotated) return null;
+
+    return {
+        userId: session.user_id,
+        token: generateAccessToken(session.user_id, session.id),
+        refreshToken: nextToken,
+        sessionId: session.id
+    };
+};
+
+/**
+ * Revokes the session a refresh token belongs to (single-device logout).
+ */
+const endSession = async (refreshToken) => {
+    const session = await sessionModel.findByTokenHash(hashToken(refreshToken));
+    if (!session) return false;
+    return !!(await sessionModel.revoke(session.id, session.user_id));
+};
+
+module.exports = { 
+    startSession, 
+    rotateSession, 
+    endSession, 
+    generateAccessToken, 
+    generateChallengeToken, 
+    verifyChallengeToken 
+};
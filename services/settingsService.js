@@ -0,0 +1,129 @@
+const { definitions, historyPageSize } = require('../config/coupleSettings');
+
+const DEFAULTS = Object.fromEntries(Object.entries(definitions).map(([key, def]) => [key, def.default]));
+
+// Odds are compared and stored in the order of their options, whatever order they were sent in
+const normalize = (key, value) => {
+    const def = definitions[key];
+    if (def.type === 'odds') return Object.fromEntries(def.options.map(o => [o, value[o]]));
+    return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Stored overrides on top of the defaults; keys that are no longer defined are ignored
+const withDefaults = (overrides = {}) => Object.fromEntries(Object.keys(definitions).map(key => [
+    key, Object.prototype.hasOwnProperty.call(overrides, key) ? normalize(key, overrides[key]) : DEFAULTS[key]
+]));
+
+/**
+ * The effective settings of a world (defaults for everything it never changed).
+ * @param {Object} db - pool or a transaction client
+ */
+const getCoupleSettings = async (db, coupleId) => {
+    if (!coupleId) return { ...DEFAULTS };
+    const result = await db.query('SELECT overrides FROM couple_settings WHERE couple_id = $1', [coupleId]);
+    return withDefaults(result.rows[0]?.overrides);
+};
+
+/**
+ * Applies a partial update and logs every value that actually changed.
+ * Runs inside the caller's transaction (dbClient must have BEGIN'd).
+ * @param {Object} changes - already validated (middlewares/schemas/relationshipSchemas.js)
+ * @returns {{ settings: Object, changed: Array }} changed: [{ key, from, to }]
+ */
+const updateCoupleSettings = async (dbClient, coupleId, userId, changes) => {
+    await dbClient.query(
+        'INSERT INTO couple_settings (couple_id) VALUES ($1) ON CONFLICT (couple_id) DO NOTHING', [coupleId]
+    );
+    const current = await dbClient.query(
+        'SELECT overrides FROM couple_settings WHERE couple_id = $1 FOR UPDATE', [coupleId]
+    );
+    const overrides = { ...(current.rows[0]?.overrides || {}) };
+    const before = withDefaults(overrides);
+
+    const changed = [];
+    for (const [key, raw] of Object.entries(changes)) {
+        if (!definitions[key]) continue;
+        const value = normalize(key, raw);
+        if (sameValue(value, before[key])) continue;
+
+        // Going back to the default drops the override, so the world follows future defaults again
+        if (sameValue(value, DEFAULTS[key])) delete overrides[key];
+        else overrides[key] = value;
+
+        changed.push({ key, from: before[key], to: value });
+    }
+
+    if (changed.length === 0) return { settings: before, changed };
+
+    await dbClient.query(
+        'UPDATE couple_settings SET overrides = $1, updated_by = $2, updated_at = NOW() WHERE couple_id = $3',
+        [JSON.stringify(overrides), userId, coupleId]
+    );
+    for (const change of changed) {
+        await dbClient.query(
+            `INSERT INTO couple_settings_changes (couple_id, setting_key, old_value, new_value, changed_by)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [coupleId, change.key, JSON.stringify(change.from), JSON.stringify(change.to), userId]
+        );
+    }
+
+    return { settings: withDefaults(overrides), changed };
+};
+
+// Shape used by the settings endpoints and the socket event
+const formatChange = (row, userId) => ({
+    id: row.id,
+    key: row.setting_key,
+    label: definitions[row.setting_key]?.label || row.setting_key,
+    from: row.old_value,
+    to: row.new_value,
+    changedBy: row.changed_by,
+    changedByNickname: row.nickname || null,
+    changedByMe: row.changed_by === userId,
+    changedAt: row.changed_at,
+    seen: row.changed_by === userId || !!row.seen_at
+});
+
+// How many of the partner's changes this user hasn't looked at yet
+const countUnseenChanges = async (db, coupleId, userId) => {
+    const result = await db.query(
+        `SELECT COUNT(*)::int AS count FROM couple_settings_changes
+         WHERE couple_id = $1 AND changed_by != $2 AND seen_at IS NULL`,
+        [coupleId, userId]
+    );
+    return result.rows[0].count;
+};
+
+/**
+ * A page of the change log, newest first. Looking at it marks the partner's changes as seen.
+ */
+const getSettingsChanges = async (db, coupleId, userId, { page = 1, limit = historyPageSize } = {}) => {
+    const result = await db.query(
+        `SELECT c.*, u.nickname FROM couple_settings_changes c
+         LEFT JOIN users u ON u.id = c.changed_by
+         WHERE c.couple_id = $1
+         ORDER BY c.changed_at DESC, c.id DESC
+         LIMIT $2 OFFSET $3`,
+        [coupleId, limit, (page - 1) * limit]
+    );
+
+    // Only what this page shows counts as seen; later pages keep their unseen marker
+    await db.query(
+        `UPDATE couple_settings_changes SET seen_at = NOW()
+         WHERE id = ANY($1::int[]) AND changed_by != $2 AND seen_at IS NULL`,
+        [result.rows.map(row => row.id), userId]
+    );
+
+    return result.rows.map(row => formatChange(row, userId));
+};
+
+module.exports = {
+    DEFAULTS,
+    getCoupleSettings,
+    updateCoupleSettings,
+    formatChange,
+    countUnseenChanges,
+    getSettingsChanges
+};
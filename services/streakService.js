@@ -0,0 +1,284 @@
+const { pool } = require('../config/db');
+const { maxFreezes, freezeCost, freezesPerLevelUp, historyPageSize } = require('../config/streaks');
+const { createNotification } = require('./notificationService');
+const { getCoupleSettings } = require('./settingsService');
+const { getUserTimeZone } = require('./timezoneService');
+const { addDays, daysBetween, todayIn, toDateKey } = require('../utils/dates');
+
+// The longest stretch of missed days judged in one go (e.g. after the server was down)
+const MAX_CATCH_UP_DAYS = 31;
+
+const recordEvent = (db, userId, kind, day, details = {}) => db.query(
+    'INSERT INTO evolution_history (user_id, kind, day, details) VALUES ($1, $2, $3, $4)',
+    [userId, kind, day, JSON.stringify(details)]
+);
+
+const NOTIFICATIONS = {
+    streak_broken: ({ day }) => `💔 No check-in on ${day}, so your streaks started over. Today is a fresh start!`,
+    freeze_used: ({ day, freezesLeft }) => `🧊 A streak freeze covered ${day} and kept your streak alive. ${freezesLeft} left.`,
+    level_decay: ({ to }) => `🍂 It's been quiet for a while, so you slipped to Level ${to}. Check in to grow again.`
+};
+
+/**
+ * Gives freezes for an individual level-up (capped at maxFreezes).
+ * Runs inside the caller's transaction (services/moodService.js recordCheckIn).
+ * @returns {Number} freezes gained
+ */
+const earnFreezesForLevelUp = async (dbClient, userId, day, level) => {
+    const result = await dbClient.query(
+        `UPDATE users SET streak_freezes = LEAST(streak_freezes + $1, $2)
+         WHERE id = $3 AND streak_freezes < $2
+         RETURNING streak_freezes`,
+        [freezesPerLevelUp, maxFreezes, userId]
+    );
+    if (result.rowCount === 0) return 0;
+
+    await recordEvent(dbClient, userId, 'freeze_earned', day, {
+        reason: 'level_up', level, freezes: result.rows[0].streak_freezes
+    });
+    return freezesPerLevelUp;
+};
+
+/**
+ * Spends points on a streak freeze.
+ * @returns {{ freezes: Number, points: Number }}
+ */
+const buyStreakFreeze = async (userId) => {
+    const dbClient = await pool.connect();
+
+    try {
+        await dbClient.query('BEGIN');
+
+        const userRes = await dbClient.query(
+            'SELECT points, streak_freezes FROM users WHERE id = $1 FOR UPDATE', [userId]
+        );
+        const user = userRes.rows[0];
+        if (user.streak_freezes >= maxFreezes) {
+            throw Object.assign(new Error(`You already hold the most freezes you can (${maxFreezes}).`), { status: 409 });
+        }
+        if (user.points < freezeCost) {
+            throw Object.assign(new Error(`A streak freeze costs ${freezeCost} points. You have ${user.points}.`), { status: 400 });
+        }
+
+        const updated = await dbClient.query(
+            `UPDATE users SET points = points - $1, streak_freezes = streak_freezes + 1
+             WHERE id = $2 RETURNING points, streak_freezes`,
+            [freezeCost, userId]
+        );
+        const today = todayIn(await getUserTimeZone(dbClient, userId));
+        await recordEvent(dbClient, userId, 'freeze_bought', today, { cost: freezeCost });
+
+        await dbClient.query('COMMIT');
+        return { freezes: updated.rows[0].streak_freezes, points: updated.rows[0].points };
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+};
+
+/**
+ * Judges one user's days that ended since the last run (up to yesterday in their timezone):
+ * a day without a check-in spends a freeze or breaks the streaks, and long inactivity
+ * lets the level slip when the world has levelDecayDays on. Paused worlds are only moved
+ * forward: days on a break are never judged.
+ * Runs inside the caller's transaction and locks the user row, so the nightly job and a
+ * check-in (services/moodService.js recordCheckIn) never judge the same days twice.
+ * @param {String} [options.today] - the user's today, when the caller already settled it (a check-in's day)
+ * @returns {Array} the history events recorded
+ */
+const judgeDays = async (dbClient, userId, { now = new Date(), today = null } = {}) => {
+    const events = [];
+
+    const userRes = await dbClient.query(
+        `SELECT u.id, u.couple_id, u.created_at, u.evolution_checked_day::text AS checked_day,
+                u.streak_high, u.streak_steady, u.streak_low, u.level, u.streak_freezes,
+                c.is_paused
+         FROM users u LEFT JOIN couples c ON c.id = u.couple_id
+         WHERE u.id = $1 FOR UPDATE OF u`,
+        [userId]
+    );
+    const user = userRes.rows[0];
+    const settings = await getCoupleSettings(dbClient, user.couple_id);
+    const timeZone = await getUserTimeZone(dbClient, userId);
+    const yesterday = addDays(today || todayIn(timeZone, now), -1);
+
+    if (user.checked_day && user.checked_day >= yesterday) return events;
+
+    const stats = {
+        streak_high: user.streak_high, streak_steady: user.streak_steady,
+        streak_low: user.streak_low, level: user.level, streak_freezes: user.streak_freezes
+    };
+
+    if (!user.is_paused) {
+        // 1. Missed days, oldest first
+        let from = user.checked_day ? addDays(user.checked_day, 1) : yesterday;
+        if (daysBetween(from, yesterday) >= MAX_CATCH_UP_DAYS) from = addDays(yesterday, -(MAX_CATCH_UP_DAYS - 1));
+
+        // day_key is 'YYYY-MM-DD-userId', so a plain string range picks the days
+        const loggedRes = await dbClient.query(
+            'SELECT day_key FROM moods WHERE user_id = $1 AND day_key >= $2 AND day_key < $3',
+            [userId, from, addDays(yesterday, 1)]
+        );
+        const logged = new Set(loggedRes.rows.map(r => r.day_key.slice(0, 10)));
+
+        for (let day = from; day <= yesterday; day = addDays(day, 1)) {
+            if (logged.has(day)) continue;
+            if (!stats.streak_high && !stats.streak_steady && !stats.streak_low) continue;
+
+            if ((stats.streak_high || stats.streak_steady) && stats.streak_freezes > 0) {
+                stats.streak_freezes -= 1;
+                events.push({ kind: 'freeze_used', day, details: {
+                    day, kept: { streak_high: stats.streak_high, streak_steady: stats.streak_steady },
+                    freezesLeft: stats.streak_freezes
+                } });
+            } else {
+                events.push({ kind: 'streak_broken', day, details: {
+                    day, lost: { streak_high: stats.streak_high, streak_steady: stats.streak_steady, streak_low: stats.streak_low }
+                } });
+                stats.streak_high = 0;
+                stats.streak_steady = 0;
+                stats.streak_low = 0;
+            }
+        }
+
+        // 2. Level decay: one level per levelDecayDays without a check-in (days on a break don't count)
+        if (settings.levelDecayDays > 0 && stats.level > 1) {
+            const activeRes = await dbClient.query(
+                `SELECT MAX(LEFT(day_key, 10)) AS last_day FROM moods WHERE user_id = $1 AND day_key < $2`,
+                [userId, addDays(yesterday, 1)]
+            );
+            const resumedRes = await dbClient.query(
+                'SELECT MAX(resumed_at) AS resumed_at FROM couple_pauses WHERE couple_id = $1', [user.couple_id]
+            );
+            const candidates = [
+                activeRes.rows[0].last_day || toDateKey(user.created_at),
+                resumedRes.rows[0].resumed_at && todayIn(timeZone, resumedRes.rows[0].resumed_at)
+            ].filter(Boolean);
+            const lastActive = candidates.sort().pop();
+
+            const appliedRes = await dbClient.query(
+                `SELECT COUNT(*)::int AS applied FROM evolution_history
+                 WHERE user_id = $1 AND kind = 'level_decay' AND day > $2`,
+                [userId, lastActive]
+            );
+            const due = Math.floor(daysBetween(lastActive, yesterday) / settings.levelDecayDays);
+            const steps = Math.min(due - appliedRes.rows[0].applied, stats.level - 1);
+
+            for (let i = 0; i < steps; i++) {
+                events.push({ kind: 'level_decay', day: yesterday, details: {
+                    from: stats.level, to: stats.level - 1, inactiveSince: lastActive
+                } });
+                stats.level -= 1;
+            }
+        }
+    }
+
+    for (const event of events) await recordEvent(dbClient, userId, event.kind, event.day, event.details);
+
+    await dbClient.query(
+        `UPDATE users
+         SET streak_high = $1, streak_steady = $2, streak_low = $3, level = $4, streak_freezes = $5,
+             evolution_checked_day = $6
+         WHERE id = $7`,
+        [stats.streak_high, stats.streak_steady, stats.streak_low, stats.level, stats.streak_freezes, yesterday, userId]
+    );
+
+    return events;
+};
+
+/**
+ * Tells a user what the day rules changed: one notification per kind of change, about the latest one.
+ * Sent after the judging transaction committed.
+ */
+const notifyDayRules = async (userId, events, io = null) => {
+    const latest = new Map(events.map(e => [e.kind, e.details]));
+    for (const [kind, details] of latest) {
+        await createNotification({
+            recipientId: userId,
+            senderId: 0, // System ID
+            type: kind,
+            message: NOTIFICATIONS[kind](details),
+            link: '/evolution'
+        }, io);
+    }
+};
+
+/**
+ * The nightly job's entry point: the day rules for one user in their own transaction.
+ * @returns {Array} the history events recorded
+ */
+const applyDayRules = async (userId, now = new Date()) => {
+    const dbClient = await pool.connect();
+
+    try {
+        await dbClient.query('BEGIN');
+        const events = await judgeDays(dbClient, userId, { now });
+        await dbClient.query('COMMIT');
+        return events;
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+};
+
+/**
+ * Runs the day rules for everyone whose day ended since the last run. Used by the streak job.
+ * @returns {{ users: Number, events: Number }}
+ */
+const applyDayRulesForAll = async (now = new Date(), io = null) => {
+    // Every timezone is within about a day of UTC: nobody's yesterday is later than the UTC today,
+    // so users judged up to it are done and the rest are narrowed down per timezone below
+    const usersRes = await pool.query(
+        `SELECT id, couple_id, timezone, evolution_checked_day::text AS checked_day FROM users
+         WHERE couple_id IS NOT NULL AND (evolution_checked_day IS NULL OR evolution_checked_day < $1)`,
+        [toDateKey(now)]
+    );
+
+    let users = 0;
+    let total = 0;
+    const settingsByCouple = new Map();
+    for (const { id, couple_id, timezone, checked_day } of usersRes.rows) {
+        try {
+            if (checked_day) {
+                if (!settingsByCouple.has(couple_id)) {
+                    settingsByCouple.set(couple_id, await getCoupleSettings(pool, couple_id));
+                }
+                const timeZone = timezone || settingsByCouple.get(couple_id).timezone;
+                if (checked_day >= addDays(todayIn(timeZone, now), -1)) continue;
+            }
+
+            const events = await applyDayRules(id, now);
+            if (events.length === 0) continue;
+            users++;
+            total += events.length;
+
+            await notifyDayRules(id, events, io);
+        } catch (err) {
+            console.error(`❌ STREAK_RULES_ERROR (user ${id}):`, err.message);
+        }
+    }
+    return { users, events: total };
+};
+
+/**
+ * A user's streak and level history, newest first.
+ */
+const getEvolutionHistory = async (db, userId, { page = 1, limit = historyPageSize } = {}) => {
+    const result = await db.query(
+        `SELECT id, kind, day::text AS day, details, created_at FROM evolution_history
+         WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3`,
+        [userId, limit, (page - 1) * limit]
+    );
+    return result.rows.map(row => ({
+        id: row.id, kind: row.kind, day: row.day, details: row.details, createdAt: row.created_at
+    }));
+};
+
+module.exports = { 
+    earnFreezesForLevelUp, buyStreakFreeze, judgeDays, notifyDayRules, 
+    applyDayRules, applyDayRulesForAll, getEvolutionHistory 
+};
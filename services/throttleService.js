@@ -0,0 +1,100 @@
+const { pool } = require('../config/db');
+const config = require('../config/authThrottle');
+
+/**
+ * Builds the counters an attempt is charged against: one per account, one per IP.
+ * @param {String} action - Key of config.actions ('login' | 'reset' | 'twoFactor')
+ * @param {String} account - Email, or any stable account identifier
+ */
+const buildKeys = (action, account, ip) => {
+    const limits = config.actions[action];
+    const keys = [];
+    if (account && limits.account) keys.push({ key: `${action}:account:${String(account).toLowerCase().trim()}`, limit: limits.account, scope: 'account' });
+    if (ip && limits.ip) keys.push({ key: `${action}:ip:${ip}`, limit: limits.ip, scope: 'ip' });
+    return keys;
+};
+
+/**
+ * Seconds until every counter in `keys` is unlocked (0 = free to go).
+ */
+const getRetryAfter = async (keys) => {
+    if (keys.length === 0) return 0;
+    const result = await pool.query(
+        `SELECT CEIL(EXTRACT(EPOCH FROM (MAX(locked_until) - NOW())))::int AS retry_after
+         FROM auth_throttles 
+         WHERE key = ANY($1) AND locked_until > NOW()`,
+        [keys.map(k => k.key)]
+    );
+    return Math.max(result.rows[0]?.retry_after || 0, 0);
+};
+
+/**
+ * Charges one failed attempt to every counter. A counter that reaches its limit
+ * is locked for baseLock * 2^(previous lockouts), capped at maxLock.
+ * Returns the resulting Retry-After in seconds (0 if nothing got locked).
+ */
+const recordFailure = async (keys) => {
+    let retryAfter = 0;
+
+    for (const { key, limit } of keys) {
+        // Start a fresh window if the last one is over; lockout history fades after a quiet day
+        const counterRes = await pool.query(
+            `INSERT INTO auth_throttles (key, failures, window_started_at, updated_at)
+             VALUES ($1, 1, NOW(), NOW())
+             ON CONFLICT (key) DO UPDATE SET
+                failures = CASE 
+                    WHEN auth_throttles.window_started_at < NOW() - make_interval(secs => $2) THEN 1 
+                    ELSE auth_throttles.failures + 1 END,
+                window_started_at = CASE 
+                    WHEN auth_throttles.window_started_at < NOW() - make_interval(secs => $2) THEN NOW() 
+                    ELSE auth_throttles.window_started_at END,
+                lockout_count = CASE 
+                    WHEN auth_throttles.updated_at < NOW() - INTERVAL '1 day' THEN 0 
+                    ELSE auth_throttles.lockout_count END,
+                updated_at = NOW()
+             RETURNING failures, lockout_count`,
+            [key, config.windowSeconds]
+        );
+
+        const { failures, lockout_count } = counterRes.rows[0];
+        if (failures < limit) continue;
+
+        const lockSeconds = Math.min(config.baseLockSeconds * 2 ** lockout_count, config.maxLockSeconds);
+        await pool.query(
+            `UPDATE auth_throttles 
+             SET locked_until = NOW() + make_interval(secs => $1), 
+                 lockout_count = lockout_count + 1, 
+                 failures = 0, 
+                 window_started_at = NOW()
+             WHERE key = $2`,
+            [lockSeconds, key]
+        );
+        retryAfter = Math.max(retryAfter, lockSeconds);
+    }
+
+    return retryAfter;
+};
+
+/**
+ * Forgets the account counter after a successful attempt.
+ * IP counters are left alone so a correct login can't reset an attacker's budget.
+ */
+const clearFailures = async (keys) => {
+    const accountKeys = keys.filter(k => k.scope === 'account').map(k => k.key);
+    if (accountKeys.length === 0) return;
+    await pool.query('DELETE FROM auth_throttles WHERE key = ANY($1)', [accountKeys]);
+};
+
+/**
+ * Housekeeping: drops counters nobody has touched for a day.
+ */
+const purgeStale = async () => {
+    const result = await pool.query(
+        `DELETE FROM auth_throttles 
+         WHERE updated_at < NOW() - INTERVAL '1 day' 
+         AND (locked_until IS NULL OR locked_until < NOW())`
+    );
+    return result.rowCount;
+};
+
+module.exports = { buildKeys, getRetryAfter, recordFailure, clearFailures, purgeStale };
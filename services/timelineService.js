@@ -0,0 +1,187 @@
+const { pool } = require('../config/db');
+const { createNotification } = require('./notificationService');
+const { toDateKey, addDays, addMonths, daysBetween, parseDateKey } = require('../utils/dates');
+const timelineConfig = require('../config/timeline');
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Records a rel_status change. Runs inside the caller's transaction.
+ */
+const recordStatusChange = async (db, coupleId, fromStatus, toStatus, userId, changedOn = null) => {
+    await db.query(
+        `INSERT INTO rel_status_history (couple_id, from_status, to_status, changed_by, changed_on)
+         VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE))`,
+        [coupleId, fromStatus || null, toStatus, userId, changedOn]
+    );
+};
+
+/**
+ * Every anniversary and custom milestone that falls between two days (inclusive).
+ * Anniversaries: the early month marks from config/timeline.js, then every full year.
+ * @param {String|null} startedOn - 'YYYY-MM-DD'
+ * @param {Array} milestones - rows from couple_milestones (milestone_date as 'YYYY-MM-DD')
+ * @returns {Array} [{ key, kind, title, date }] sorted by date
+ */
+const occurrencesBetween = (startedOn, milestones, fromKey, toKey) => {
+    const events = [];
+    const inRange = (date) => date >= fromKey && date <= toKey;
+
+    if (startedOn) {
+        for (const months of timelineConfig.monthAnniversaries) {
+            const date = addMonths(startedOn, months);
+            if (inRange(date)) {
+                events.push({ key: `anniversary-m${months}`, kind: 'anniversary', title: plural(months, 'month'), date });
+            }
+        }
+
+        const lastYear = parseDateKey(toKey).getUTCFullYear() - parseDateKey(startedOn).getUTCFullYear();
+        for (let years = 1; years <= lastYear; years++) {
+            const date = addMonths(startedOn, years * 12);
+            if (inRange(date)) {
+                events.push({ key: `anniversary-y${years}`, kind: 'anniversary', title: plural(years, 'year'), date });
+            }
+        }
+    }
+
+    for (const m of milestones) {
+        const key = `milestone-${m.id}`;
+        if (!m.recurring) {
+            if (inRange(m.milestone_date)) events.push({ key, kind: 'milestone', title: m.title, date: m.milestone_date, milestoneId: m.id });
+            continue;
+        }
+
+        const firstYear = parseDateKey(m.milestone_date).getUTCFullYear();
+        const fromYear = Math.max(parseDateKey(fromKey).getUTCFullYear(), firstYear);
+        const toYear = parseDateKey(toKey).getUTCFullYear();
+        for (let year = fromYear; year <= toYear; year++) {
+            const years = year - firstYear;
+            const date = addMonths(m.milestone_date, years * 12);
+            if (!inRange(date)) continue;
+            const title = years === 0 ? m.title : `${m.title} (${plural(years, 'year')})`;
+            events.push({ key, kind: 'milestone', title, date, milestoneId: m.id });
+        }
+    }
+
+    return events.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const loadTimelineData = async (coupleId) => {
+    const [coupleRes, historyRes, milestonesRes] = await Promise.all([
+        pool.query('SELECT rel_status, started_on::text AS started_on FROM couples WHERE id = $1', [coupleId]),
+        pool.query(
+            `SELECT id, from_status, to_status, changed_by, changed_on::text AS changed_on 
+             FROM rel_status_history WHERE couple_id = $1 ORDER BY changed_on, id`,
+            [coupleId]
+        ),
+        pool.query(
+            `SELECT id, title, milestone_date::text AS milestone_date, recurring, created_by 
+             FROM couple_milestones WHERE couple_id = $1 ORDER BY milestone_date, id`,
+            [coupleId]
+        )
+    ]);
+    return { couple: coupleRes.rows[0], history: historyRes.rows, milestones: milestonesRes.rows };
+};
+
+/**
+ * The couple's story so far (past events, oldest first) and what's coming up.
+ */
+const buildTimeline = async (coupleId, todayKey = toDateKey(new Date())) => {
+    const { couple, history, milestones } = await loadTimelineData(coupleId);
+    const startedOn = couple?.started_on || null;
+
+    const events = [];
+    if (startedOn) events.push({ key: 'started', kind: 'started', title: "Together since", date: startedOn });
+
+    for (const h of history) {
+        events.push({ 
+            key: `status-${h.id}`, kind: 'status', 
+            title: h.from_status ? `${h.from_status} → ${h.to_status}` : h.to_status, 
+            date: h.changed_on, fromStatus: h.from_status, toStatus: h.to_status, changedBy: h.changed_by 
+        });
+    }
+
+    // Past anniversaries and milestones, from the earliest date we know about up to today
+    const earliest = [startedOn, ...milestones.map(m => m.milestone_date)].filter(Boolean).sort()[0];
+    if (earliest && earliest <= todayKey) {
+        events.push(...occurrencesBetween(startedOn, milestones, earliest, todayKey));
+    }
+    events.sort((a, b) => a.date.localeCompare(b.date));
+
+    const horizon = addDays(todayKey, timelineConfig.upcomingWindowDays);
+    const upcoming = occurrencesBetween(startedOn, milestones, todayKey, horizon)
+        .map(e => ({ ...e, daysUntil: daysBetween(todayKey, e.date) }));
+
+    return {
+        startedOn,
+        relStatus: couple?.rel_status || null,
+        daysTogether: startedOn && startedOn <= todayKey ? daysBetween(startedOn, todayKey) : null,
+        milestones: milestones.map(m => ({ 
+            id: m.id, title: m.title, date: m.milestone_date, recurring: m.recurring, createdBy: m.created_by 
+        })),
+        events,
+        upcoming
+    };
+};
+
+const reminderMessage = (event, daysBefore) => {
+    if (event.kind === 'anniversary') {
+        if (daysBefore === 0) return `Happy ${event.title} together! 🎉`;
+        if (daysBefore === 1) return `Tomorrow marks ${event.title} together. Got something planned? 💝`;
+        return `${event.title} together in ${daysBefore} days. 📅`;
+    }
+    if (daysBefore === 0) return `Today is "${event.title}"! 🎉`;
+    if (daysBefore === 1) return `Tomorrow is "${event.title}". Got something planned? 💝`;
+    return `"${event.title}" is in ${daysBefore} days. 📅`;
+};
+
+/**
+ * Sends the reminders due today for every paired world. Used by the milestone job.
+ * milestone_reminders makes it safe to run more than once a day.
+ */
+const sendMilestoneReminders = async (todayKey = toDateKey(new Date()), io = null) => {
+    const offsets = timelineConfig.reminderDaysBefore;
+    if (offsets.length === 0) return 0;
+    const horizon = addDays(todayKey, Math.max(...offsets));
+
+    const couplesRes = await pool.query(
+        `SELECT id, started_on::text AS started_on FROM couples WHERE status = 'full'`
+    );
+    const milestonesRes = await pool.query(
+        `SELECT m.id, m.couple_id, m.title, m.milestone_date::text AS milestone_date, m.recurring 
+         FROM couple_milestones m JOIN couples c ON c.id = m.couple_id WHERE c.status = 'full'`
+    );
+
+    let sent = 0;
+    for (const couple of couplesRes.rows) {
+        const milestones = milestonesRes.rows.filter(m => m.couple_id === couple.id);
+        const events = occurrencesBetween(couple.started_on, milestones, todayKey, horizon);
+
+        for (const event of events) {
+            const daysBefore = daysBetween(todayKey, event.date);
+            if (!offsets.includes(daysBefore)) continue;
+
+            const claimed = await pool.query(
+                `INSERT INTO milestone_reminders (couple_id, milestone_key, occurs_on, days_before) 
+                 VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING RETURNING couple_id`,
+                [couple.id, event.key, event.date, daysBefore]
+            );
+            if (claimed.rowCount === 0) continue;
+
+            const members = await pool.query('SELECT id FROM users WHERE couple_id = $1', [couple.id]);
+            for (const { id } of members.rows) {
+                await createNotification({
+                    recipientId: id,
+                    senderId: 0, // System ID
+                    type: event.kind === 'anniversary' ? 'anniversary_reminder' : 'milestone_reminder',
+                    message: reminderMessage(event, daysBefore),
+                    link: '/timeline'
+                }, io);
+            }
+            sent++;
+        }
+    }
+    return sent;
+};
+
+module.exports = { recordStatusChange, occurrencesBetween, buildTimeline, sendMilestoneReminders };
@@ -0,0 +1,22 @@
+const { todayIn } = require('../utils/dates');
+const { getCoupleSettings } = require('./settingsService');
+
+/**
+ * The timezone a user's day runs in: their own, else their world's setting (UTC by default).
+ * @param {Object} db - pool or a transaction client
+ */
+const getUserTimeZone = async (db, userId) => {
+    const result = await db.query('SELECT timezone, couple_id FROM users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+    if (user?.timezone) return user.timezone;
+
+    const { timezone } = await getCoupleSettings(db, user?.couple_id);
+    return timezone;
+};
+
+/**
+ * "Today" for a user as 'YYYY-MM-DD': the day moods, answers, journals and quests are filed under.
+ */
+const todayForUser = async (db, userId, now = new Date()) => todayIn(await getUserTimeZone(db, userId), now);
+
+module.exports = { getUserTimeZone, todayForUser };
@@ -0,0 +1,96 @@
+const { pool } = require('../config/db');
+const { archiveSharedWorld } = require('./coupleService');
+const { createNotification } = require('./notificationService');
+
+/**
+ * The open unlink request for a world, if any.
+ * @param {Object} db - pool or a transaction client
+ */
+const findPendingUnlink = async (db, coupleId) => {
+    const result = await db.query(
+        "SELECT * FROM unlink_requests WHERE couple_id = $1 AND status = 'pending'", [coupleId]
+    );
+    return result.rows[0] || null;
+};
+
+// Shape used by getDashboard, getMe and the unlink endpoints
+const formatUnlinkRequest = (request, userId) => request && {
+    id: request.id,
+    requestedBy: request.requested_by,
+    requestedByMe: request.requested_by === userId,
+    reason: request.reason,
+    requestedAt: request.created_at,
+    coolingOffUntil: request.cooling_off_until,
+    partnerConsented: !!request.partner_consented_at,
+    executesAt: request.execute_after
+};
+
+/**
+ * Archives the world behind a pending request and tells both partners.
+ * Safe to call twice: a request that was cancelled or already executed is left alone.
+ * @returns {Object|null} { relinkCode, userIds } or null if there was nothing to do
+ */
+const executeUnlink = async (requestId, io = null) => {
+    const dbClient = await pool.connect();
+    let result;
+    let coupleId;
+
+    try {
+        await dbClient.query('BEGIN');
+
+        const reqRes = await dbClient.query(
+            "SELECT couple_id FROM unlink_requests WHERE id = $1 AND status = 'pending' FOR UPDATE", [requestId]
+        );
+        if (reqRes.rows.length === 0) {
+            await dbClient.query('ROLLBACK');
+            return null;
+        }
+        coupleId = reqRes.rows[0].couple_id;
+
+        // Also marks the request completed
+        result = await archiveSharedWorld(dbClient, coupleId);
+
+        await dbClient.query('COMMIT');
+    } catch (err) {
+        await dbClient.query('ROLLBACK');
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+
+    for (const userId of result.userIds) {
+        await createNotification({
+            recipientId: userId,
+            senderId: 0, // System ID
+            type: 'unlink_completed',
+            message: `Your shared world has been archived. Keep your relink code safe if you ever want it back: ${result.relinkCode} 🕊️`,
+            link: '/'
+        }, io);
+    }
+    if (io) {
+        io.to(`couple_${coupleId}`).emit('unlink_completed', { relinkCode: result.relinkCode });
+    }
+
+    return result;
+};
+
+/**
+ * Executes every request whose window is over. Used by the unlink job.
+ */
+const executeDueUnlinks = async (io = null) => {
+    const dueRes = await pool.query(
+        "SELECT id FROM unlink_requests WHERE status = 'pending' AND execute_after <= NOW()"
+    );
+
+    let executed = 0;
+    for (const { id } of dueRes.rows) {
+        try {
+            if (await executeUnlink(id, io)) executed++;
+        } catch (err) {
+            console.error(`❌ Failed to execute unlink request ${id}:`, err.message);
+        }
+    }
+    return executed;
+};
+
+module.exports = { findPendingUnlink, formatUnlinkRequest, executeUnlink, executeDueUnlinks };
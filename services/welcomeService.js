@@ -0,0 +1,206 @@
+const { pool } = require('../config/db');
+const { CURRENT_VERSION, versions } = require('../config/welcomeQuestionnaire');
+
+const getQuestionnaire = (version = CURRENT_VERSION) => versions[version] || null;
+
+// Answers saved before the questionnaire lived on the server (version 0) have free-form keys:
+// every key either partner answered becomes an equally weighted single-choice question
+const legacyDefinition = (...answerSets) => {
+    const keys = [...new Set(answerSets.flatMap(a => Object.keys(a || {})))];
+    return {
+        version: 0,
+        categories: { general: { label: "General", weight: 1 } },
+        questions: keys.map(key => ({ key, category: 'general', type: 'single', weight: 1, prompt: key }))
+    };
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// 0..1, or null for questions that are never scored
+const similarity = (question, a, b) => {
+    switch (question.type) {
+        case 'scale':
+            return 1 - Math.abs(a - b) / (question.max - question.min);
+        case 'multi': {
+            const mine = new Set(a);
+            const theirs = new Set(b);
+            const union = new Set([...mine, ...theirs]).size;
+            return union === 0 ? 1 : [...mine].filter(v => theirs.has(v)).length / union;
+        }
+        case 'single': {
+            if (!question.ordered) return a === b ? 1 : 0;
+            const values = question.options.map(o => o.value);
+            const distance = Math.abs(values.indexOf(a) - values.indexOf(b));
+            return 1 - distance / (values.length - 1);
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Weighted compatibility between two sets of answers.
+ * A question only counts if both partners answered it; a category without any
+ * such question gets a null score and is left out of the overall number.
+ * @returns {Object} { overall, categories: [{ key, label, score }], questions: [...] }
+ */
+const scoreAnswers = (definition, first = {}, second = {}) => {
+    const questions = definition.questions.map(q => {
+        const a = first[q.key];
+        const b = second[q.key];
+        const scored = a !== undefined && b !== undefined && q.weight > 0;
+        return {
+            key: q.key,
+            prompt: q.prompt,
+            category: q.category,
+            type: q.type,
+            weight: q.weight,
+            answers: [a ?? null, b ?? null],
+            similarity: scored ? round2(similarity(q, a, b)) : null
+        };
+    });
+
+    const categories = Object.entries(definition.categories).map(([key, { label }]) => {
+        const scored = questions.filter(q => q.category === key && q.similarity !== null);
+        const totalWeight = scored.reduce((sum, q) => sum + q.weight, 0);
+        const score = totalWeight > 0 
+            ? Math.round(100 * scored.reduce((sum, q) => sum + q.weight * q.similarity, 0) / totalWeight) 
+            : null;
+        return { key, label, score };
+    });
+
+    const rated = categories.filter(c => c.score !== null);
+    const categoryWeight = (c) => definition.categories[c.key].weight;
+    const totalCategoryWeight = rated.reduce((sum, c) => sum + categoryWeight(c), 0);
+    const overall = totalCategoryWeight > 0 
+        ? Math.round(rated.reduce((sum, c) => sum + categoryWeight(c) * c.score, 0) / totalCategoryWeight) 
+        : null;
+
+    return { overall, categories, questions };
+};
+
+// Creator's answers first, partner's second, for every round both of them finished (newest first).
+// Answers to different questionnaire versions can't be compared, so such a round isn't finished
+// until the partner on the older version answers again (controllers/relationshipController.js)
+const loadCompleteRounds = async (db, couple) => {
+    const subRes = await db.query(
+        `SELECT user_id, round, version, answers, submitted_at FROM welcome_submissions 
+         WHERE couple_id = $1 AND user_id IN ($2, $3) ORDER BY round DESC`,
+        [couple.id, couple.creator_id, couple.partner_id]
+    );
+
+    const rounds = new Map();
+    for (const sub of subRes.rows) {
+        if (!rounds.has(sub.round)) rounds.set(sub.round, {});
+        rounds.get(sub.round)[sub.user_id === couple.creator_id ? 'creator' : 'partner'] = sub;
+    }
+
+    return [...rounds.entries()]
+        .filter(([, r]) => r.creator && r.partner && r.creator.version === r.partner.version)
+        .map(([round, r]) => {
+            const { version } = r.creator;
+            const definition = getQuestionnaire(version) || legacyDefinition(r.creator.answers, r.partner.answers);
+            return {
+                round,
+                version,
+                takenAt: r.creator.submitted_at > r.partner.submitted_at ? r.creator.submitted_at : r.partner.submitted_at,
+                ...scoreAnswers(definition, r.creator.answers, r.partner.answers)
+            };
+        });
+};
+
+const saveResult = async (db, coupleId, result) => {
+    await db.query(
+        `INSERT INTO welcome_results (couple_id, round, version, overall, categories) 
+         VALUES ($1, $2, $3, $4, $5::jsonb)
+         ON CONFLICT (couple_id, round) DO UPDATE SET version = $3, overall = $4, categories = $5::jsonb, computed_at = NOW()`,
+        [coupleId, result.round, result.version, result.overall, JSON.stringify(result.categories)]
+    );
+};
+
+/**
+ * Scores the couple's current round if both partners finished it.
+ * @returns {Object|null} the result, or null while someone is still answering
+ */
+const completeRound = async (db, coupleId) => {
+    const coupleRes = await db.query(
+        'SELECT id, creator_id, partner_id, welcome_round FROM couples WHERE id = $1', [coupleId]
+    );
+    const couple = coupleRes.rows[0];
+    if (!couple?.partner_id) return null;
+
+    const [latest] = await loadCompleteRounds(db, couple);
+    if (!latest || latest.round !== couple.welcome_round) return null;
+
+    await saveResult(db, coupleId, latest);
+    return latest;
+};
+
+/**
+ * Latest finished round, seen from userId's side, plus how it moved since the round before.
+ */
+const buildComparison = async (coupleId, userId) => {
+    const coupleRes = await pool.query(
+        'SELECT id, creator_id, partner_id, welcome_round FROM couples WHERE id = $1', [coupleId]
+    );
+    const couple = coupleRes.rows[0];
+    if (!couple?.partner_id) return { ready: false };
+
+    const [current, previous] = await loadCompleteRounds(pool, couple);
+    if (!current) return { ready: false, round: couple.welcome_round };
+
+    const isP1 = couple.creator_id === userId;
+    const mine = isP1 ? 0 : 1;
+
+    const change = previous && {
+        overall: current.overall !== null && previous.overall !== null ? current.overall - previous.overall : null,
+        categories: Object.fromEntries(current.categories.map(c => {
+            const before = previous.categories.find(p => p.key === c.key);
+            const delta = before && before.score !== null && c.score !== null ? c.score - before.score : null;
+            return [c.key, delta];
+        }))
+    };
+
+    return {
+        ready: true,
+        round: current.round,
+        version: current.version,
+        takenAt: current.takenAt,
+        retakeInProgress: couple.welcome_round > current.round,
+        overall: current.overall,
+        categories: current.categories,
+        questions: current.questions.map(q => ({
+            questionKey: q.key,
+            prompt: q.prompt,
+            category: q.category,
+            type: q.type,
+            myAnswer: q.answers[mine],
+            partnerAnswer: q.answers[1 - mine],
+            similarity: q.similarity,
+            isMatch: q.similarity === 1
+        })),
+        previous: previous ? {
+            round: previous.round,
+            version: previous.version,
+            takenAt: previous.takenAt,
+            overall: previous.overall,
+            categories: previous.categories
+        } : null,
+        change
+    };
+};
+
+/**
+ * Opens a new round so both partners answer again. Runs inside the caller's transaction.
+ */
+const startNewRound = async (db, coupleId) => {
+    const result = await db.query(
+        `UPDATE couples SET welcome_round = welcome_round + 1, 
+            p1_answered = false, p2_answered = false, p1_seen_reveal = false, p2_seen_reveal = false 
+         WHERE id = $1 RETURNING welcome_round`,
+        [coupleId]
+    );
+    return result.rows[0]?.welcome_round;
+};
+
+module.exports = { getQuestionnaire, scoreAnswers, completeRound, buildComparison, startNewRound };
@@ -0,0 +1,169 @@
+const { pool } = require('../config/db');
+const { ACTIONS, suggestions, averageWindowDays, minAverageDays, silenceGraceDays } = require('../config/wellbeing');
+const { definitions } = require('../config/coupleSettings');
+const { createNotification } = require('./notificationService');
+const { getCoupleSettings } = require('./settingsService');
+const { moodBand } = require('./evolutionService');
+const { pronounsFor } = require('../utils/pronouns');
+const { addDays, daysBetween, todayIn, toDateKey } = require('../utils/dates');
+
+const MESSAGES = {
+    consecutive_lows: (name, { days }) =>
+        `💌 ${name} has been feeling low for ${days} days. Reach out with some extra love today.`,
+    sharp_drop: (name, { score, usual }, { their }) =>
+        `💛 ${name}'s mood just dropped well below ${their} usual (${score}/10, usually around ${usual}). A gentle check-in could mean a lot.`,
+    silence_after_low: (name, { quietDays }, { them }) =>
+        `🤍 ${name} hasn't checked in for ${quietDays} days after a low day. Maybe check in on ${them}.`
+};
+
+/**
+ * Shape of an alert for the partner who received it, with its suggested caring actions.
+ */
+const formatAlert = (row) => ({
+    id: row.id,
+    kind: row.kind,
+    subject: { id: row.subject_id, nickname: row.subject_nickname },
+    message: row.message,
+    details: row.details,
+    suggestions: (suggestions[row.kind] || []).map(key => ({ key, label: ACTIONS[key] })),
+    createdAt: row.created_at,
+    acknowledgedAt: row.acknowledged_at,
+    acknowledgedAction: row.acknowledged_action
+});
+
+/**
+ * Stores an alert about `subjectId` for their partner and notifies them.
+ * Nothing is sent when the same dedupe key was already used, or the same kind of alert
+ * about the same person went out within the couple's alertCooldownDays.
+ * @returns {Object|null} the formatted alert, null when nothing was sent
+ */
+const raiseAlert = async ({ coupleId, subjectId, kind, dedupeKey, details }, io = null) => {
+    const peopleRes = await pool.query(
+        'SELECT id, nickname, pronouns FROM users WHERE couple_id = $1', [coupleId]
+    );
+    const subject = peopleRes.rows.find(p => p.id === subjectId);
+    const partner = peopleRes.rows.find(p => p.id !== subjectId);
+    if (!subject || !partner) return null;
+
+    const { alertCooldownDays } = await getCoupleSettings(pool, coupleId);
+    const recent = await pool.query(
+        `SELECT 1 FROM wellbeing_alerts
+         WHERE subject_id = $1 AND kind = $2 AND created_at > NOW() - make_interval(days => $3)`,
+        [subjectId, kind, alertCooldownDays]
+    );
+    if (recent.rowCount > 0) return null;
+
+    const message = MESSAGES[kind](subject.nickname, details, pronounsFor(subject.pronouns));
+    const inserted = await pool.query(
+        `INSERT INTO wellbeing_alerts (couple_id, subject_id, recipient_id, kind, dedupe_key, details, message)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (subject_id, dedupe_key) DO NOTHING
+         RETURNING *`,
+        [coupleId, subjectId, partner.id, kind, dedupeKey, JSON.stringify(details), message]
+    );
+    if (inserted.rowCount === 0) return null;
+
+    const alert = formatAlert({ ...inserted.rows[0], subject_nickname: subject.nickname });
+
+    // Stored as a notification too, so a partner who is offline still sees it later
+    await createNotification({
+        recipientId: partner.id,
+        senderId: 0, // System ID
+        type: 'wellbeing_alert',
+        message,
+        link: '/moods/alerts'
+    }, io);
+    if (io) io.to(`user_${partner.id}`).emit('wellbeing_alert', alert);
+
+    return alert;
+};
+
+/**
+ * Looks for a slump or a sharp drop right after a check-in (services/moodService.js recordCheckIn).
+ * Runs after the check-in is committed; a failure here is logged and never fails the check-in.
+ * @param {Object} evolution - stats after the check-in (streak_low is missing while paused)
+ * @param {Object} before - stats before the check-in
+ * @returns {Array} the alerts that went out
+ */
+const checkAfterCheckIn = async ({ userId, coupleId, day, score, evolution, before }, io = null) => {
+    const sent = [];
+    try {
+        const settings = await getCoupleSettings(pool, coupleId);
+
+        // 1. Consecutive lows: only when the low streak grew with this check-in
+        if (evolution.streak_low >= settings.slumpAlertDays && evolution.streak_low > before.streak_low) {
+            sent.push(await raiseAlert({
+                coupleId, subjectId: userId, kind: 'consecutive_lows',
+                dedupeKey: `consecutive_lows:${day}`,
+                details: { days: evolution.streak_low }
+            }, io));
+        }
+
+        // 2. Sharp drop: this check-in against the usual of the days before
+        // (day_key is 'YYYY-MM-DD-userId', so a plain string range picks the days)
+        const historyRes = await pool.query(
+            `SELECT COALESCE(driving_score, score) AS score FROM moods
+             WHERE user_id = $1 AND day_key >= $2 AND day_key < $3`,
+            [userId, addDays(day, -averageWindowDays), day]
+        );
+        if (historyRes.rows.length >= minAverageDays) {
+            const usual = historyRes.rows.reduce((sum, r) => sum + r.score, 0) / historyRes.rows.length;
+            if (usual - score >= settings.moodDropPoints) {
+                sent.push(await raiseAlert({
+                    coupleId, subjectId: userId, kind: 'sharp_drop',
+                    dedupeKey: `sharp_drop:${day}`,
+                    details: { score, usual: Math.round(usual * 10) / 10, days: historyRes.rows.length }
+                }, io));
+            }
+        }
+    } catch (err) {
+        console.error("❌ WELLBEING_CHECK_ERROR:", err.message);
+    }
+    return sent.filter(Boolean);
+};
+
+/**
+ * Silence after a low day: everyone whose last check-in was low and who has been quiet
+ * for the couple's silenceAfterLowDays full days (in their own timezone). Used by the wellbeing job.
+ * Only recent low days count (up to silenceGraceDays past the threshold), so a long-gone
+ * account or an old low day doesn't raise an alert out of nowhere.
+ * Paused worlds are skipped: a break is a fine reason to stop checking in.
+ * @returns {Number} alerts sent
+ */
+const checkSilenceAfterLow = async (now = new Date(), io = null) => {
+    // The widest window any couple can have, plus a day either side for timezones
+    const oldestDay = addDays(toDateKey(now), -(definitions.silenceAfterLowDays.max + silenceGraceDays + 2));
+    const latestRes = await pool.query(
+        `SELECT DISTINCT ON (m.user_id)
+                m.user_id, u.couple_id, u.timezone, m.day_key, COALESCE(m.driving_score, m.score) AS score
+         FROM moods m
+         JOIN users u ON u.id = m.user_id AND u.couple_id = m.couple_id
+         JOIN couples c ON c.id = u.couple_id
+         WHERE c.status = 'full' AND c.is_paused = false AND m.day_key >= $1
+         ORDER BY m.user_id, m.day_key DESC`,
+        [oldestDay]
+    );
+
+    let sent = 0;
+    for (const row of latestRes.rows) {
+        if (moodBand(row.score) !== 'low') continue;
+
+        const settings = await getCoupleSettings(pool, row.couple_id);
+        const lastDay = row.day_key.slice(0, 10);
+        const today = todayIn(row.timezone || settings.timezone, now);
+
+        // Quiet days are the full days between the low day and today
+        const quietDays = daysBetween(lastDay, today) - 1;
+        if (quietDays < settings.silenceAfterLowDays || quietDays > settings.silenceAfterLowDays + silenceGraceDays) continue;
+
+        const alert = await raiseAlert({
+            coupleId: row.couple_id, subjectId: row.user_id, kind: 'silence_after_low',
+            dedupeKey: `silence_after_low:${lastDay}`,
+            details: { lastLowDay: lastDay, score: row.score, quietDays }
+        }, io);
+        if (alert) sent++;
+    }
+    return sent;
+};
+
+module.exports = { formatAlert, raiseAlert, checkAfterCheckIn, checkSilenceAfterLow };
@@ -0,0 +1,48 @@
+// Calendar-day helpers. Days are 'YYYY-MM-DD' strings; the math runs in UTC so DST never shifts a date.
+const DAY_MS = 24 * 60 * 60000;
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const parseDateKey = (key) => {
+    const [y, m, d] = String(key).split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+};
+
+const addDays = (key, days) => toDateKey(parseDateKey(key).getTime() + days * DAY_MS);
+
+// Jan 31 + 1 month lands on the last day of February, not in March
+const addMonths = (key, months) => {
+    const start = parseDateKey(key);
+    const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+    return toDateKey(target);
+};
+
+const daysBetween = (fromKey, toKey) => Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+
+// Users and couples live in IANA timezones ('Europe/Berlin'); anything unknown counts as UTC
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// The calendar day it is at `now` for someone in that timezone
+const todayIn = (timeZone, now = new Date()) => {
+    const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).formatToParts(now).map(p => [p.type, p.value]));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+module.exports = { 
+    DAY_MS, toDateKey, parseDateKey, addDays, addMonths, daysBetween, 
+    DEFAULT_TIME_ZONE, isValidTimeZone, todayIn 
+};
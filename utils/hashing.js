@@ -1,5 +1,6 @@
 // backend/src/utils/hashing.js
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 // Hash password with a salt round of 12 (Industry Standard)
 const hashPassword = async (password) => {
@@ -11,4 +12,9 @@ const comparePassword = async (password, hashedPassword) => {
     return await bcrypt.compare(password, hashedPassword);
 };
 
-module.exports = { hashPassword, comparePassword };
\ No newline at end of file
+// Fast SHA-256 for long random secrets (refresh tokens, recovery codes) that need DB lookups
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = { hashPassword, comparePassword, hashToken };
\ No newline at end of file
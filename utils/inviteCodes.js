@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// No 0/O, 1/I/L: codes get read out loud and typed from screenshots
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS) || 7;
+
+const generateInviteCode = () => {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+    return code;
+};
+
+/**
+ * Picks a code no other world is using. The unique index on couples.invite_code
+ * is the real guarantee; this just keeps a collision from failing the request.
+ * @param {Object} db - pool or a transaction client
+ */
+const generateUniqueInviteCode = async (db, attempts = 5) => {
+    for (let i = 0; i < attempts; i++) {
+        const code = generateInviteCode();
+        const taken = await db.query('SELECT 1 FROM couples WHERE invite_code = $1', [code]);
+        if (taken.rowCount === 0) return code;
+    }
+    throw new Error("Could not generate a unique invite code. Please try again.");
+};
+
+const inviteExpiry = () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60000);
+
+const generateInviteLink = (inviteCode) => {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${baseUrl}/join?code=${inviteCode}`;
+};
+
+const signingSecret = () => process.env.INVITE_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Deep link for the QR code: the plain invite link plus a signature that
+ * proves the code came from us and when it stops working.
+ */
+const buildInviteDeepLink = (inviteCode, expiresAt) => {
+    const expiresIn = Math.max(Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000), 1);
+    const sig = jwt.sign({ code: inviteCode, purpose: 'invite' }, signingSecret(), { expiresIn });
+
+    return {
+        type: 'twofold_invite',
+        code: inviteCode,
+        link: `${generateInviteLink(inviteCode)}&sig=${sig}`,
+        expiresAt,
+        sig
+    };
+};
+
+// True if `sig` was issued by buildInviteDeepLink for this exact code and hasn't expired
+const verifyInviteSignature = (inviteCode, sig) => {
+    try {
+        const decoded = jwt.verify(sig, signingSecret());
+        return decoded.purpose === 'invite' && decoded.code === inviteCode;
+    } catch (err) {
+        return false;
+    }
+};
+
+module.exports = { 
+    INVITE_TTL_DAYS,
+    generateUniqueInviteCode, 
+    inviteExpiry, 
+    generateInviteLink, 
+    buildInviteDeepLink, 
+    verifyInviteSignature 
+};
@@ -0,0 +1,25 @@
+// Pronouns are stored the way people write them: 'she/her', 'he/him', 'they/them',
+// or their own set as 'subject/object/possessive' (e.g. 'xe/xem/xyr').
+// Anyone who hasn't picked any is written about with they/them.
+const PRESETS = {
+    'she/her': { they: 'she', them: 'her', their: 'her' },
+    'he/him': { they: 'he', them: 'him', their: 'his' },
+    'they/them': { they: 'they', them: 'them', their: 'their' }
+};
+
+const CUSTOM_PATTERN = /^[a-z]{1,12}\/[a-z]{1,12}\/[a-z]{1,12}$/;
+
+/**
+ * The words to use when writing about someone.
+ * @param {String|null} value - users.pronouns
+ * @returns {{ they: String, them: String, their: String }}
+ */
+const pronounsFor = (value) => {
+    if (!value) return PRESETS['they/them'];
+    if (PRESETS[value]) return PRESETS[value];
+
+    const [they, them, their] = value.split('/');
+    return their ? { they, them, their } : PRESETS['they/them'];
+};
+
+module.exports = { PRESETS, CUSTOM_PATTERN, pronounsFor };